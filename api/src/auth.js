@@ -0,0 +1,195 @@
+const { sql } = require('./db');
+
+const PRINCIPAL_HEADER = 'x-ms-client-principal';
+
+// Decode the Static Web Apps client principal. When running under the local
+// Functions host without the SWA emulator, LOCAL_AUTH_EMAIL stands in for a
+// signed-in user so the API can be exercised directly.
+function getClientPrincipal(request) {
+    const header = request.headers.get(PRINCIPAL_HEADER);
+
+    if (header) {
+        try {
+            const principal = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+            if (principal && principal.userId && (principal.userRoles || []).includes('authenticated')) {
+                return principal;
+            }
+        } catch {
+            return null;
+        }
+        return null;
+    }
+
+    if (process.env.AZURE_FUNCTIONS_ENVIRONMENT === 'Development' && process.env.LOCAL_AUTH_EMAIL) {
+        return {
+            identityProvider: 'local',
+            userId: process.env.LOCAL_AUTH_EMAIL,
+            userDetails: process.env.LOCAL_AUTH_EMAIL,
+            userRoles: ['anonymous', 'authenticated']
+        };
+    }
+
+    return null;
+}
+
+// Claim types identity providers put a verified email address in
+const EMAIL_CLAIM_TYPES = ['email', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'];
+
+// Providers whose userDetails is the account's email address (for GitHub,
+// Twitter and the like it is a username anyone could choose)
+const EMAIL_IDENTITY_PROVIDERS = ['aad', 'local'];
+
+// The email address the login's provider vouches for, or null when it gives
+// none: an email claim (unless the provider marks it unverified), else
+// userDetails for providers that sign in by email
+function getVerifiedEmail(principal) {
+    const claims = Array.isArray(principal.claims) ? principal.claims : [];
+    const claimValue = type => (claims.find(c => c && c.typ === type) || {}).val;
+
+    const emailClaim = EMAIL_CLAIM_TYPES.map(claimValue).find(Boolean);
+    if (emailClaim) {
+        return String(claimValue('email_verified')).toLowerCase() === 'false' ? null : emailClaim;
+    }
+
+    if (EMAIL_IDENTITY_PROVIDERS.includes(principal.identityProvider) && /@/.test(principal.userDetails || '')) {
+        return principal.userDetails;
+    }
+    return null;
+}
+
+// Find the Users row for a principal. A row not yet linked to a login is
+// matched by the login's verified email (see getVerifiedEmail) and linked on
+// first sign-in; logins without one only find rows already linked to them.
+async function findUserForPrincipal(pool, principal) {
+    const result = await pool.request()
+        .input('authProvider', sql.NVarChar(50), principal.identityProvider)
+        .input('authProviderUserId', sql.NVarChar(255), principal.userId)
+        .input('email', sql.NVarChar(255), getVerifiedEmail(principal))
+        .query(`
+            SELECT TOP 1 *
+            FROM Users
+            WHERE (AuthProvider = @authProvider AND AuthProviderUserId = @authProviderUserId)
+               OR (AuthProviderUserId IS NULL AND Email = @email)
+            ORDER BY CASE WHEN AuthProviderUserId IS NULL THEN 1 ELSE 0 END
+        `);
+
+    const user = result.recordset[0];
+    if (!user || user.AuthProviderUserId) {
+        return user || null;
+    }
+
+    const linked = await pool.request()
+        .input('id', sql.UniqueIdentifier, user.Id)
+        .input('authProvider', sql.NVarChar(50), principal.identityProvider)
+        .input('authProviderUserId', sql.NVarChar(255), principal.userId)
+        .query(`
+            UPDATE Users
+            SET AuthProvider = @authProvider,
+                AuthProviderUserId = @authProviderUserId,
+                LastLoginAt = GETUTCDATE(),
+                UpdatedAt = GETUTCDATE()
+            OUTPUT INSERTED.*
+            WHERE Id = @id
+        `);
+
+    return linked.recordset[0];
+}
+
+// Resolve the calling user. Returns { principal, user } on success, or
+// { response } with the 401/403 to send back.
+async function authenticate(request, pool) {
+    const principal = getClientPrincipal(request);
+    if (!principal) {
+        return { response: { status: 401, jsonBody: { error: 'Authentication required' } } };
+    }
+
+    const user = await findUserForPrincipal(pool, principal);
+    if (!user) {
+        return { principal, response: { status: 403, jsonBody: { error: 'No user account is registered for this login' } } };
+    }
+    if (!user.IsActive) {
+        return { principal, response: { status: 403, jsonBody: { error: 'User account is inactive' } } };
+    }
+
+    return { principal, user };
+}
+
+// GUIDs come back from SQL upper-cased but arrive in routes in any case
+function sameId(a, b) {
+    return !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// 403 response when the caller is acting as another user, otherwise null
+function forbidUnlessSelf(user, userId) {
+    if (sameId(user.Id, userId)) {
+        return null;
+    }
+    return { status: 403, jsonBody: { error: 'You can only act on your own account' } };
+}
+
+// League roles, least to most privileged
+const LEAGUE_ROLES = ['Member', 'CoCommissioner', 'Owner'];
+
+function hasLeagueRole(role, minimumRole) {
+    return LEAGUE_ROLES.indexOf(role) >= LEAGUE_ROLES.indexOf(minimumRole);
+}
+
+// A user's role in a league, looked up by league or by one of its
+// competitions. The league's AdminUserId is always its Owner. Returns null
+// when the league/competition doesn't exist; Role is null for non-members.
+async function getLeagueRole(pool, userId, { leagueId, competitionId }) {
+    const req = pool.request()
+        .input('userId', sql.UniqueIdentifier, userId);
+
+    let where;
+    if (competitionId) {
+        req.input('competitionId', sql.UniqueIdentifier, competitionId);
+        where = 'l.Id = (SELECT LeagueId FROM Competitions WHERE Id = @competitionId)';
+    } else {
+        req.input('leagueId', sql.UniqueIdentifier, leagueId);
+        where = 'l.Id = @leagueId';
+    }
+
+    const result = await req.query(`
+        SELECT l.Id AS LeagueId,
+               CASE WHEN l.AdminUserId = @userId THEN 'Owner' ELSE lm.Role END AS Role
+        FROM Leagues l
+        LEFT JOIN LeagueMembers lm ON lm.LeagueId = l.Id AND lm.UserId = @userId AND lm.IsActive = 1
+        WHERE ${where}
+    `);
+
+    return result.recordset[0] || null;
+}
+
+// Authenticate the caller and require at least minimumRole in the league
+// (scope is { leagueId } or { competitionId }). Returns { user, role, leagueId }
+// on success, or { response } with the 401/403/404 to send back.
+async function authorizeLeague(request, pool, scope, minimumRole) {
+    const { user, response } = await authenticate(request, pool);
+    if (response) {
+        return { response };
+    }
+
+    const membership = await getLeagueRole(pool, user.Id, scope);
+    if (!membership) {
+        const entity = scope.competitionId ? 'Competition' : 'League';
+        return { response: { status: 404, jsonBody: { error: `${entity} not found` } } };
+    }
+    if (!membership.Role || !hasLeagueRole(membership.Role, minimumRole)) {
+        return { response: { status: 403, jsonBody: { error: `This action requires the ${minimumRole} role in the league` } } };
+    }
+
+    return { user, role: membership.Role, leagueId: membership.LeagueId };
+}
+
+module.exports = {
+    LEAGUE_ROLES,
+    authenticate,
+    authorizeLeague,
+    forbidUnlessSelf,
+    getClientPrincipal,
+    getLeagueRole,
+    getVerifiedEmail,
+    hasLeagueRole,
+    sameId
+};
@@ -0,0 +1,163 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { BRACKET_COMPETITION_TYPE } = require('./bracket');
+const { checkConfidenceSheet } = require('./pickRules');
+const { SURVIVOR_COMPETITION_TYPE } = require('./survivor');
+
+// League policies for picking on behalf of members who miss the lock: off,
+// always the home team, the favorite by SpreadLine or by moneyline, or a coin flip
+const AUTO_PICK_POLICIES = ['None', 'HomeTeam', 'SpreadFavorite', 'MoneylineFavorite', 'Random'];
+
+// Whether a pick (p) was made by the auto-pick policy rather than the member
+const AUTO_PICK_SQL = `
+    CASE
+        WHEN ISJSON(p.AdditionalData) = 1 AND JSON_VALUE(p.AdditionalData, '$.autoPick') = 'true' THEN 1
+        ELSE 0
+    END
+`;
+
+// The side a policy takes in a game. Games without the line a policy needs,
+// or where it makes neither side the favorite, go to the home team.
+function chooseAutoPick(game, policy, random = Math.random) {
+    if (policy === 'SpreadFavorite' && game.SpreadLine !== null && Number(game.SpreadLine) !== 0) {
+        // SpreadLine is from the home team's side: negative = home favored
+        return Number(game.SpreadLine) < 0 ? game.HomeTeam : game.AwayTeam;
+    }
+    if (policy === 'MoneylineFavorite' && game.HomeMoneyline !== null && game.AwayMoneyline !== null &&
+        game.HomeMoneyline !== game.AwayMoneyline) {
+        return game.HomeMoneyline < game.AwayMoneyline ? game.HomeTeam : game.AwayTeam;
+    }
+    if (policy === 'Random') {
+        return random() < 0.5 ? game.HomeTeam : game.AwayTeam;
+    }
+    return game.HomeTeam;
+}
+
+// Straight picks for every game a member hasn't picked, cancelled games
+// aside. `games` are in kickoff order; in a confidence pool the member's
+// unused confidence values go to the missing games lowest first, in that
+// order. The None policy picks nothing. Returns [{ gameId, pickedTeam,
+// confidencePoints }].
+function buildAutoPicks({ games, picks, policy, confidencePool, random = Math.random }) {
+    if (policy === 'None') {
+        return [];
+    }
+
+    const sheet = checkConfidenceSheet(games.map(g => g.Id), picks);
+    const unusedConfidencePoints = [...sheet.unusedConfidencePoints];
+    const missingGames = new Set(sheet.missingGames.map(id => String(id).toLowerCase()));
+
+    return games
+        .filter(g => g.Status !== 'Cancelled' && missingGames.has(String(g.Id).toLowerCase()))
+        .map(g => ({
+            gameId: g.Id,
+            pickedTeam: chooseAutoPick(g, policy, random),
+            confidencePoints: confidencePool ? (unusedConfidencePoints.shift() || 1) : 1
+        }));
+}
+
+// Fill in missing picks for every active member of a competition's league,
+// by the league's AutoPickPolicy. Survivor and bracket competitions have
+// their own rules for missed picks and are left alone. Picks a member made
+// in the meantime win over the generated ones. Returns the inserted picks.
+async function fillAutoPicks(db, competitionId, random = Math.random) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query(`
+            SELECT c.CompetitionType, l.AutoPickPolicy, l.ConfidencePool
+            FROM Competitions c
+            INNER JOIN Leagues l ON c.LeagueId = l.Id
+            WHERE c.Id = @competitionId;
+
+            SELECT Id, HomeTeam, AwayTeam, Status, SpreadLine, HomeMoneyline, AwayMoneyline
+            FROM Games
+            WHERE CompetitionId = @competitionId
+            ORDER BY GameDate ASC, Id ASC;
+
+            SELECT lm.UserId
+            FROM LeagueMembers lm
+            INNER JOIN Competitions c ON lm.LeagueId = c.LeagueId
+            WHERE c.Id = @competitionId AND lm.IsActive = 1;
+
+            SELECT Id, UserId, GameId, ConfidencePoints
+            FROM Picks
+            WHERE CompetitionId = @competitionId;
+        `);
+
+    const [competitions, games, members, picks] = result.recordsets;
+    const competition = competitions[0];
+    if (!competition || competition.AutoPickPolicy === 'None' ||
+        [SURVIVOR_COMPETITION_TYPE, BRACKET_COMPETITION_TYPE].includes(competition.CompetitionType)) {
+        return [];
+    }
+
+    const policy = competition.AutoPickPolicy;
+    const rows = [];
+    for (const member of members) {
+        const memberPicks = picks.filter(p => sameId(p.UserId, member.UserId));
+        buildAutoPicks({ games, picks: memberPicks, policy, confidencePool: competition.ConfidencePool, random })
+            .forEach(pick => rows.push({ userId: member.UserId, ...pick }));
+    }
+
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const inserted = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('picks', sql.NVarChar(sql.MAX), JSON.stringify(rows))
+        .input('additionalData', sql.NVarChar(sql.MAX), JSON.stringify({ autoPick: true, policy }))
+        .query(`
+            INSERT INTO Picks (CompetitionId, GameId, UserId, PickedTeam, ConfidencePoints, PickType, AdditionalData)
+            OUTPUT INSERTED.*
+            SELECT @competitionId, source.GameId, source.UserId, source.PickedTeam, source.ConfidencePoints, 'Straight', @additionalData
+            FROM OPENJSON(@picks) WITH (
+                UserId UNIQUEIDENTIFIER '$.userId',
+                GameId UNIQUEIDENTIFIER '$.gameId',
+                PickedTeam NVARCHAR(100) '$.pickedTeam',
+                ConfidencePoints INT '$.confidencePoints'
+            ) AS source
+            WHERE NOT EXISTS (
+                SELECT 1 FROM Picks existing
+                WHERE existing.GameId = source.GameId AND existing.UserId = source.UserId
+            );
+        `);
+
+    return inserted.recordset;
+}
+
+// Competitions whose league's policy still owes picks: an active member has
+// no pick on one of its games that isn't cancelled. Only Locked competitions,
+// and Completed ones not yet scored, so the picks are graded with the rest.
+// Survivor and bracket competitions are left alone. Returns their ids.
+async function findPendingAutoPicks(db) {
+    const result = await db.request()
+        .input('survivorType', sql.NVarChar(50), SURVIVOR_COMPETITION_TYPE)
+        .input('bracketType', sql.NVarChar(50), BRACKET_COMPETITION_TYPE)
+        .query(`
+            SELECT c.Id
+            FROM Competitions c
+            INNER JOIN Leagues l ON c.LeagueId = l.Id
+            WHERE (c.Status = 'Locked' OR (c.Status = 'Completed' AND c.ScoringCalculated = 0))
+              AND l.AutoPickPolicy <> 'None'
+              AND c.CompetitionType NOT IN (@survivorType, @bracketType)
+              AND EXISTS (
+                  SELECT 1
+                  FROM LeagueMembers lm
+                  INNER JOIN Games g ON g.CompetitionId = c.Id
+                  WHERE lm.LeagueId = c.LeagueId AND lm.IsActive = 1 AND g.Status <> 'Cancelled'
+                    AND NOT EXISTS (SELECT 1 FROM Picks p WHERE p.GameId = g.Id AND p.UserId = lm.UserId)
+              );
+        `);
+
+    return result.recordset.map(c => c.Id);
+}
+
+module.exports = {
+    AUTO_PICK_POLICIES,
+    AUTO_PICK_SQL,
+    buildAutoPicks,
+    chooseAutoPick,
+    fillAutoPicks,
+    findPendingAutoPicks
+};
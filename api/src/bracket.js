@@ -0,0 +1,371 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { getPickLocks } = require('./pickRules');
+
+// Competitions of this type are bracket challenges: members predict the
+// winner of every matchup up front, and real results come from the
+// competition's Games as each round is scheduled
+const BRACKET_COMPETITION_TYPE = 'Bracket';
+
+const MAX_BRACKET_TEAMS = 128;
+
+function sameTeam(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && !!a && !!b &&
+        a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// 1, 2, 4, 8, ... points per round
+function defaultRoundPoints(rounds) {
+    return Array.from({ length: rounds }, (_, i) => 2 ** i);
+}
+
+// Check a bracket's teams and per-round points. Teams are listed in bracket
+// order (entries 0 and 1 meet in the first round, then 2 and 3, ...), padded
+// with null for byes to a power of two. Returns an error message or null.
+function validateBracketSetup(teams, roundPoints) {
+    if (!Array.isArray(teams) || teams.length < 2 || teams.length > MAX_BRACKET_TEAMS ||
+        (teams.length & (teams.length - 1)) !== 0) {
+        return `bracketTeams must list 2, 4, 8, ... up to ${MAX_BRACKET_TEAMS} entries (null for a bye)`;
+    }
+
+    const named = teams.filter(team => team !== null);
+    if (named.some(team => typeof team !== 'string' || !team.trim() || team.length > 100)) {
+        return 'bracketTeams entries must be team names of up to 100 characters, or null for a bye';
+    }
+    if (named.some((team, i) => named.findIndex(other => sameTeam(other, team)) !== i)) {
+        return 'bracketTeams cannot list a team twice';
+    }
+    for (let i = 0; i < teams.length; i += 2) {
+        if (teams[i] === null && teams[i + 1] === null) {
+            return 'A first-round matchup cannot be two byes';
+        }
+    }
+
+    if (roundPoints !== undefined && roundPoints !== null) {
+        const rounds = Math.log2(teams.length);
+        if (!Array.isArray(roundPoints) || roundPoints.length !== rounds ||
+            !roundPoints.every(points => Number.isInteger(points) && points >= 0)) {
+            return `bracketRoundPoints must list ${rounds} non-negative whole numbers, one per round`;
+        }
+    }
+
+    return null;
+}
+
+// Bracket settings from a Competitions row: { teams, rounds, roundPoints }
+function parseBracket(competition) {
+    const teams = competition.BracketTeams ? JSON.parse(competition.BracketTeams) : [];
+    const rounds = teams.length > 1 ? Math.log2(teams.length) : 0;
+    const roundPoints = competition.BracketRoundPoints
+        ? JSON.parse(competition.BracketRoundPoints)
+        : defaultRoundPoints(rounds);
+    return { teams, rounds, roundPoints };
+}
+
+// Play the bracket forward round by round. chooseWinner(round, slot, teams)
+// returns the winner of a matchup or null while it's undecided; byes advance
+// without asking. Returns [{ round, matchups: [{ slot, teams, winner, bye }] }].
+function walkBracket(bracket, chooseWinner) {
+    const rounds = [];
+    let entrants = bracket.teams;
+
+    for (let round = 1; round <= bracket.rounds; round++) {
+        const matchups = [];
+        for (let slot = 0; slot < entrants.length / 2; slot++) {
+            const teams = [entrants[slot * 2], entrants[slot * 2 + 1]];
+            const bye = round === 1 && (teams[0] === null || teams[1] === null);
+
+            let winner = null;
+            if (bye) {
+                winner = teams[0] || teams[1];
+            } else if (teams[0] && teams[1]) {
+                winner = chooseWinner(round, slot, teams);
+            }
+
+            matchups.push({ slot, teams, winner, bye });
+        }
+        rounds.push({ round, matchups });
+        entrants = matchups.map(m => m.winner);
+    }
+
+    return rounds;
+}
+
+// The competition game between two teams, if one has been scheduled
+function findBracketGame(games, teams) {
+    return games.find(g =>
+        (sameTeam(g.HomeTeam, teams[0]) && sameTeam(g.AwayTeam, teams[1])) ||
+        (sameTeam(g.HomeTeam, teams[1]) && sameTeam(g.AwayTeam, teams[0]))) || null;
+}
+
+// The real bracket: a matchup is decided once its game is Final and not tied
+function resolveBracketResults(bracket, games) {
+    const results = walkBracket(bracket, (round, slot, teams) => {
+        const game = findBracketGame(games, teams);
+        if (!game || game.Status !== 'Final' || game.HomeTeamScore === game.AwayTeamScore) {
+            return null;
+        }
+        const homeWon = game.HomeTeamScore > game.AwayTeamScore;
+        return teams.find(team => sameTeam(team, homeWon ? game.HomeTeam : game.AwayTeam));
+    });
+
+    for (const { matchups } of results) {
+        for (const matchup of matchups) {
+            const game = matchup.bye ? null : findBracketGame(games, matchup.teams);
+            matchup.gameId = game ? game.Id : null;
+            matchup.gameStatus = game ? game.Status : null;
+        }
+    }
+
+    return results;
+}
+
+function findBracketPick(picks, round, slot) {
+    return picks.find(p => p.round === round && p.slot === slot);
+}
+
+// A member's predicted bracket, where each later matchup is between the
+// teams they picked to win the two feeding matchups
+function predictBracket(bracket, picks) {
+    return walkBracket(bracket, (round, slot, teams) => {
+        const pick = findBracketPick(picks, round, slot);
+        return pick ? teams.find(team => sameTeam(team, pick.pickedTeam)) || null : null;
+    });
+}
+
+// Check a full bracket of picks ({ round, slot, pickedTeam }) against the
+// bracket. Every matchup except byes needs a winner taken from the teams
+// the member advanced into it. Returns a list of { index?, round, slot, error }.
+function validateBracketPicks(bracket, picks) {
+    const errors = [];
+
+    picks.forEach((pick, index) => {
+        const { round, slot, pickedTeam } = pick;
+        if (!Number.isInteger(round) || round < 1 || round > bracket.rounds ||
+            !Number.isInteger(slot) || slot < 0 || slot >= bracket.teams.length / 2 ** round) {
+            errors.push({ index, round, slot, error: 'No such matchup in this bracket' });
+        } else if (typeof pickedTeam !== 'string' || !pickedTeam.trim()) {
+            errors.push({ index, round, slot, error: 'pickedTeam must be a team name' });
+        } else if (picks.findIndex(p => p.round === round && p.slot === slot) !== index) {
+            errors.push({ index, round, slot, error: 'Duplicate pick for this matchup' });
+        }
+    });
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    for (const { round, matchups } of predictBracket(bracket, picks)) {
+        for (const { slot, teams, winner, bye } of matchups) {
+            const index = picks.findIndex(p => p.round === round && p.slot === slot);
+            const pick = picks[index];
+
+            if (bye) {
+                if (pick) {
+                    errors.push({ index, round, slot, error: `${winner} has a bye; byes advance automatically` });
+                }
+            } else if (!pick) {
+                errors.push({ round, slot, error: 'A winner is required for every matchup' });
+            } else if (!winner && teams[0] && teams[1]) {
+                errors.push({ index, round, slot, error: `${pick.pickedTeam} is not in this matchup (${teams.join(' vs ')})` });
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Grade picks against the real bracket: a pick wins its round's points when
+// its team wins that matchup, and loses once the matchup is decided the
+// other way or the team has been knocked out earlier. Returns
+// [{ id, result, pointsEarned }], with nulls while a pick is still live.
+function gradeBracketPicks(bracket, results, picks) {
+    const eliminated = [];
+    for (const { matchups } of results) {
+        for (const { teams, winner, bye } of matchups) {
+            if (winner && !bye) {
+                eliminated.push(teams.find(team => !sameTeam(team, winner)));
+            }
+        }
+    }
+
+    return picks.map(pick => {
+        const matchup = results[pick.round - 1].matchups[pick.slot];
+        let result = null;
+        if (matchup.winner) {
+            result = sameTeam(matchup.winner, pick.pickedTeam) ? 'Win' : 'Loss';
+        } else if (eliminated.some(team => sameTeam(team, pick.pickedTeam))) {
+            result = 'Loss';
+        }
+
+        return {
+            id: pick.id,
+            result,
+            pointsEarned: result === null ? null : (result === 'Win' ? bracket.roundPoints[pick.round - 1] : 0)
+        };
+    });
+}
+
+// Load a competition's bracket, games and bracket picks. Returns null when
+// the competition doesn't exist or isn't a bracket.
+async function loadBracket(db, competitionId) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query(`
+            SELECT c.Id, c.LeagueId, c.CompetitionType, c.BracketTeams, c.BracketRoundPoints, l.PickVisibility
+            FROM Competitions c
+            INNER JOIN Leagues l ON c.LeagueId = l.Id
+            WHERE c.Id = @competitionId;
+
+            SELECT Id, HomeTeam, AwayTeam, HomeTeamScore, AwayTeamScore, Status
+            FROM Games
+            WHERE CompetitionId = @competitionId;
+
+            SELECT Id, UserId, RoundNumber, Slot, PickedTeam, Result, PointsEarned
+            FROM BracketPicks
+            WHERE CompetitionId = @competitionId;
+        `);
+
+    const [competitions, games, picks] = result.recordsets;
+    if (competitions.length === 0 || competitions[0].CompetitionType !== BRACKET_COMPETITION_TYPE) {
+        return null;
+    }
+
+    const bracket = parseBracket(competitions[0]);
+    return {
+        competition: competitions[0],
+        bracket,
+        results: resolveBracketResults(bracket, games),
+        picks: picks.map(p => ({
+            id: p.Id,
+            userId: p.UserId,
+            round: p.RoundNumber,
+            slot: p.Slot,
+            pickedTeam: p.PickedTeam,
+            result: p.Result,
+            pointsEarned: p.PointsEarned
+        }))
+    };
+}
+
+// Regrade every bracket pick in a competition from its games. Returns false
+// (and does nothing) when the competition isn't a bracket.
+async function gradeBracket(db, competitionId) {
+    const loaded = await loadBracket(db, competitionId);
+    if (!loaded) {
+        return false;
+    }
+
+    const graded = gradeBracketPicks(loaded.bracket, loaded.results, loaded.picks);
+    if (graded.length === 0) {
+        return true;
+    }
+
+    await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('graded', sql.NVarChar(sql.MAX), JSON.stringify(graded))
+        .query(`
+            UPDATE bp
+            SET Result = g.Result,
+                PointsEarned = g.PointsEarned
+            FROM BracketPicks bp
+            INNER JOIN OPENJSON(@graded) WITH (
+                Id UNIQUEIDENTIFIER '$.id',
+                Result NVARCHAR(10) '$.result',
+                PointsEarned DECIMAL(10,2) '$.pointsEarned'
+            ) g ON bp.Id = g.Id
+            WHERE bp.CompetitionId = @competitionId;
+        `);
+
+    return true;
+}
+
+// The real bracket of a loaded competition, with per-round points
+function describeBracket(loaded) {
+    const { competition, bracket, results } = loaded;
+    return {
+        competitionId: competition.Id,
+        teams: bracket.teams,
+        roundPoints: bracket.roundPoints,
+        rounds: results.map(({ round, matchups }) => ({
+            round,
+            points: bracket.roundPoints[round - 1],
+            matchups
+        }))
+    };
+}
+
+// One member's predicted bracket alongside the real winners and how each
+// pick has been graded so far
+function describeUserBracket(loaded, userId) {
+    const { bracket, results } = loaded;
+    const picks = loaded.picks.filter(p => sameId(p.userId, userId));
+
+    return {
+        competitionId: loaded.competition.Id,
+        userId,
+        submitted: picks.length > 0,
+        totalPoints: picks.reduce((sum, p) => sum + Number(p.pointsEarned || 0), 0),
+        rounds: predictBracket(bracket, picks).map(({ round, matchups }) => ({
+            round,
+            points: bracket.roundPoints[round - 1],
+            matchups: matchups.map(({ slot, teams, winner, bye }) => {
+                const pick = findBracketPick(picks, round, slot);
+                return {
+                    slot,
+                    teams,
+                    bye,
+                    pickedTeam: winner,
+                    actualWinner: results[round - 1].matchups[slot].winner,
+                    result: pick ? pick.result : null,
+                    pointsEarned: pick ? pick.pointsEarned : null
+                };
+            })
+        }))
+    };
+}
+
+// Brackets are filled in up front, so they lock as a whole: at the
+// competition's lock, or at the first game to lock in 'Game' lock mode.
+// Returns the 403/404 response, or null while brackets are open.
+async function checkBracketLock(db, competitionId) {
+    const locks = await getPickLocks(db, competitionId);
+    if (!locks) {
+        return { status: 404, jsonBody: { error: 'Competition not found' } };
+    }
+    if (locks.competitionLocked || locks.lockedGameIds.length > 0) {
+        return { status: 403, jsonBody: { error: 'Brackets are locked once the first game kicks off', lockedGameIds: locks.lockedGameIds } };
+    }
+    return null;
+}
+
+// Game picks (Picks rows) on a bracket competition would be graded alongside
+// its brackets. Returns a 400 response when the competition is a bracket,
+// otherwise null.
+async function checkNotBracket(db, competitionId) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query('SELECT CompetitionType FROM Competitions WHERE Id = @competitionId');
+
+    const competition = result.recordset[0];
+    if (competition && competition.CompetitionType === BRACKET_COMPETITION_TYPE) {
+        return { status: 400, jsonBody: { error: 'Bracket competitions take picks as a bracket: PUT /competitions/{competitionId}/brackets/{userId}' } };
+    }
+    return null;
+}
+
+module.exports = {
+    BRACKET_COMPETITION_TYPE,
+    checkBracketLock,
+    checkNotBracket,
+    defaultRoundPoints,
+    describeBracket,
+    describeUserBracket,
+    gradeBracket,
+    gradeBracketPicks,
+    loadBracket,
+    parseBracket,
+    predictBracket,
+    resolveBracketResults,
+    validateBracketPicks,
+    validateBracketSetup
+};
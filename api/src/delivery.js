@@ -0,0 +1,276 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { getEmailTransport, renderDigestEmail, renderNotificationEmail } = require('./email');
+const { getPushSender, isGoneSubscription, renderPushMessage } = require('./push');
+
+// A failed delivery is tried this many times in all before it is marked Failed
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Claimed deliveries are held this long, so an overlapping run doesn't send
+// them twice
+const DELIVERY_LEASE_MINUTES = 5;
+
+// Minutes to wait before retrying after the nth failed attempt: 1, 2, 4, 8...
+// up to an hour
+function retryDelayMinutes(attempts) {
+    return Math.min(2 ** (attempts - 1), 60);
+}
+
+// Queue new notifications for delivery, each { notificationId, channel
+// ('Email' or 'Push'), notBefore }, skipping channels that are off and push
+// to users without a subscription. Ones with notBefore (the end of the
+// user's quiet hours) wait until then. Users on the daily digest get their
+// emails held for the digest instead of sent.
+async function queueNotificationDeliveries(db, deliveries) {
+    const enabled = { Email: !!getEmailTransport(), Push: !!getPushSender() };
+    const queued = deliveries.filter(d => enabled[d.channel]);
+    if (queued.length === 0) {
+        return;
+    }
+
+    await db.request()
+        .input('deliveries', sql.NVarChar(sql.MAX), JSON.stringify(queued))
+        .query(`
+            INSERT INTO NotificationDeliveries (NotificationId, Channel, Status, NextAttemptAt)
+            SELECT n.Id, d.Channel,
+                   CASE WHEN d.Channel = 'Email' AND u.EmailDigest = 1 THEN 'Digest' ELSE 'Pending' END,
+                   COALESCE(CAST(d.NotBefore AS DATETIME2), GETUTCDATE())
+            FROM OPENJSON(@deliveries) WITH (
+                NotificationId UNIQUEIDENTIFIER '$.notificationId',
+                Channel NVARCHAR(20) '$.channel',
+                NotBefore DATETIMEOFFSET '$.notBefore'
+            ) AS d
+            INNER JOIN Notifications n ON d.NotificationId = n.Id
+            INNER JOIN Users u ON n.UserId = u.Id
+            WHERE u.IsActive = 1
+              AND (d.Channel <> 'Push' OR EXISTS (SELECT 1 FROM PushSubscriptions s WHERE s.UserId = n.UserId));
+        `);
+}
+
+// Record how a delivery attempt went: Sent, Skipped, or on failure retried
+// after a backoff until MAX_DELIVERY_ATTEMPTS, then Failed. Digest deliveries
+// that fail stay held for the next digest.
+async function recordDeliveryAttempt(db, deliveryIds, { status, error = null, attempts, now, retryStatus = 'Pending' }) {
+    let nextStatus = status;
+    let nextAttemptAt = now;
+    if (error) {
+        nextStatus = attempts >= MAX_DELIVERY_ATTEMPTS ? 'Failed' : retryStatus;
+        nextAttemptAt = new Date(now.getTime() + retryDelayMinutes(attempts) * 60000);
+    }
+
+    await db.request()
+        .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(deliveryIds))
+        .input('status', sql.NVarChar(20), nextStatus)
+        .input('attempts', sql.Int, attempts)
+        .input('nextAttemptAt', sql.DateTime2, nextAttemptAt)
+        .input('sentAt', sql.DateTime2, nextStatus === 'Sent' ? now : null)
+        .input('lastError', sql.NVarChar(1000), error ? String(error.message || error).slice(0, 1000) : null)
+        .query(`
+            UPDATE NotificationDeliveries
+            SET Status = @status,
+                Attempts = @attempts,
+                NextAttemptAt = @nextAttemptAt,
+                SentAt = COALESCE(@sentAt, SentAt),
+                LastError = @lastError,
+                UpdatedAt = GETUTCDATE()
+            WHERE Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@ids));
+        `);
+}
+
+// Claim up to batchSize pending deliveries on a channel that are due, with
+// their notification and recipient
+async function claimDueDeliveries(db, channel, { now, batchSize }) {
+    const result = await db.request()
+        .input('channel', sql.NVarChar(20), channel)
+        .input('now', sql.DateTime2, now)
+        .input('leaseUntil', sql.DateTime2, new Date(now.getTime() + DELIVERY_LEASE_MINUTES * 60000))
+        .input('batchSize', sql.Int, batchSize)
+        .query(`
+            DECLARE @claimed TABLE (Id UNIQUEIDENTIFIER, NotificationId UNIQUEIDENTIFIER, Attempts INT);
+
+            WITH Due AS (
+                SELECT TOP (@batchSize) *
+                FROM NotificationDeliveries
+                WHERE Channel = @channel AND Status = 'Pending' AND NextAttemptAt <= @now
+                ORDER BY NextAttemptAt ASC
+            )
+            UPDATE Due
+            SET NextAttemptAt = @leaseUntil, UpdatedAt = GETUTCDATE()
+            OUTPUT INSERTED.Id, INSERTED.NotificationId, INSERTED.Attempts INTO @claimed;
+
+            SELECT c.Id AS DeliveryId, c.Attempts, n.*, u.Email, u.Username, u.FirstName
+            FROM @claimed c
+            INNER JOIN Notifications n ON c.NotificationId = n.Id
+            INNER JOIN Users u ON n.UserId = u.Id;
+        `);
+
+    return result.recordset;
+}
+
+// Send every queued email that is due, up to batchSize. Notifications read
+// in the app before their email went out are skipped. Returns counts by outcome.
+async function deliverPendingEmails(db, { transport = getEmailTransport(), now = new Date(), batchSize = 50 } = {}) {
+    const summary = { sent: 0, skipped: 0, retrying: 0, failed: 0 };
+    if (!transport) {
+        return summary;
+    }
+
+    const rows = await claimDueDeliveries(db, 'Email', { now, batchSize });
+    for (const row of rows) {
+        if (row.IsRead) {
+            await recordDeliveryAttempt(db, [row.DeliveryId], { status: 'Skipped', attempts: row.Attempts, now });
+            summary.skipped += 1;
+            continue;
+        }
+
+        const attempts = row.Attempts + 1;
+        try {
+            await transport.send(renderNotificationEmail(row, row));
+            await recordDeliveryAttempt(db, [row.DeliveryId], { status: 'Sent', attempts, now });
+            summary.sent += 1;
+        } catch (err) {
+            await recordDeliveryAttempt(db, [row.DeliveryId], { error: err, attempts, now });
+            summary[attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'retrying'] += 1;
+        }
+    }
+
+    return summary;
+}
+
+// Push every queued notification that is due, up to batchSize, to all of its
+// user's subscriptions. It counts as sent once any subscription accepts it,
+// and is retried when none did and one failed for a reason other than being
+// gone. Subscriptions the push service reports gone (404/410) are deleted.
+// Notifications already read in the app are skipped. Returns counts by outcome.
+async function deliverPendingPushes(db, { sender = getPushSender(), now = new Date(), batchSize = 50 } = {}) {
+    const summary = { sent: 0, skipped: 0, retrying: 0, failed: 0, pruned: 0 };
+    if (!sender) {
+        return summary;
+    }
+
+    const rows = await claimDueDeliveries(db, 'Push', { now, batchSize });
+    if (rows.length === 0) {
+        return summary;
+    }
+
+    const subscriptions = await db.request()
+        .input('userIds', sql.NVarChar(sql.MAX), JSON.stringify(rows.map(r => r.UserId)))
+        .query(`
+            SELECT Id, UserId, Endpoint, P256dh, Auth
+            FROM PushSubscriptions
+            WHERE UserId IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@userIds));
+        `);
+
+    const gone = [];
+    for (const row of rows) {
+        const targets = subscriptions.recordset
+            .filter(s => sameId(s.UserId, row.UserId) && !gone.some(id => sameId(id, s.Id)));
+
+        if (row.IsRead || targets.length === 0) {
+            await recordDeliveryAttempt(db, [row.DeliveryId], { status: 'Skipped', attempts: row.Attempts, now });
+            summary.skipped += 1;
+            continue;
+        }
+
+        const attempts = row.Attempts + 1;
+        let delivered = 0;
+        let error = null;
+        for (const target of targets) {
+            try {
+                await sender.send({ endpoint: target.Endpoint, keys: { p256dh: target.P256dh, auth: target.Auth } }, renderPushMessage(row));
+                delivered += 1;
+            } catch (err) {
+                if (isGoneSubscription(err)) {
+                    gone.push(target.Id);
+                } else {
+                    error = err;
+                }
+            }
+        }
+
+        if (delivered > 0) {
+            await recordDeliveryAttempt(db, [row.DeliveryId], { status: 'Sent', attempts, now });
+            summary.sent += 1;
+        } else if (error) {
+            await recordDeliveryAttempt(db, [row.DeliveryId], { error, attempts, now });
+            summary[attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'retrying'] += 1;
+        } else {
+            await recordDeliveryAttempt(db, [row.DeliveryId], { status: 'Skipped', attempts, now });
+            summary.skipped += 1;
+        }
+    }
+
+    if (gone.length > 0) {
+        await db.request()
+            .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(gone))
+            .query('DELETE FROM PushSubscriptions WHERE Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@ids))');
+        summary.pruned = gone.length;
+    }
+
+    return summary;
+}
+
+// Send each digest user one email with their held notifications that are
+// still unread; the ones already read are skipped. Returns counts by outcome.
+async function sendEmailDigests(db, { transport = getEmailTransport(), now = new Date() } = {}) {
+    const summary = { digests: 0, notifications: 0, skipped: 0, failed: 0 };
+    if (!transport) {
+        return summary;
+    }
+
+    const result = await db.request()
+        .query(`
+            SELECT d.Id AS DeliveryId, d.Attempts, n.*, u.Email, u.Username, u.FirstName
+            FROM NotificationDeliveries d
+            INNER JOIN Notifications n ON d.NotificationId = n.Id
+            INNER JOIN Users u ON n.UserId = u.Id
+            WHERE d.Channel = 'Email' AND d.Status = 'Digest'
+            ORDER BY n.UserId ASC, n.CreatedAt ASC;
+        `);
+
+    const byUser = [];
+    for (const row of result.recordset) {
+        const last = byUser[byUser.length - 1];
+        if (last && sameId(last[0].UserId, row.UserId)) {
+            last.push(row);
+        } else {
+            byUser.push([row]);
+        }
+    }
+
+    for (const rows of byUser) {
+        const read = rows.filter(r => r.IsRead);
+        const unread = rows.filter(r => !r.IsRead);
+
+        if (read.length > 0) {
+            await recordDeliveryAttempt(db, read.map(r => r.DeliveryId), { status: 'Skipped', attempts: 0, now });
+            summary.skipped += read.length;
+        }
+        if (unread.length === 0) {
+            continue;
+        }
+
+        const ids = unread.map(r => r.DeliveryId);
+        const attempts = Math.max(...unread.map(r => r.Attempts)) + 1;
+        try {
+            await transport.send(renderDigestEmail(unread, unread[0]));
+            await recordDeliveryAttempt(db, ids, { status: 'Sent', attempts, now });
+            summary.digests += 1;
+            summary.notifications += unread.length;
+        } catch (err) {
+            await recordDeliveryAttempt(db, ids, { error: err, attempts, now, retryStatus: 'Digest' });
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    MAX_DELIVERY_ATTEMPTS,
+    deliverPendingEmails,
+    deliverPendingPushes,
+    queueNotificationDeliveries,
+    retryDelayMinutes,
+    sendEmailDigests
+};
@@ -0,0 +1,151 @@
+const nodemailer = require('nodemailer');
+
+// Outbound email. EMAIL_TRANSPORT picks how mail leaves the app:
+//   smtp - SMTP_HOST / SMTP_PORT (default 587) / SMTP_SECURE ('true' for TLS
+//          on connect) / SMTP_USER / SMTP_PASSWORD. A local catcher such as
+//          MailHog works with SMTP_HOST=localhost, SMTP_PORT=1025.
+//   log  - write each message to the console instead of sending it
+//   none - email is off (the default when SMTP_HOST isn't set)
+// EMAIL_FROM is the sender address and APP_BASE_URL is linked from emails.
+// Other transports can be added with registerEmailTransport.
+
+const EMAIL_TRANSPORTS = {
+    smtp: env => {
+        const transporter = nodemailer.createTransport({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+        });
+        return {
+            name: 'smtp',
+            send: message => transporter.sendMail({ from: env.EMAIL_FROM, ...message })
+        };
+    },
+    log: env => ({
+        name: 'log',
+        send: async message => {
+            console.log(`[email] from ${env.EMAIL_FROM} to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    })
+};
+
+let transport;
+
+// Add a transport: `factory(env)` returns { name, send(message) } where
+// send resolves once the message is accepted and rejects if it wasn't
+function registerEmailTransport(name, factory) {
+    EMAIL_TRANSPORTS[name] = factory;
+    transport = undefined;
+}
+
+// The configured transport, or null when email is off
+function getEmailTransport(env = process.env) {
+    if (transport === undefined) {
+        const name = env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'none');
+        if (name !== 'none' && !EMAIL_TRANSPORTS[name]) {
+            throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+        }
+        transport = name === 'none' ? null : EMAIL_TRANSPORTS[name](env);
+    }
+    return transport;
+}
+
+// Absolute link into the app, or null when APP_BASE_URL isn't set
+function appLink(path) {
+    const base = process.env.APP_BASE_URL;
+    return base ? `${base.replace(/\/$/, '')}${path}` : null;
+}
+
+function linkLine(label, url) {
+    return url ? `\n\n${label}: ${url}` : '';
+}
+
+// Where a notification points in the app, by its related entity
+function notificationPath(notification) {
+    const id = notification.RelatedEntityId;
+    switch (notification.RelatedEntityType) {
+        case 'League': return `/leagues/${id}`;
+        case 'Competition': return `/competitions/${id}`;
+        default: return '/notifications';
+    }
+}
+
+function notificationLink(notification) {
+    return appLink(notificationPath(notification));
+}
+
+function greeting(user) {
+    return `Hi ${user.FirstName || user.Username},`;
+}
+
+// Subject and body per notification Type. Each takes the Notifications row
+// and the recipient's Users row; types without one use DEFAULT_EMAIL_TEMPLATE.
+const EMAIL_TEMPLATES = {
+    LeagueInvite: {
+        subject: n => `You're invited: ${n.Title}`,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('Join the league', notificationLink(n))}`
+    },
+    CompetitionStarted: {
+        subject: n => `Picks are open: ${n.Title}`,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('Make your picks', notificationLink(n))}`
+    },
+    ScoresUpdated: {
+        subject: n => n.Title,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('See the leaderboard', notificationLink(n))}`
+    },
+    MemberJoined: {
+        subject: n => n.Title,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('See the league', notificationLink(n))}`
+    },
+    CompetitionCreated: {
+        subject: n => n.Title,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('Make your picks', notificationLink(n))}`
+    },
+    CompetitionLocked: {
+        subject: n => n.Title,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine("See everyone's picks", notificationLink(n))}`
+    },
+    FirstPlace: {
+        subject: n => `Congratulations! ${n.Title}`,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('See the standings', notificationLink(n))}`
+    },
+    GameResultChanged: {
+        subject: n => n.Title,
+        text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('See your picks', notificationLink(n))}`
+    }
+};
+
+const DEFAULT_EMAIL_TEMPLATE = {
+    subject: n => n.Title,
+    text: (n, user) => `${greeting(user)}\n\n${n.Message}${linkLine('Open', notificationLink(n))}`
+};
+
+// The email for one notification: { to, subject, text }
+function renderNotificationEmail(notification, user) {
+    const template = EMAIL_TEMPLATES[notification.Type] || DEFAULT_EMAIL_TEMPLATE;
+    return {
+        to: user.Email,
+        subject: template.subject(notification, user),
+        text: template.text(notification, user)
+    };
+}
+
+// One email listing a user's unread notifications, oldest first
+function renderDigestEmail(notifications, user) {
+    const lines = notifications.map(n => `- ${n.Title}\n  ${n.Message}`);
+    return {
+        to: user.Email,
+        subject: `Your daily summary: ${notifications.length} unread notification${notifications.length === 1 ? '' : 's'}`,
+        text: `${greeting(user)}\n\nHere's what you missed:\n\n${lines.join('\n\n')}${linkLine('See them all', appLink('/notifications'))}`
+    };
+}
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    getEmailTransport,
+    notificationPath,
+    registerEmailTransport,
+    renderDigestEmail,
+    renderNotificationEmail
+};
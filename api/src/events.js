@@ -0,0 +1,138 @@
+const { EventEmitter } = require('node:events');
+const { PassThrough } = require('node:stream');
+const { sameId } = require('./auth');
+
+// In-process event bus for live updates. Events only reach streams served by
+// the same Functions host instance; running more than one instance needs a
+// shared broker in place of the emitter below.
+//
+// Event ids are "<boot>-<sequence>" so a Last-Event-ID from before a restart
+// can be told apart from one this process issued.
+const BOOT_ID = Date.now().toString(36);
+const HISTORY_LIMIT = 500;
+const HEARTBEAT_MS = 15000;
+const STREAM_MAX_MS = (Number(process.env.SSE_MAX_SECONDS) || 240) * 1000;
+const RETRY_MS = 3000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = [];
+let sequence = 0;
+
+// Publish an event to every stream watching its league or competition.
+// Types: 'game' (score/status change), 'picks' (picks regraded),
+// 'leaderboard' (points/rank changes), 'competition' (status change).
+function publish(type, { leagueId, competitionId }, data) {
+    sequence += 1;
+    const event = {
+        id: `${BOOT_ID}-${sequence}`,
+        sequence,
+        type,
+        leagueId,
+        competitionId: competitionId || null,
+        data,
+        publishedAt: new Date()
+    };
+
+    history.push(event);
+    if (history.length > HISTORY_LIMIT) {
+        history.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+}
+
+// A competition stream sees that competition's events; a league stream sees
+// every event in the league
+function inScope(event, { leagueId, competitionId }) {
+    return competitionId ? sameId(event.competitionId, competitionId) : sameId(event.leagueId, leagueId);
+}
+
+function subscribe(scope, listener) {
+    const handler = event => {
+        if (inScope(event, scope)) {
+            listener(event);
+        }
+    };
+    emitter.on('event', handler);
+    return () => emitter.off('event', handler);
+}
+
+// Buffered events after lastEventId. `complete` is false when the id came
+// from another process or has aged out of the buffer, so some were missed.
+function eventsSince(lastEventId, scope) {
+    const [boot, sequenceText] = String(lastEventId).split('-');
+    const after = Number(sequenceText);
+    if (boot !== BOOT_ID || !Number.isInteger(after)) {
+        return { events: [], complete: false };
+    }
+
+    const oldest = history.length > 0 ? history[0].sequence : sequence + 1;
+    return {
+        events: history.filter(e => e.sequence > after && inScope(e, scope)),
+        complete: after >= oldest - 1
+    };
+}
+
+function formatEvent(event) {
+    const data = JSON.stringify({
+        leagueId: event.leagueId,
+        competitionId: event.competitionId,
+        publishedAt: event.publishedAt,
+        ...event.data
+    });
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`;
+}
+
+// Build the SSE response for a scope. Replays what the client missed since
+// lastEventId (or sends a 'reset' event telling it to refetch when that isn't
+// possible), then streams new events with periodic heartbeats. The stream
+// ends after SSE_MAX_SECONDS so the function invocation finishes; EventSource
+// reconnects with Last-Event-ID and picks up where it left off.
+function openEventStream(scope, lastEventId) {
+    const stream = new PassThrough();
+    const write = chunk => {
+        if (!stream.destroyed && !stream.writableEnded) {
+            stream.write(chunk);
+        }
+    };
+
+    write(`retry: ${RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+        const { events, complete } = eventsSince(lastEventId, scope);
+        if (!complete) {
+            write('event: reset\ndata: {}\n\n');
+        }
+        events.forEach(event => write(formatEvent(event)));
+    }
+
+    const unsubscribe = subscribe(scope, event => write(formatEvent(event)));
+    const heartbeat = setInterval(() => write(': keep-alive\n\n'), HEARTBEAT_MS);
+    const expiry = setTimeout(() => stream.end(), STREAM_MAX_MS);
+
+    stream.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+    });
+
+    return {
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        },
+        body: stream
+    };
+}
+
+module.exports = {
+    eventsSince,
+    openEventStream,
+    publish,
+    subscribe
+};
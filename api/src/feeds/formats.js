@@ -0,0 +1,175 @@
+// Parsers for schedule/results feeds. Both formats produce the same game
+// records (see docs/feed-format.md):
+//   { externalGameId, week, homeTeam, awayTeam, gameDate, venue, status,
+//     homeTeamScore, awayTeamScore, spreadLine, overUnderLine,
+//     homeMoneyline, awayMoneyline }
+
+const GAME_STATUSES = ['Scheduled', 'InProgress', 'Final', 'Postponed', 'Cancelled'];
+
+const FEED_FIELDS = [
+    'externalGameId', 'week', 'homeTeam', 'awayTeam', 'gameDate', 'venue', 'status',
+    'homeTeamScore', 'awayTeamScore', 'spreadLine', 'overUnderLine', 'homeMoneyline', 'awayMoneyline'
+];
+
+const INTEGER_FIELDS = ['week', 'homeTeamScore', 'awayTeamScore', 'homeMoneyline', 'awayMoneyline'];
+const DECIMAL_FIELDS = ['spreadLine', 'overUnderLine'];
+
+function blank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Check and convert one raw feed row. Returns { game } or { error }.
+function normalizeFeedGame(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'Row is not an object' };
+    }
+
+    for (const field of ['externalGameId', 'homeTeam', 'awayTeam', 'gameDate']) {
+        if (blank(raw[field])) {
+            return { error: `${field} is required` };
+        }
+    }
+
+    const game = {
+        externalGameId: String(raw.externalGameId).trim(),
+        week: null,
+        homeTeam: String(raw.homeTeam).trim(),
+        awayTeam: String(raw.awayTeam).trim(),
+        gameDate: new Date(raw.gameDate),
+        venue: blank(raw.venue) ? null : String(raw.venue).trim(),
+        status: blank(raw.status) ? null : String(raw.status).trim()
+    };
+
+    if (isNaN(game.gameDate.getTime())) {
+        return { error: 'gameDate must be a valid date' };
+    }
+    if (game.status && !GAME_STATUSES.includes(game.status)) {
+        return { error: `status must be one of: ${GAME_STATUSES.join(', ')}` };
+    }
+
+    for (const field of [...INTEGER_FIELDS, ...DECIMAL_FIELDS]) {
+        if (blank(raw[field])) {
+            game[field] = null;
+            continue;
+        }
+        const value = Number(raw[field]);
+        if (!Number.isFinite(value) || (INTEGER_FIELDS.includes(field) && !Number.isInteger(value))) {
+            return { error: `${field} must be a ${INTEGER_FIELDS.includes(field) ? 'whole number' : 'number'}` };
+        }
+        game[field] = value;
+    }
+
+    return { game };
+}
+
+// Accepts either { "games": [...] } or a bare array of games
+function parseJsonFeed(content) {
+    const feed = typeof content === 'string' ? JSON.parse(content) : content;
+    const rows = Array.isArray(feed) ? feed : feed && feed.games;
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON feed must be an array of games or an object with a "games" array');
+    }
+    return rows;
+}
+
+// Split CSV text into rows of fields, honouring double-quoted fields
+// (which may contain commas, newlines and "" escapes)
+function splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// First row is a header naming the feed fields; unknown columns are ignored
+function parseCsvFeed(content) {
+    const [header, ...rows] = splitCsv(String(content));
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(name => name.trim());
+    if (!columns.includes('externalGameId')) {
+        throw new Error('CSV feed header must include externalGameId');
+    }
+
+    return rows.map(values => {
+        const raw = {};
+        columns.forEach((name, i) => {
+            if (FEED_FIELDS.includes(name)) {
+                raw[name] = values[i] === undefined ? '' : values[i].trim();
+            }
+        });
+        return raw;
+    });
+}
+
+const FEED_PARSERS = {
+    json: parseJsonFeed,
+    csv: parseCsvFeed
+};
+
+// Parse feed content and normalize every row. Returns { games, errors } with
+// errors as { row, externalGameId, error } (row is 1-based within the feed).
+function parseFeed(format, content) {
+    const parse = FEED_PARSERS[format];
+    if (!parse) {
+        throw new Error(`Unsupported feed format "${format}" (expected one of: ${Object.keys(FEED_PARSERS).join(', ')})`);
+    }
+
+    const games = [];
+    const errors = [];
+    parse(content).forEach((raw, index) => {
+        const { game, error } = normalizeFeedGame(raw);
+        if (error) {
+            errors.push({ row: index + 1, externalGameId: (raw && raw.externalGameId) || null, error });
+        } else {
+            games.push(game);
+        }
+    });
+
+    return { games, errors };
+}
+
+module.exports = {
+    FEED_FIELDS,
+    GAME_STATUSES,
+    normalizeFeedGame,
+    parseFeed
+};
@@ -0,0 +1,234 @@
+const { sql } = require('../db');
+const { sameId } = require('../auth');
+const { applyGameResults, planGameResults, publishGameResults } = require('../liveScores');
+const { syncFirstKickoffLockDates } = require('../season');
+
+// Schedule columns a feed can set on an existing game, keyed by feed field.
+// Results (status and scores) go through planGameResults instead.
+const GAME_COLUMNS = {
+    homeTeam: 'HomeTeam',
+    awayTeam: 'AwayTeam',
+    gameDate: 'GameDate',
+    venue: 'Venue',
+    spreadLine: 'SpreadLine',
+    overUnderLine: 'OverUnderLine',
+    homeMoneyline: 'HomeMoneyline',
+    awayMoneyline: 'AwayMoneyline'
+};
+
+function sameValue(current, next) {
+    if (current instanceof Date || next instanceof Date) {
+        return current !== null && next !== null && new Date(current).getTime() === new Date(next).getTime();
+    }
+    if (typeof next === 'number') {
+        return current !== null && Number(current) === next;
+    }
+    return current === next;
+}
+
+const RESULT_FIELDS = [['status', 'Status'], ['homeTeamScore', 'HomeTeamScore'], ['awayTeamScore', 'AwayTeamScore']];
+
+// An existing game's status and scores from the feed, checked the way
+// submitGameResults checks them. Returns { change, changes } or { error }.
+function planFeedResult(existing, game) {
+    const plan = planGameResults([existing], [{
+        gameId: existing.Id,
+        status: game.status || undefined,
+        homeTeamScore: game.homeTeamScore === null ? undefined : game.homeTeamScore,
+        awayTeamScore: game.awayTeamScore === null ? undefined : game.awayTeamScore
+    }], { skipSteps: true });
+
+    if (plan.errors.length > 0) {
+        return { error: plan.errors[0].error };
+    }
+
+    const change = plan.changes[0];
+    if (!change) {
+        return { change: null, changes: [] };
+    }
+    return { change, changes: RESULT_FIELDS.filter(([field, column]) => change[field] !== existing[column]).map(([field]) => field) };
+}
+
+// Upsert feed games into a league by ExternalGameId. With a competitionId
+// every game goes to that competition; otherwise each game's `week` picks the
+// league competition with that WeekNumber. A game already imported into a
+// different competition is reported as an error, not moved, since its picks
+// belong to the competition it's in. Fields missing from the feed keep
+// their current values. New status and scores for existing games are checked
+// and saved like submitGameResults, regrading the picks on those games, except
+// that a game may skip forward (Scheduled straight to Final). With dryRun
+// nothing is written.
+// Returns { created, updated, unchanged, errors } as lists of rows.
+async function importFeedGames(pool, { leagueId, competitionId, games, dryRun }) {
+    const lookup = await pool.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('competitionId', sql.UniqueIdentifier, competitionId || null)
+        .query(`
+            SELECT Id, WeekNumber
+            FROM Competitions
+            WHERE LeagueId = @leagueId AND (@competitionId IS NULL OR Id = @competitionId);
+
+            SELECT g.*
+            FROM Games g
+            INNER JOIN Competitions c ON g.CompetitionId = c.Id
+            WHERE c.LeagueId = @leagueId AND g.ExternalGameId IS NOT NULL;
+        `);
+
+    const [competitions, existingGames] = lookup.recordsets;
+    const competitionsByWeek = new Map(competitions.map(c => [c.WeekNumber, c.Id]));
+    const existingByExternalId = new Map(existingGames.map(g => [g.ExternalGameId, g]));
+
+    const report = { created: [], updated: [], unchanged: [], errors: [] };
+    const creates = [];
+    const updates = [];
+    const resultChanges = [];
+    const seen = new Set();
+
+    for (const game of games) {
+        const row = { externalGameId: game.externalGameId };
+
+        if (seen.has(game.externalGameId)) {
+            report.errors.push({ ...row, error: 'externalGameId appears more than once in the feed' });
+            continue;
+        }
+        seen.add(game.externalGameId);
+
+        if (!competitionId && game.week === null) {
+            report.errors.push({ ...row, error: 'week is required when importing a whole season' });
+            continue;
+        }
+
+        const targetCompetitionId = competitionId ? competitions[0] && competitions[0].Id : competitionsByWeek.get(game.week);
+        if (!targetCompetitionId) {
+            report.errors.push({ ...row, error: competitionId ? 'Competition not found' : `No competition for week ${game.week}` });
+            continue;
+        }
+
+        const existing = existingByExternalId.get(game.externalGameId);
+        if (!existing) {
+            creates.push({ ...game, competitionId: targetCompetitionId, status: game.status || 'Scheduled' });
+            report.created.push({ ...row, competitionId: targetCompetitionId });
+            continue;
+        }
+
+        if (!sameId(existing.CompetitionId, targetCompetitionId)) {
+            report.errors.push({
+                ...row,
+                gameId: existing.Id,
+                error: `Game is already in competition ${existing.CompetitionId}; fix the feed or move the game by hand`
+            });
+            continue;
+        }
+
+        const result = planFeedResult(existing, game);
+        if (result.error) {
+            report.errors.push({ ...row, gameId: existing.Id, error: result.error });
+            continue;
+        }
+
+        const merged = { id: existing.Id, externalGameId: game.externalGameId, competitionId: targetCompetitionId };
+        const changes = [];
+        for (const [field, column] of Object.entries(GAME_COLUMNS)) {
+            const next = game[field] === null ? existing[column] : game[field];
+            merged[field] = next;
+            if (!sameValue(existing[column], next)) {
+                changes.push(field);
+            }
+        }
+        if (changes.length > 0) {
+            updates.push(merged);
+        }
+        if (result.change) {
+            resultChanges.push({ competitionId: targetCompetitionId, change: result.change });
+        }
+
+        if (changes.length === 0 && result.changes.length === 0) {
+            report.unchanged.push({ ...row, gameId: existing.Id });
+        } else {
+            report.updated.push({ ...row, gameId: existing.Id, changes: [...changes, ...result.changes] });
+        }
+    }
+
+    if (dryRun || (creates.length === 0 && updates.length === 0 && resultChanges.length === 0)) {
+        return report;
+    }
+
+    const gameColumns = `
+        HomeTeam NVARCHAR(100) '$.homeTeam',
+        AwayTeam NVARCHAR(100) '$.awayTeam',
+        GameDate DATETIMEOFFSET '$.gameDate',
+        Venue NVARCHAR(200) '$.venue',
+        SpreadLine DECIMAL(5,2) '$.spreadLine',
+        OverUnderLine DECIMAL(5,2) '$.overUnderLine',
+        HomeMoneyline INT '$.homeMoneyline',
+        AwayMoneyline INT '$.awayMoneyline'
+    `;
+
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    let written;
+    try {
+        written = await transaction.request()
+            .input('creates', sql.NVarChar(sql.MAX), JSON.stringify(creates))
+            .input('updates', sql.NVarChar(sql.MAX), JSON.stringify(updates))
+            .query(`
+                INSERT INTO Games (CompetitionId, ExternalGameId, HomeTeam, AwayTeam, GameDate, Venue, Status,
+                                   HomeTeamScore, AwayTeamScore, SpreadLine, OverUnderLine, HomeMoneyline, AwayMoneyline)
+                OUTPUT INSERTED.Id, INSERTED.ExternalGameId
+                SELECT CompetitionId, ExternalGameId, HomeTeam, AwayTeam, CAST(GameDate AS DATETIME2), Venue, Status,
+                       HomeTeamScore, AwayTeamScore, SpreadLine, OverUnderLine, HomeMoneyline, AwayMoneyline
+                FROM OPENJSON(@creates) WITH (
+                    CompetitionId UNIQUEIDENTIFIER '$.competitionId',
+                    ExternalGameId NVARCHAR(100) '$.externalGameId',
+                    Status NVARCHAR(20) '$.status',
+                    HomeTeamScore INT '$.homeTeamScore',
+                    AwayTeamScore INT '$.awayTeamScore',
+                    ${gameColumns}
+                );
+
+                UPDATE g
+                SET HomeTeam = u.HomeTeam,
+                    AwayTeam = u.AwayTeam,
+                    GameDate = CAST(u.GameDate AS DATETIME2),
+                    Venue = u.Venue,
+                    SpreadLine = u.SpreadLine,
+                    OverUnderLine = u.OverUnderLine,
+                    HomeMoneyline = u.HomeMoneyline,
+                    AwayMoneyline = u.AwayMoneyline,
+                    UpdatedAt = GETUTCDATE()
+                FROM Games g
+                INNER JOIN OPENJSON(@updates) WITH (
+                    Id UNIQUEIDENTIFIER '$.id',
+                    ${gameColumns}
+                ) u ON g.Id = u.Id;
+            `);
+
+        await transaction.commit();
+    } catch (err) {
+        await transaction.rollback().catch(() => {});
+        throw err;
+    }
+
+    const createdIds = new Map(written.recordset.map(g => [g.ExternalGameId, g.Id]));
+    for (const row of report.created) {
+        row.gameId = createdIds.get(row.externalGameId);
+    }
+
+    const touched = new Set([...creates.map(g => g.competitionId), ...updates.map(g => g.competitionId)]);
+    await syncFirstKickoffLockDates(pool, [...touched]);
+
+    // Results last, a competition at a time, as submitGameResults saves them
+    const resultCompetitionIds = [...new Set(resultChanges.map(r => r.competitionId))];
+    for (const resultCompetitionId of resultCompetitionIds) {
+        const changes = resultChanges.filter(r => r.competitionId === resultCompetitionId).map(r => r.change);
+        const saved = await applyGameResults(pool, resultCompetitionId, changes);
+        publishGameResults({ leagueId, competitionId: resultCompetitionId }, saved);
+    }
+
+    return report;
+}
+
+module.exports = {
+    importFeedGames,
+    planFeedResult
+};
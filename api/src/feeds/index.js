@@ -0,0 +1,65 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { parseFeed } = require('./formats');
+
+// Directory the 'file' source reads from. Defaults to the bundled fixtures.
+const FEED_FILE_DIR = process.env.FEED_FILE_DIR || path.join(__dirname, 'fixtures');
+
+// Where feed content comes from. A source takes the import options and
+// resolves to { format, content }; content may be text or already-parsed JSON.
+// A real provider plugs in with registerFeedSource('provider', async options => ...).
+const FEED_SOURCES = {
+    // Feed sent in the request body as `data`
+    inline: async ({ format, data }) => ({ format: format || 'json', content: data }),
+
+    // Feed read from a file under FEED_FILE_DIR, format taken from its extension
+    file: async ({ format, path: file }) => {
+        if (!file) {
+            throw new Error('path is required for the file source');
+        }
+        const dir = path.resolve(FEED_FILE_DIR);
+        const resolved = path.resolve(dir, file);
+        if (!resolved.startsWith(dir + path.sep)) {
+            throw new Error('path must be inside the feed directory');
+        }
+        return {
+            format: format || path.extname(resolved).slice(1).toLowerCase(),
+            content: await fs.readFile(resolved, 'utf8')
+        };
+    }
+};
+
+function registerFeedSource(name, source) {
+    FEED_SOURCES[name] = source;
+}
+
+// Fetch and parse a feed. Returns { games, errors } (see parseFeed), or
+// { error } when the feed can't be read or parsed at all.
+async function loadFeed(options) {
+    const source = FEED_SOURCES[options.source || 'inline'];
+    if (!source) {
+        return { error: `Unknown feed source "${options.source}"` };
+    }
+
+    let feed;
+    try {
+        feed = await source(options);
+    } catch (err) {
+        return { error: `Could not read feed: ${err.message}` };
+    }
+
+    if (feed.content === undefined || feed.content === null || feed.content === '') {
+        return { error: 'Feed is empty' };
+    }
+
+    try {
+        return parseFeed(feed.format, feed.content);
+    } catch (err) {
+        return { error: `Could not parse feed: ${err.message}` };
+    }
+}
+
+module.exports = {
+    loadFeed,
+    registerFeedSource
+};
@@ -0,0 +1,177 @@
+const { app } = require('@azure/functions');
+const { getConnection, sql } = require('../db');
+const { authenticate, forbidUnlessSelf, getLeagueRole, hasLeagueRole } = require('../auth');
+const { checkLeagueMembership } = require('../pickRules');
+const {
+    checkBracketLock,
+    describeBracket,
+    describeUserBracket,
+    loadBracket,
+    predictBracket,
+    validateBracketPicks
+} = require('../bracket');
+
+// GET the real bracket for a bracket competition, filled in as games go Final
+app.http('getBracket', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/bracket',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const loaded = await loadBracket(pool, request.params.competitionId);
+            if (!loaded) {
+                return { status: 404, jsonBody: { error: 'Bracket competition not found' } };
+            }
+
+            return { jsonBody: describeBracket(loaded) };
+        } catch (err) {
+            context.error('Error fetching bracket:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET a member's bracket. Other members' brackets stay hidden until brackets
+// lock, unless the league makes picks always visible.
+app.http('getUserBracket', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/brackets/{userId}',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const competitionId = request.params.competitionId;
+            const userId = request.params.userId;
+
+            const loaded = await loadBracket(pool, competitionId);
+            if (!loaded) {
+                return { status: 404, jsonBody: { error: 'Bracket competition not found' } };
+            }
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden && loaded.competition.PickVisibility !== 'AlwaysVisible') {
+                const membership = await getLeagueRole(pool, user.Id, { competitionId });
+                const isCommissioner = membership && hasLeagueRole(membership.Role, 'CoCommissioner');
+                if (!isCommissioner && !(await checkBracketLock(pool, competitionId))) {
+                    return { status: 403, jsonBody: { error: 'Other members\' brackets are hidden until brackets lock' } };
+                }
+            }
+
+            return { jsonBody: describeUserBracket(loaded, userId) };
+        } catch (err) {
+            context.error('Error fetching user bracket:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// PUT a member's whole bracket: a winner for every matchup, replacing any
+// bracket they submitted before
+app.http('submitBracket', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/brackets/{userId}',
+    handler: async (request, context) => {
+        let transaction;
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const competitionId = request.params.competitionId;
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const body = await request.json();
+            if (!Array.isArray(body.picks) || body.picks.length === 0) {
+                return { status: 400, jsonBody: { error: 'picks must be a non-empty array' } };
+            }
+
+            const picks = body.picks.map(pick => ({
+                round: pick && pick.round,
+                slot: pick && pick.slot,
+                pickedTeam: pick && pick.pickedTeam
+            }));
+
+            transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            const locked = await checkBracketLock(transaction, competitionId);
+            if (locked) {
+                await transaction.rollback();
+                return locked;
+            }
+
+            const notMember = await checkLeagueMembership(transaction, competitionId, userId);
+            if (notMember) {
+                await transaction.rollback();
+                return notMember;
+            }
+
+            const loaded = await loadBracket(transaction, competitionId);
+            if (!loaded) {
+                await transaction.rollback();
+                return { status: 404, jsonBody: { error: 'Bracket competition not found' } };
+            }
+
+            const errors = validateBracketPicks(loaded.bracket, picks);
+            if (errors.length > 0) {
+                await transaction.rollback();
+                return { status: 400, jsonBody: { error: 'Bracket is invalid', errors } };
+            }
+
+            // Store the bracket's own spelling of each team
+            const rows = [];
+            for (const { round, matchups } of predictBracket(loaded.bracket, picks)) {
+                matchups
+                    .filter(m => !m.bye)
+                    .forEach(m => rows.push({ round, slot: m.slot, pickedTeam: m.winner }));
+            }
+
+            await transaction.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('picks', sql.NVarChar(sql.MAX), JSON.stringify(rows))
+                .query(`
+                    DELETE FROM BracketPicks
+                    WHERE CompetitionId = @competitionId AND UserId = @userId;
+
+                    INSERT INTO BracketPicks (CompetitionId, UserId, RoundNumber, Slot, PickedTeam)
+                    SELECT @competitionId, @userId, RoundNumber, Slot, PickedTeam
+                    FROM OPENJSON(@picks) WITH (
+                        RoundNumber INT '$.round',
+                        Slot INT '$.slot',
+                        PickedTeam NVARCHAR(100) '$.pickedTeam'
+                    );
+                `);
+
+            const saved = await loadBracket(transaction, competitionId);
+            await transaction.commit();
+
+            return { jsonBody: describeUserBracket(saved, userId) };
+        } catch (err) {
+            context.error('Error submitting bracket:', err);
+            if (transaction) {
+                await transaction.rollback().catch(() => {});
+            }
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
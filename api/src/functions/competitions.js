@@ -1,5 +1,10 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authorizeLeague } = require('../auth');
+const { BRACKET_COMPETITION_TYPE, validateBracketSetup } = require('../bracket');
+const { notifyCompetitionsCreated } = require('../notifications');
+const { PICK_LOCK_MODES } = require('../pickRules');
+const { buildSeasonSchedule } = require('../season');
 
 // GET competitions for a league
 app.http('getCompetitions', {
@@ -56,14 +61,38 @@ app.http('createCompetition', {
         try {
             const pool = await getConnection();
             const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
-            const { weekNumber, name, description, startDate, endDate, lockDate, competitionType } = body;
+            const { weekNumber, name, description, startDate, endDate, lockDate, competitionType, lockMode, gameLockOffsetMinutes, tiebreakerQuestion, bracketTeams, bracketRoundPoints } = body;
 
             if (!weekNumber || !name || !startDate || !endDate || !lockDate) {
                 return { status: 400, jsonBody: { error: 'weekNumber, name, startDate, endDate, and lockDate are required' } };
             }
 
+            if (competitionType === BRACKET_COMPETITION_TYPE) {
+                const bracketError = validateBracketSetup(bracketTeams, bracketRoundPoints);
+                if (bracketError) {
+                    return { status: 400, jsonBody: { error: bracketError } };
+                }
+            } else if (bracketTeams !== undefined || bracketRoundPoints !== undefined) {
+                return { status: 400, jsonBody: { error: `bracketTeams and bracketRoundPoints only apply to ${BRACKET_COMPETITION_TYPE} competitions` } };
+            }
+
+            if (lockMode && !PICK_LOCK_MODES.includes(lockMode)) {
+                return { status: 400, jsonBody: { error: `lockMode must be one of: ${PICK_LOCK_MODES.join(', ')}` } };
+            }
+
+            if (gameLockOffsetMinutes !== undefined && gameLockOffsetMinutes !== null &&
+                (!Number.isInteger(gameLockOffsetMinutes) || gameLockOffsetMinutes < 0)) {
+                return { status: 400, jsonBody: { error: 'gameLockOffsetMinutes must be a non-negative whole number' } };
+            }
+
             const result = await pool.request()
                 .input('leagueId', sql.UniqueIdentifier, leagueId)
                 .input('weekNumber', sql.Int, weekNumber)
@@ -73,12 +102,23 @@ app.http('createCompetition', {
                 .input('endDate', sql.DateTime2, new Date(endDate))
                 .input('lockDate', sql.DateTime2, new Date(lockDate))
                 .input('competitionType', sql.NVarChar(50), competitionType || 'Standard')
+                .input('lockMode', sql.NVarChar(20), lockMode || 'Competition')
+                .input('gameLockOffsetMinutes', sql.Int, gameLockOffsetMinutes || 0)
+                .input('tiebreakerQuestion', sql.NVarChar(200), tiebreakerQuestion || null)
+                .input('bracketTeams', sql.NVarChar(sql.MAX), bracketTeams ? JSON.stringify(bracketTeams) : null)
+                .input('bracketRoundPoints', sql.NVarChar(200), bracketRoundPoints ? JSON.stringify(bracketRoundPoints) : null)
                 .query(`
-                    INSERT INTO Competitions (LeagueId, WeekNumber, Name, Description, StartDate, EndDate, LockDate, CompetitionType)
+                    INSERT INTO Competitions (LeagueId, WeekNumber, Name, Description, StartDate, EndDate, LockDate, CompetitionType, LockMode, GameLockOffsetMinutes, TiebreakerQuestion, BracketTeams, BracketRoundPoints)
                     OUTPUT INSERTED.*
-                    VALUES (@leagueId, @weekNumber, @name, @description, @startDate, @endDate, @lockDate, @competitionType)
+                    VALUES (@leagueId, @weekNumber, @name, @description, @startDate, @endDate, @lockDate, @competitionType, @lockMode, @gameLockOffsetMinutes, @tiebreakerQuestion, @bracketTeams, @bracketRoundPoints)
                 `);
 
+            try {
+                await notifyCompetitionsCreated(pool, leagueId, result.recordset);
+            } catch (err) {
+                context.warn('Competition created, but notifying members failed:', err);
+            }
+
             return { status: 201, jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error creating competition:', err);
@@ -90,6 +130,88 @@ app.http('createCompetition', {
     }
 });
 
+// GENERATE a season of weekly competitions from a template (see buildSeasonSchedule).
+// Weeks the league already has are skipped; dryRun previews without saving.
+app.http('generateSeasonCompetitions', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/competitions/generate',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const body = await request.json();
+
+            const { weeks, error } = buildSeasonSchedule(body);
+            if (error) {
+                return { status: 400, jsonBody: { error } };
+            }
+
+            const existing = await pool.request()
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .query(`
+                    SELECT WeekNumber
+                    FROM Competitions
+                    WHERE LeagueId = @leagueId
+                `);
+
+            const takenWeeks = new Set(existing.recordset.map(c => c.WeekNumber));
+            const preview = weeks.map(week => ({ ...week, exists: takenWeeks.has(week.weekNumber) }));
+            const toCreate = preview.filter(week => !week.exists);
+            const skippedWeeks = preview.filter(week => week.exists).map(week => week.weekNumber);
+
+            if (body.dryRun) {
+                return { jsonBody: { dryRun: true, weeks: preview, createCount: toCreate.length, skippedWeeks } };
+            }
+
+            if (toCreate.length === 0) {
+                return { jsonBody: { dryRun: false, created: [], skippedWeeks } };
+            }
+
+            const result = await pool.request()
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('weeks', sql.NVarChar(sql.MAX), JSON.stringify(toCreate))
+                .query(`
+                    INSERT INTO Competitions (LeagueId, WeekNumber, Name, StartDate, EndDate, LockDate, CompetitionType, LockToFirstKickoff)
+                    OUTPUT INSERTED.*
+                    SELECT @leagueId, WeekNumber, Name,
+                           CAST(StartDate AS DATETIME2), CAST(EndDate AS DATETIME2), CAST(LockDate AS DATETIME2),
+                           CompetitionType, LockToFirstKickoff
+                    FROM OPENJSON(@weeks) WITH (
+                        WeekNumber INT '$.weekNumber',
+                        Name NVARCHAR(100) '$.name',
+                        StartDate DATETIMEOFFSET '$.startDate',
+                        EndDate DATETIMEOFFSET '$.endDate',
+                        LockDate DATETIMEOFFSET '$.lockDate',
+                        CompetitionType NVARCHAR(50) '$.competitionType',
+                        LockToFirstKickoff BIT '$.lockToFirstKickoff'
+                    )
+                `);
+
+            const created = result.recordset.sort((a, b) => a.WeekNumber - b.WeekNumber);
+            try {
+                await notifyCompetitionsCreated(pool, leagueId, created);
+            } catch (err) {
+                context.warn('Season competitions created, but notifying members failed:', err);
+            }
+
+            return { status: 201, jsonBody: { dryRun: false, created, skippedWeeks } };
+        } catch (err) {
+            context.error('Error generating season competitions:', err);
+            if (err.message.includes('UNIQUE') || err.message.includes('duplicate')) {
+                return { status: 409, jsonBody: { error: 'Competition for this week already exists' } };
+            }
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
 // UPDATE competition
 app.http('updateCompetition', {
     methods: ['PUT', 'PATCH'],
@@ -100,9 +222,69 @@ app.http('updateCompetition', {
             const pool = await getConnection();
             const leagueId = request.params.leagueId;
             const id = request.params.id;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
-            const { name, description, startDate, endDate, lockDate, status, competitionType, scoringCalculated } = body;
+            const { name, description, startDate, endDate, lockDate, status, competitionType, scoringCalculated, lockMode, gameLockOffsetMinutes, tiebreakerGameId, tiebreakerQuestion, bracketTeams, bracketRoundPoints } = body;
+
+            if (lockMode && !PICK_LOCK_MODES.includes(lockMode)) {
+                return { status: 400, jsonBody: { error: `lockMode must be one of: ${PICK_LOCK_MODES.join(', ')}` } };
+            }
+
+            if (gameLockOffsetMinutes !== undefined && gameLockOffsetMinutes !== null &&
+                (!Number.isInteger(gameLockOffsetMinutes) || gameLockOffsetMinutes < 0)) {
+                return { status: 400, jsonBody: { error: 'gameLockOffsetMinutes must be a non-negative whole number' } };
+            }
+
+            // tiebreakerGameId: null goes back to the default (the last game)
+            const setTiebreakerGame = tiebreakerGameId !== undefined;
+            if (tiebreakerGameId) {
+                const game = await pool.request()
+                    .input('gameId', sql.UniqueIdentifier, tiebreakerGameId)
+                    .input('competitionId', sql.UniqueIdentifier, id)
+                    .query('SELECT Id FROM Games WHERE Id = @gameId AND CompetitionId = @competitionId');
+
+                if (game.recordset.length === 0) {
+                    return { status: 400, jsonBody: { error: 'tiebreakerGameId must be a game in this competition' } };
+                }
+            }
+
+            // Bracket settings are checked together with whatever is already saved
+            if (bracketTeams !== undefined || bracketRoundPoints !== undefined) {
+                const current = await pool.request()
+                    .input('id', sql.UniqueIdentifier, id)
+                    .input('leagueId', sql.UniqueIdentifier, leagueId)
+                    .query(`
+                        SELECT CompetitionType, BracketTeams, BracketRoundPoints,
+                               (SELECT COUNT(*) FROM BracketPicks WHERE CompetitionId = @id) AS BracketPickCount
+                        FROM Competitions
+                        WHERE Id = @id AND LeagueId = @leagueId
+                    `);
+
+                const competition = current.recordset[0];
+                if (!competition) {
+                    return { status: 404, jsonBody: { error: 'Competition not found' } };
+                }
+                if ((competitionType || competition.CompetitionType) !== BRACKET_COMPETITION_TYPE) {
+                    return { status: 400, jsonBody: { error: `bracketTeams and bracketRoundPoints only apply to ${BRACKET_COMPETITION_TYPE} competitions` } };
+                }
+                if (bracketTeams !== undefined && competition.BracketPickCount > 0) {
+                    return { status: 409, jsonBody: { error: 'Bracket teams cannot change once members have submitted brackets' } };
+                }
+
+                const bracketError = validateBracketSetup(
+                    bracketTeams !== undefined ? bracketTeams : JSON.parse(competition.BracketTeams || 'null'),
+                    bracketRoundPoints !== undefined ? bracketRoundPoints : JSON.parse(competition.BracketRoundPoints || 'null')
+                );
+                if (bracketError) {
+                    return { status: 400, jsonBody: { error: bracketError } };
+                }
+            }
 
             const req = pool.request()
                 .input('id', sql.UniqueIdentifier, id)
@@ -111,16 +293,32 @@ app.http('updateCompetition', {
                 .input('description', sql.NVarChar(500), description)
                 .input('status', sql.NVarChar(20), status)
                 .input('competitionType', sql.NVarChar(50), competitionType)
-                .input('scoringCalculated', sql.Bit, scoringCalculated);
+                .input('scoringCalculated', sql.Bit, scoringCalculated)
+                .input('lockMode', sql.NVarChar(20), lockMode)
+                .input('gameLockOffsetMinutes', sql.Int, gameLockOffsetMinutes)
+                .input('setTiebreakerGame', sql.Bit, setTiebreakerGame)
+                .input('tiebreakerGameId', sql.UniqueIdentifier, tiebreakerGameId || null)
+                .input('tiebreakerQuestion', sql.NVarChar(200), tiebreakerQuestion)
+                .input('bracketTeams', sql.NVarChar(sql.MAX), bracketTeams ? JSON.stringify(bracketTeams) : null)
+                .input('bracketRoundPoints', sql.NVarChar(200), bracketRoundPoints ? JSON.stringify(bracketRoundPoints) : null);
 
-            if (startDate) req.input('startDate', sql.DateTime2, new Date(startDate));
-            else req.input('startDate', sql.DateTime2, null);
+            if (startDate) {
+                req.input('startDate', sql.DateTime2, new Date(startDate));
+            } else {
+                req.input('startDate', sql.DateTime2, null);
+            }
 
-            if (endDate) req.input('endDate', sql.DateTime2, new Date(endDate));
-            else req.input('endDate', sql.DateTime2, null);
+            if (endDate) {
+                req.input('endDate', sql.DateTime2, new Date(endDate));
+            } else {
+                req.input('endDate', sql.DateTime2, null);
+            }
 
-            if (lockDate) req.input('lockDate', sql.DateTime2, new Date(lockDate));
-            else req.input('lockDate', sql.DateTime2, null);
+            if (lockDate) {
+                req.input('lockDate', sql.DateTime2, new Date(lockDate));
+            } else {
+                req.input('lockDate', sql.DateTime2, null);
+            }
 
             const result = await req.query(`
                 UPDATE Competitions
@@ -132,6 +330,16 @@ app.http('updateCompetition', {
                     Status = COALESCE(@status, Status),
                     CompetitionType = COALESCE(@competitionType, CompetitionType),
                     ScoringCalculated = COALESCE(@scoringCalculated, ScoringCalculated),
+                    -- Moving a competition back lets the lifecycle job run its steps again
+                    LockProcessed = CASE WHEN @status IN ('Upcoming', 'Active') THEN 0 ELSE LockProcessed END,
+                    CompletionProcessed = CASE WHEN (@status IS NOT NULL AND @status <> 'Completed') OR @scoringCalculated = 0
+                                               THEN 0 ELSE CompletionProcessed END,
+                    LockMode = COALESCE(@lockMode, LockMode),
+                    GameLockOffsetMinutes = COALESCE(@gameLockOffsetMinutes, GameLockOffsetMinutes),
+                    TiebreakerGameId = CASE WHEN @setTiebreakerGame = 1 THEN @tiebreakerGameId ELSE TiebreakerGameId END,
+                    TiebreakerQuestion = COALESCE(@tiebreakerQuestion, TiebreakerQuestion),
+                    BracketTeams = COALESCE(@bracketTeams, BracketTeams),
+                    BracketRoundPoints = COALESCE(@bracketRoundPoints, BracketRoundPoints),
                     UpdatedAt = GETUTCDATE()
                 OUTPUT INSERTED.*
                 WHERE Id = @id AND LeagueId = @leagueId
@@ -160,6 +368,11 @@ app.http('deleteCompetition', {
             const leagueId = request.params.leagueId;
             const id = request.params.id;
 
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('leagueId', sql.UniqueIdentifier, leagueId)
@@ -0,0 +1,59 @@
+const { app } = require('@azure/functions');
+const { getConnection } = require('../db');
+const { deliverPendingEmails, deliverPendingPushes, sendEmailDigests } = require('../delivery');
+
+// Send queued notification emails and pushes, and retry failed ones, every minute
+app.timer('notificationDelivery', {
+    schedule: '0 * * * * *',
+    handler: async (myTimer, context) => {
+        try {
+            const pool = await getConnection();
+            const summary = {
+                email: await deliverPendingEmails(pool),
+                push: await deliverPendingPushes(pool)
+            };
+            context.log('Notification delivery run:', JSON.stringify(summary));
+        } catch (err) {
+            context.error('Error delivering notifications:', err);
+            throw err;
+        }
+    }
+});
+
+// Send the daily digest to users who chose it, at 12:00 UTC
+app.timer('notificationDigest', {
+    schedule: '0 0 12 * * *',
+    handler: async (myTimer, context) => {
+        try {
+            const pool = await getConnection();
+            const summary = await sendEmailDigests(pool);
+            context.log('Notification digest run:', JSON.stringify(summary));
+        } catch (err) {
+            context.error('Error sending notification digests:', err);
+            throw err;
+        }
+    }
+});
+
+// Run delivery on demand (requires the function key when deployed), e.g. to
+// check templates against a local mail catcher or pushes against a fake push
+// service. `?digest=true` sends the daily digests instead.
+app.http('runNotificationDelivery', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'notifications/deliver',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+
+            const summary = request.query.get('digest') === 'true'
+                ? await sendEmailDigests(pool)
+                : { email: await deliverPendingEmails(pool), push: await deliverPendingPushes(pool) };
+
+            return { jsonBody: summary };
+        } catch (err) {
+            context.error('Error delivering notifications:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
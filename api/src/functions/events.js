@@ -0,0 +1,56 @@
+const { app } = require('@azure/functions');
+const { getConnection } = require('../db');
+const { authorizeLeague } = require('../auth');
+const { openEventStream } = require('../events');
+
+// EventSource can't set headers on its first request, so the last id may
+// also come from the query string
+function lastEventId(request) {
+    return request.headers.get('last-event-id') || request.query.get('lastEventId');
+}
+
+// STREAM live game, pick grading and leaderboard events for a competition (SSE)
+app.http('streamCompetitionEvents', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/events',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const competitionId = request.params.competitionId;
+
+            const { response, leagueId } = await authorizeLeague(request, pool, { competitionId }, 'Member');
+            if (response) {
+                return response;
+            }
+
+            return openEventStream({ leagueId, competitionId }, lastEventId(request));
+        } catch (err) {
+            context.error('Error opening competition event stream:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// STREAM live events for every competition in a league (SSE)
+app.http('streamLeagueEvents', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/events',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'Member');
+            if (response) {
+                return response;
+            }
+
+            return openEventStream({ leagueId }, lastEventId(request));
+        } catch (err) {
+            context.error('Error opening league event stream:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
@@ -1,5 +1,12 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authorizeLeague } = require('../auth');
+const { loadFeed } = require('../feeds');
+const { importFeedGames } = require('../feeds/import');
+const { syncFirstKickoffLockDates } = require('../season');
+const { applyGameResults, planGameResults, publishGameResults } = require('../liveScores');
+const { notifyGameResultChanged } = require('../notifications');
+const { publish } = require('../events');
 
 // GET games for a competition
 app.http('getGames', {
@@ -54,6 +61,12 @@ app.http('createGame', {
         try {
             const pool = await getConnection();
             const competitionId = request.params.competitionId;
+
+            const { response } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
             const {
@@ -82,6 +95,8 @@ app.http('createGame', {
                     VALUES (@competitionId, @externalGameId, @homeTeam, @awayTeam, @gameDate, @venue, @spreadLine, @overUnderLine, @homeMoneyline, @awayMoneyline)
                 `);
 
+            await syncFirstKickoffLockDates(pool, [competitionId]);
+
             return { status: 201, jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error creating game:', err);
@@ -90,7 +105,8 @@ app.http('createGame', {
     }
 });
 
-// UPDATE game
+// UPDATE game. A new status or score is checked and saved like a result
+// posted to submitGameResults, regrading the picks on the game.
 app.http('updateGame', {
     methods: ['PUT', 'PATCH'],
     authLevel: 'anonymous',
@@ -100,6 +116,12 @@ app.http('updateGame', {
             const pool = await getConnection();
             const competitionId = request.params.competitionId;
             const id = request.params.id;
+
+            const { response, leagueId } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
             const {
@@ -107,15 +129,37 @@ app.http('updateGame', {
                 spreadLine, overUnderLine, homeMoneyline, awayMoneyline
             } = body;
 
+            const current = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .query(`
+                    SELECT Id, ExternalGameId, Status, HomeTeamScore, AwayTeamScore
+                    FROM Games
+                    WHERE Id = @id AND CompetitionId = @competitionId
+                `);
+
+            const previous = current.recordset[0];
+            if (!previous) {
+                return { status: 404, jsonBody: { error: 'Game not found' } };
+            }
+
+            // Missing or null keeps the current status and scores
+            const plan = planGameResults([previous], [{
+                gameId: previous.Id,
+                status: status || undefined,
+                homeTeamScore: homeTeamScore === null ? undefined : homeTeamScore,
+                awayTeamScore: awayTeamScore === null ? undefined : awayTeamScore
+            }]);
+            if (plan.errors.length > 0) {
+                return { status: 400, jsonBody: { error: plan.errors[0].error } };
+            }
+
             const req = pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
                 .input('homeTeam', sql.NVarChar(100), homeTeam)
                 .input('awayTeam', sql.NVarChar(100), awayTeam)
-                .input('homeTeamScore', sql.Int, homeTeamScore)
-                .input('awayTeamScore', sql.Int, awayTeamScore)
                 .input('venue', sql.NVarChar(200), venue)
-                .input('status', sql.NVarChar(20), status)
                 .input('spreadLine', sql.Decimal(5, 2), spreadLine)
                 .input('overUnderLine', sql.Decimal(5, 2), overUnderLine)
                 .input('homeMoneyline', sql.Int, homeMoneyline)
@@ -128,11 +172,8 @@ app.http('updateGame', {
                 UPDATE Games
                 SET HomeTeam = COALESCE(@homeTeam, HomeTeam),
                     AwayTeam = COALESCE(@awayTeam, AwayTeam),
-                    HomeTeamScore = COALESCE(@homeTeamScore, HomeTeamScore),
-                    AwayTeamScore = COALESCE(@awayTeamScore, AwayTeamScore),
                     GameDate = COALESCE(@gameDate, GameDate),
                     Venue = COALESCE(@venue, Venue),
-                    Status = COALESCE(@status, Status),
                     SpreadLine = COALESCE(@spreadLine, SpreadLine),
                     OverUnderLine = COALESCE(@overUnderLine, OverUnderLine),
                     HomeMoneyline = COALESCE(@homeMoneyline, HomeMoneyline),
@@ -146,7 +187,32 @@ app.http('updateGame', {
                 return { status: 404, jsonBody: { error: 'Game not found' } };
             }
 
-            return { jsonBody: result.recordset[0] };
+            await syncFirstKickoffLockDates(pool, [competitionId]);
+
+            const scope = { leagueId, competitionId };
+            if (plan.changes.length === 0) {
+                publish('game', scope, { game: result.recordset[0] });
+                return { jsonBody: result.recordset[0] };
+            }
+
+            const saved = await applyGameResults(pool, competitionId, plan.changes);
+            const game = saved.games[0];
+            publishGameResults(scope, saved);
+
+            // A final result entered or corrected by hand
+            if (game.Status === 'Final' || previous.Status === 'Final') {
+                try {
+                    await notifyGameResultChanged(pool, game, {
+                        HomeTeamScore: previous.HomeTeamScore,
+                        AwayTeamScore: previous.AwayTeamScore,
+                        Status: previous.Status
+                    });
+                } catch (err) {
+                    context.warn('Game updated, but notifying members failed:', err);
+                }
+            }
+
+            return { jsonBody: game };
         } catch (err) {
             context.error('Error updating game:', err);
             return { status: 500, jsonBody: { error: err.message } };
@@ -154,6 +220,58 @@ app.http('updateGame', {
     }
 });
 
+// POST live results for one or many games, then regrade only those games.
+// Body is a single result or { results: [...] }; each result names its game by
+// gameId or externalGameId and may set homeTeamScore, awayTeamScore and status.
+app.http('submitGameResults', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/results',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const competitionId = request.params.competitionId;
+
+            const { response, leagueId } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const body = await request.json();
+            const results = Array.isArray(body.results) ? body.results : [body];
+
+            const current = await pool.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .query(`
+                    SELECT Id, ExternalGameId, Status, HomeTeamScore, AwayTeamScore
+                    FROM Games
+                    WHERE CompetitionId = @competitionId
+                `);
+
+            const plan = planGameResults(current.recordset, results);
+            if (plan.errors.length > 0) {
+                return { status: 400, jsonBody: { error: 'Results are invalid', errors: plan.errors } };
+            }
+
+            if (plan.changes.length === 0) {
+                return { jsonBody: { updated: [], unchanged: plan.unchanged, affectedUserIds: [] } };
+            }
+
+            const saved = await applyGameResults(pool, competitionId, plan.changes);
+            const { games, affectedUserIds } = saved;
+
+            await syncFirstKickoffLockDates(pool, [competitionId]);
+
+            publishGameResults({ leagueId, competitionId }, saved);
+
+            return { jsonBody: { updated: games, unchanged: plan.unchanged, affectedUserIds } };
+        } catch (err) {
+            context.error('Error submitting game results:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
 // DELETE game
 app.http('deleteGame', {
     methods: ['DELETE'],
@@ -165,6 +283,11 @@ app.http('deleteGame', {
             const competitionId = request.params.competitionId;
             const id = request.params.id;
 
+            const { response } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
@@ -179,6 +302,8 @@ app.http('deleteGame', {
                 return { status: 404, jsonBody: { error: 'Game not found' } };
             }
 
+            await syncFirstKickoffLockDates(pool, [competitionId]);
+
             return { status: 204 };
         } catch (err) {
             context.error('Error deleting game:', err);
@@ -186,3 +311,78 @@ app.http('deleteGame', {
         }
     }
 });
+
+// Load the feed described by an import request body and upsert its games.
+// Body: { source?: 'inline' | 'file' | <registered source>, format?: 'json' | 'csv',
+//         data?: <feed for the inline source>, path?: <file for the file source>, dryRun?: boolean }
+async function importGamesFromRequest(request, pool, { leagueId, competitionId }) {
+    const body = await request.json();
+    const feed = await loadFeed(body);
+    if (feed.error) {
+        return { status: 400, jsonBody: { error: feed.error } };
+    }
+
+    const report = await importFeedGames(pool, {
+        leagueId,
+        competitionId,
+        games: feed.games,
+        dryRun: !!body.dryRun
+    });
+
+    return {
+        jsonBody: {
+            dryRun: !!body.dryRun,
+            createdCount: report.created.length,
+            updatedCount: report.updated.length,
+            unchangedCount: report.unchanged.length,
+            ...report,
+            errors: [...feed.errors, ...report.errors]
+        }
+    };
+}
+
+// IMPORT games for one competition from a schedule/results feed
+app.http('importCompetitionGames', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/games/import',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const competitionId = request.params.competitionId;
+
+            const { response, leagueId } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            return await importGamesFromRequest(request, pool, { leagueId, competitionId });
+        } catch (err) {
+            context.error('Error importing games:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// IMPORT a season of games for a league, matched to competitions by week
+app.http('importLeagueGames', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/games/import',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            return await importGamesFromRequest(request, pool, { leagueId });
+        } catch (err) {
+            context.error('Error importing games:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
@@ -1,5 +1,8 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authenticate, authorizeLeague, forbidUnlessSelf, getLeagueRole, hasLeagueRole } = require('../auth');
+const { chargeEntryFees } = require('../ledger');
+const { notifyMemberJoined } = require('../notifications');
 
 // GET league members
 app.http('getLeagueMembers', {
@@ -9,6 +12,11 @@ app.http('getLeagueMembers', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const leagueId = request.params.leagueId;
             const id = request.params.id;
 
@@ -55,12 +63,22 @@ app.http('getUserLeagues', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
 
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const result = await pool.request()
                 .input('userId', sql.UniqueIdentifier, userId)
                 .query(`
-                    SELECT l.*, lm.DisplayName, lm.JoinedAt,
+                    SELECT l.*, lm.DisplayName, lm.JoinedAt, lm.Role,
                            (SELECT COUNT(*) FROM LeagueMembers WHERE LeagueId = l.Id AND IsActive = 1) AS MemberCount
                     FROM Leagues l
                     INNER JOIN LeagueMembers lm ON l.Id = lm.LeagueId
@@ -84,13 +102,20 @@ app.http('createLeagueMember', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const leagueId = request.params.leagueId;
             const body = await request.json();
 
-            const { userId, displayName } = body;
+            const { displayName } = body;
+            const userId = body.userId || user.Id;
 
-            if (!userId) {
-                return { status: 400, jsonBody: { error: 'userId is required' } };
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
             }
 
             // Check if league is at capacity
@@ -122,6 +147,19 @@ app.http('createLeagueMember', {
                     VALUES (@leagueId, @userId, @displayName)
                 `);
 
+            // The member is in either way; the charge is idempotent, so a
+            // missed fee is picked up the next time entry fees are charged.
+            try {
+                await chargeEntryFees(pool, leagueId);
+            } catch (err) {
+                context.warn('Member added, but charging the entry fee failed:', err);
+            }
+            try {
+                await notifyMemberJoined(pool, leagueId, userId);
+            } catch (err) {
+                context.warn('Member added, but notifying commissioners failed:', err);
+            }
+
             return { status: 201, jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error creating league member:', err);
@@ -141,23 +179,58 @@ app.http('updateLeagueMember', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const leagueId = request.params.leagueId;
             const id = request.params.id;
             const body = await request.json();
 
             const { displayName, isActive } = body;
 
+            // Members edit their own row and can leave; commissioners can edit
+            // anyone but the owner, and only they can bring a removed member back
+            const membership = await getLeagueRole(pool, user.Id, { leagueId });
+            const isManager = !!membership && hasLeagueRole(membership.Role, 'CoCommissioner');
+
+            if (isActive) {
+                if (!isManager) {
+                    return { status: 403, jsonBody: { error: 'Only a commissioner can reactivate a league member' } };
+                }
+
+                const capacityCheck = await pool.request()
+                    .input('id', sql.UniqueIdentifier, id)
+                    .input('leagueId', sql.UniqueIdentifier, leagueId)
+                    .query(`
+                        SELECT l.MaxMembers,
+                               (SELECT COUNT(*) FROM LeagueMembers WHERE LeagueId = l.Id AND IsActive = 1) AS CurrentMembers,
+                               (SELECT IsActive FROM LeagueMembers WHERE Id = @id AND LeagueId = l.Id) AS MemberIsActive
+                        FROM Leagues l
+                        WHERE l.Id = @leagueId
+                    `);
+
+                const capacity = capacityCheck.recordset[0];
+                if (capacity && capacity.MemberIsActive === false && capacity.CurrentMembers >= capacity.MaxMembers) {
+                    return { status: 409, jsonBody: { error: 'League is at maximum capacity' } };
+                }
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('leagueId', sql.UniqueIdentifier, leagueId)
                 .input('displayName', sql.NVarChar(100), displayName)
                 .input('isActive', sql.Bit, isActive)
+                .input('userId', sql.UniqueIdentifier, user.Id)
+                .input('isManager', sql.Bit, isManager)
                 .query(`
                     UPDATE LeagueMembers
                     SET DisplayName = COALESCE(@displayName, DisplayName),
                         IsActive = COALESCE(@isActive, IsActive)
                     OUTPUT INSERTED.*
                     WHERE Id = @id AND LeagueId = @leagueId
+                      AND (UserId = @userId OR (@isManager = 1 AND Role <> 'Owner'))
                 `);
 
             if (result.recordset.length === 0) {
@@ -172,6 +245,53 @@ app.http('updateLeagueMember', {
     }
 });
 
+// Promote or demote a co-commissioner (owner only)
+app.http('updateLeagueMemberRole', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/members/{id}/role',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+            const id = request.params.id;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'Owner');
+            if (response) {
+                return response;
+            }
+
+            const body = await request.json();
+
+            const { role } = body;
+
+            if (role !== 'CoCommissioner' && role !== 'Member') {
+                return { status: 400, jsonBody: { error: 'role must be CoCommissioner or Member' } };
+            }
+
+            const result = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('role', sql.NVarChar(20), role)
+                .query(`
+                    UPDATE LeagueMembers
+                    SET Role = @role
+                    OUTPUT INSERTED.*
+                    WHERE Id = @id AND LeagueId = @leagueId AND IsActive = 1 AND Role <> 'Owner'
+                `);
+
+            if (result.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'League member not found' } };
+            }
+
+            return { jsonBody: result.recordset[0] };
+        } catch (err) {
+            context.error('Error updating league member role:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
 // DELETE league member (leave league)
 app.http('deleteLeagueMember', {
     methods: ['DELETE'],
@@ -180,17 +300,29 @@ app.http('deleteLeagueMember', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const leagueId = request.params.leagueId;
             const id = request.params.id;
 
+            // Members can leave; commissioners can remove anyone but the owner
+            const membership = await getLeagueRole(pool, user.Id, { leagueId });
+            const isManager = !!membership && hasLeagueRole(membership.Role, 'CoCommissioner');
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('userId', sql.UniqueIdentifier, user.Id)
+                .input('isManager', sql.Bit, isManager)
                 .query(`
                     UPDATE LeagueMembers
                     SET IsActive = 0
                     OUTPUT INSERTED.Id
                     WHERE Id = @id AND LeagueId = @leagueId
+                      AND (UserId = @userId OR (@isManager = 1 AND Role <> 'Owner'))
                 `);
 
             if (result.recordset.length === 0) {
@@ -1,5 +1,69 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authenticate, authorizeLeague, forbidUnlessSelf, hasLeagueRole } = require('../auth');
+const { PUSH_SCORING_POLICIES } = require('../scoring');
+const { PICK_VISIBILITY_POLICIES } = require('../pickRules');
+const { AUTO_PICK_POLICIES } = require('../autoPick');
+const { chargeEntryFees, validatePayoutSplits } = require('../ledger');
+const { MISSED_WEEK_SCORING_POLICIES } = require('../standings');
+
+// Settings only the league's owner may change: turning the league off or on
+// (like deleteLeague) and the money
+const OWNER_ONLY_SETTINGS = ['isActive', 'entryFee', 'weeklyPot', 'weeklyPayoutSplits', 'seasonPayoutSplits'];
+
+const SETTING_POLICIES = [
+    ['pushScoring', PUSH_SCORING_POLICIES],
+    ['pickVisibility', PICK_VISIBILITY_POLICIES],
+    ['missedWeekScoring', MISSED_WEEK_SCORING_POLICIES],
+    ['autoPickPolicy', AUTO_PICK_POLICIES]
+];
+
+// [field, minimum, error description]
+const SETTING_WHOLE_NUMBERS = [
+    ['survivorLives', 1, 'a positive whole number'],
+    ['survivorBuyBacks', 0, 'a non-negative whole number'],
+    ['dropLowestWeeks', 0, 'a non-negative whole number']
+];
+
+const SETTING_AMOUNTS = [
+    ['entryFee', 'a non-negative amount'],
+    ['weeklyPot', 'a non-negative amount'],
+    ['missedWeekPenalty', 'a non-negative number of points']
+];
+
+// Validates the league settings shared by createLeague and updateLeague.
+// Returns an error message, or null when every setting present is valid.
+function validateLeagueSettings(body) {
+    for (const [field, policies] of SETTING_POLICIES) {
+        if (body[field] && !policies.includes(body[field])) {
+            return `${field} must be one of: ${policies.join(', ')}`;
+        }
+    }
+
+    for (const [field, minimum, description] of SETTING_WHOLE_NUMBERS) {
+        const value = body[field];
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < minimum)) {
+            return `${field} must be ${description}`;
+        }
+    }
+
+    for (const [field, description] of SETTING_AMOUNTS) {
+        const value = body[field];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+            return `${field} must be ${description}`;
+        }
+    }
+
+    for (const field of ['weeklyPayoutSplits', 'seasonPayoutSplits']) {
+        const splits = body[field];
+        const splitsError = splits !== undefined && splits !== null && validatePayoutSplits(splits, field);
+        if (splitsError) {
+            return splitsError;
+        }
+    }
+
+    return null;
+}
 
 // GET all leagues or single league by ID
 app.http('getLeagues', {
@@ -84,12 +148,28 @@ app.http('createLeague', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
-            const { name, description, adminUserId, inviteCode, seasonYear, sport, maxMembers, isPublic } = body;
+            const { name, description, inviteCode, seasonYear, sport, maxMembers, isPublic, pushScoring, confidencePool, pickVisibility, survivorLives, survivorBuyBacks, entryFee, weeklyPot, weeklyPayoutSplits, seasonPayoutSplits, dropLowestWeeks, missedWeekScoring, missedWeekPenalty, countWeeksAfterJoin, autoPickPolicy } = body;
+            const adminUserId = body.adminUserId || user.Id;
+
+            if (!name || !inviteCode || !seasonYear) {
+                return { status: 400, jsonBody: { error: 'Name, inviteCode, and seasonYear are required' } };
+            }
 
-            if (!name || !adminUserId || !inviteCode || !seasonYear) {
-                return { status: 400, jsonBody: { error: 'Name, adminUserId, inviteCode, and seasonYear are required' } };
+            const forbidden = forbidUnlessSelf(user, adminUserId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const settingsError = validateLeagueSettings(body);
+            if (settingsError) {
+                return { status: 400, jsonBody: { error: settingsError } };
             }
 
             const result = await pool.request()
@@ -101,13 +181,43 @@ app.http('createLeague', {
                 .input('sport', sql.NVarChar(50), sport || 'NFL')
                 .input('maxMembers', sql.Int, maxMembers || 20)
                 .input('isPublic', sql.Bit, isPublic || false)
+                .input('pushScoring', sql.NVarChar(10), pushScoring || 'Zero')
+                .input('confidencePool', sql.Bit, confidencePool || false)
+                .input('pickVisibility', sql.NVarChar(20), pickVisibility || 'HiddenUntilLock')
+                .input('survivorLives', sql.Int, survivorLives || 1)
+                .input('survivorBuyBacks', sql.Int, survivorBuyBacks || 0)
+                .input('entryFee', sql.Decimal(10, 2), entryFee || 0)
+                .input('weeklyPot', sql.Decimal(10, 2), weeklyPot || 0)
+                .input('weeklyPayoutSplits', sql.NVarChar(200), weeklyPayoutSplits ? JSON.stringify(weeklyPayoutSplits) : null)
+                .input('seasonPayoutSplits', sql.NVarChar(200), seasonPayoutSplits ? JSON.stringify(seasonPayoutSplits) : null)
+                .input('dropLowestWeeks', sql.Int, dropLowestWeeks || 0)
+                .input('missedWeekScoring', sql.NVarChar(20), missedWeekScoring || 'Zero')
+                .input('missedWeekPenalty', sql.Decimal(10, 2), missedWeekPenalty || 0)
+                .input('countWeeksAfterJoin', sql.Bit, countWeeksAfterJoin || false)
+                .input('autoPickPolicy', sql.NVarChar(20), autoPickPolicy || 'None')
                 .query(`
-                    INSERT INTO Leagues (Name, Description, AdminUserId, InviteCode, SeasonYear, Sport, MaxMembers, IsPublic)
-                    OUTPUT INSERTED.*
-                    VALUES (@name, @description, @adminUserId, @inviteCode, @seasonYear, @sport, @maxMembers, @isPublic)
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+
+                    DECLARE @inserted TABLE (Id UNIQUEIDENTIFIER);
+
+                    INSERT INTO Leagues (Name, Description, AdminUserId, InviteCode, SeasonYear, Sport, MaxMembers, IsPublic, PushScoring, ConfidencePool, PickVisibility, SurvivorLives, SurvivorBuyBacks, EntryFee, WeeklyPot, WeeklyPayoutSplits, SeasonPayoutSplits, DropLowestWeeks, MissedWeekScoring, MissedWeekPenalty, CountWeeksAfterJoin, AutoPickPolicy)
+                    OUTPUT INSERTED.Id INTO @inserted
+                    VALUES (@name, @description, @adminUserId, @inviteCode, @seasonYear, @sport, @maxMembers, @isPublic, @pushScoring, @confidencePool, @pickVisibility, @survivorLives, @survivorBuyBacks, @entryFee, @weeklyPot, @weeklyPayoutSplits, @seasonPayoutSplits, @dropLowestWeeks, @missedWeekScoring, @missedWeekPenalty, @countWeeksAfterJoin, @autoPickPolicy);
+
+                    -- The creator joins as the league's Owner
+                    INSERT INTO LeagueMembers (LeagueId, UserId, Role)
+                    SELECT Id, @adminUserId, 'Owner' FROM @inserted;
+
+                    COMMIT TRANSACTION;
+
+                    SELECT l.* FROM Leagues l INNER JOIN @inserted i ON l.Id = i.Id;
                 `);
 
-            return { status: 201, jsonBody: result.recordset[0] };
+            const league = result.recordset[0];
+            await chargeEntryFees(pool, league.Id);
+
+            return { status: 201, jsonBody: league };
         } catch (err) {
             context.error('Error creating league:', err);
             if (err.message.includes('UNIQUE')) {
@@ -127,9 +237,25 @@ app.http('updateLeague', {
         try {
             const pool = await getConnection();
             const id = request.params.id;
+
+            const { role, response } = await authorizeLeague(request, pool, { leagueId: id }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
-            const { name, description, maxMembers, isActive, isPublic } = body;
+            const ownerOnly = OWNER_ONLY_SETTINGS.filter(field => body[field] !== undefined && body[field] !== null);
+            if (ownerOnly.length > 0 && !hasLeagueRole(role, 'Owner')) {
+                return { status: 403, jsonBody: { error: `Only the league owner can change ${ownerOnly.join(', ')}` } };
+            }
+
+            const { name, description, maxMembers, isActive, isPublic, pushScoring, confidencePool, pickVisibility, survivorLives, survivorBuyBacks, entryFee, weeklyPot, weeklyPayoutSplits, seasonPayoutSplits, dropLowestWeeks, missedWeekScoring, missedWeekPenalty, countWeeksAfterJoin, autoPickPolicy } = body;
+
+            const settingsError = validateLeagueSettings(body);
+            if (settingsError) {
+                return { status: 400, jsonBody: { error: settingsError } };
+            }
 
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
@@ -138,6 +264,20 @@ app.http('updateLeague', {
                 .input('maxMembers', sql.Int, maxMembers)
                 .input('isActive', sql.Bit, isActive)
                 .input('isPublic', sql.Bit, isPublic)
+                .input('pushScoring', sql.NVarChar(10), pushScoring)
+                .input('confidencePool', sql.Bit, confidencePool)
+                .input('pickVisibility', sql.NVarChar(20), pickVisibility)
+                .input('survivorLives', sql.Int, survivorLives)
+                .input('survivorBuyBacks', sql.Int, survivorBuyBacks)
+                .input('entryFee', sql.Decimal(10, 2), entryFee)
+                .input('weeklyPot', sql.Decimal(10, 2), weeklyPot)
+                .input('weeklyPayoutSplits', sql.NVarChar(200), weeklyPayoutSplits ? JSON.stringify(weeklyPayoutSplits) : null)
+                .input('seasonPayoutSplits', sql.NVarChar(200), seasonPayoutSplits ? JSON.stringify(seasonPayoutSplits) : null)
+                .input('dropLowestWeeks', sql.Int, dropLowestWeeks)
+                .input('missedWeekScoring', sql.NVarChar(20), missedWeekScoring)
+                .input('missedWeekPenalty', sql.Decimal(10, 2), missedWeekPenalty)
+                .input('countWeeksAfterJoin', sql.Bit, countWeeksAfterJoin)
+                .input('autoPickPolicy', sql.NVarChar(20), autoPickPolicy)
                 .query(`
                     UPDATE Leagues
                     SET Name = COALESCE(@name, Name),
@@ -145,6 +285,20 @@ app.http('updateLeague', {
                         MaxMembers = COALESCE(@maxMembers, MaxMembers),
                         IsActive = COALESCE(@isActive, IsActive),
                         IsPublic = COALESCE(@isPublic, IsPublic),
+                        PushScoring = COALESCE(@pushScoring, PushScoring),
+                        ConfidencePool = COALESCE(@confidencePool, ConfidencePool),
+                        PickVisibility = COALESCE(@pickVisibility, PickVisibility),
+                        SurvivorLives = COALESCE(@survivorLives, SurvivorLives),
+                        SurvivorBuyBacks = COALESCE(@survivorBuyBacks, SurvivorBuyBacks),
+                        EntryFee = COALESCE(@entryFee, EntryFee),
+                        WeeklyPot = COALESCE(@weeklyPot, WeeklyPot),
+                        WeeklyPayoutSplits = COALESCE(@weeklyPayoutSplits, WeeklyPayoutSplits),
+                        SeasonPayoutSplits = COALESCE(@seasonPayoutSplits, SeasonPayoutSplits),
+                        DropLowestWeeks = COALESCE(@dropLowestWeeks, DropLowestWeeks),
+                        MissedWeekScoring = COALESCE(@missedWeekScoring, MissedWeekScoring),
+                        MissedWeekPenalty = COALESCE(@missedWeekPenalty, MissedWeekPenalty),
+                        CountWeeksAfterJoin = COALESCE(@countWeeksAfterJoin, CountWeeksAfterJoin),
+                        AutoPickPolicy = COALESCE(@autoPickPolicy, AutoPickPolicy),
                         UpdatedAt = GETUTCDATE()
                     OUTPUT INSERTED.*
                     WHERE Id = @id
@@ -154,6 +308,12 @@ app.http('updateLeague', {
                 return { status: 404, jsonBody: { error: 'League not found' } };
             }
 
+            // Members already charged keep the fee they joined at; commissioners
+            // can correct those with an adjustment
+            if (entryFee) {
+                await chargeEntryFees(pool, id);
+            }
+
             return { jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error updating league:', err);
@@ -172,6 +332,11 @@ app.http('deleteLeague', {
             const pool = await getConnection();
             const id = request.params.id;
 
+            const { response } = await authorizeLeague(request, pool, { leagueId: id }, 'Owner');
+            if (response) {
+                return response;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .query(`
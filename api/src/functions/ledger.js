@@ -0,0 +1,225 @@
+const { app } = require('@azure/functions');
+const { getConnection, sql } = require('../db');
+const { authorizeLeague, sameId } = require('../auth');
+const {
+    LEDGER_ENTRY_TYPES,
+    MANUAL_LEDGER_ENTRY_TYPES,
+    chargeEntryFees,
+    getLeagueBalances
+} = require('../ledger');
+
+// GET a league's ledger entries, newest first, optionally for one member
+app.http('getLedgerEntries', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/ledger',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'Member');
+            if (response) {
+                return response;
+            }
+
+            const userId = request.query.get('userId');
+            const entryType = request.query.get('entryType');
+
+            if (entryType && !LEDGER_ENTRY_TYPES.includes(entryType)) {
+                return { status: 400, jsonBody: { error: `entryType must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}` } };
+            }
+
+            const result = await pool.request()
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('userId', sql.UniqueIdentifier, userId || null)
+                .input('entryType', sql.NVarChar(20), entryType || null)
+                .query(`
+                    SELECT e.*, u.Username, u.FirstName, u.LastName, c.Name AS CompetitionName
+                    FROM LedgerEntries e
+                    INNER JOIN Users u ON e.UserId = u.Id
+                    LEFT JOIN Competitions c ON e.CompetitionId = c.Id
+                    WHERE e.LeagueId = @leagueId
+                      AND (@userId IS NULL OR e.UserId = @userId)
+                      AND (@entryType IS NULL OR e.EntryType = @entryType)
+                    ORDER BY e.CreatedAt DESC
+                `);
+
+            return { jsonBody: result.recordset };
+        } catch (err) {
+            context.error('Error fetching ledger entries:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// POST a payment, disbursement or adjustment for a member (commissioners
+// only). Payments and disbursements are given as positive amounts; an
+// adjustment's sign is applied as given (positive credits the member).
+app.http('createLedgerEntry', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/ledger',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { user, response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const body = await request.json();
+            const { userId, entryType, amount, description } = body;
+
+            if (!userId || !entryType || amount === undefined || amount === null) {
+                return { status: 400, jsonBody: { error: 'userId, entryType, and amount are required' } };
+            }
+
+            if (!MANUAL_LEDGER_ENTRY_TYPES.includes(entryType)) {
+                return { status: 400, jsonBody: { error: `entryType must be one of: ${MANUAL_LEDGER_ENTRY_TYPES.join(', ')}; entry fees and payouts are recorded automatically` } };
+            }
+
+            if (typeof amount !== 'number' || amount === 0 || (entryType !== 'Adjustment' && amount < 0)) {
+                return { status: 400, jsonBody: { error: entryType === 'Adjustment' ? 'amount must be a non-zero number' : 'amount must be a positive number' } };
+            }
+
+            const member = await pool.request()
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .query(`
+                    SELECT Id FROM LeagueMembers WHERE LeagueId = @leagueId AND UserId = @userId
+                `);
+
+            if (member.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'User is not a member of this league' } };
+            }
+
+            const result = await pool.request()
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('entryType', sql.NVarChar(20), entryType)
+                .input('amount', sql.Decimal(10, 2), entryType === 'Disbursement' ? -amount : amount)
+                .input('description', sql.NVarChar(200), description || null)
+                .input('createdByUserId', sql.UniqueIdentifier, user.Id)
+                .query(`
+                    INSERT INTO LedgerEntries (LeagueId, UserId, EntryType, Amount, Description, CreatedByUserId)
+                    OUTPUT INSERTED.*
+                    VALUES (@leagueId, @userId, @entryType, @amount, @description, @createdByUserId)
+                `);
+
+            return { status: 201, jsonBody: result.recordset[0] };
+        } catch (err) {
+            context.error('Error creating ledger entry:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// POST charge the entry fee to any active member not yet charged
+// (commissioners only)
+app.http('chargeLeagueEntryFees', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/ledger/entry-fees',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const charged = await chargeEntryFees(pool, leagueId);
+
+            return { jsonBody: { message: `Charged ${charged.length} entry fee(s)`, entries: charged } };
+        } catch (err) {
+            context.error('Error charging entry fees:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// DELETE a manual ledger entry (commissioners only). Entry fees and payouts
+// follow the league settings and scores, so correct those with an adjustment.
+app.http('deleteLedgerEntry', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/ledger/{id}',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+            const id = request.params.id;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const existing = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .query(`
+                    SELECT EntryType FROM LedgerEntries WHERE Id = @id AND LeagueId = @leagueId
+                `);
+
+            if (existing.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'Ledger entry not found' } };
+            }
+
+            if (!MANUAL_LEDGER_ENTRY_TYPES.includes(existing.recordset[0].EntryType)) {
+                return { status: 409, jsonBody: { error: 'Entry fees and payouts are recorded automatically; record an adjustment instead' } };
+            }
+
+            await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
+                .query(`
+                    DELETE FROM LedgerEntries WHERE Id = @id
+                `);
+
+            return { status: 204 };
+        } catch (err) {
+            context.error('Error deleting ledger entry:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET every member's balance, or one member's. A positive balance is owed to
+// the member, a negative one is owed to the league.
+app.http('getLeagueBalances', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/balances/{userId?}',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+            const userId = request.params.userId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'Member');
+            if (response) {
+                return response;
+            }
+
+            const balances = await getLeagueBalances(pool, leagueId);
+
+            if (userId) {
+                const member = balances.members.find(m => sameId(m.UserId, userId));
+                if (!member) {
+                    return { status: 404, jsonBody: { error: 'User is not a member of this league' } };
+                }
+                return { jsonBody: member };
+            }
+
+            return { jsonBody: balances };
+        } catch (err) {
+            context.error('Error fetching league balances:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
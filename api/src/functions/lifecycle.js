@@ -0,0 +1,54 @@
+const { app } = require('@azure/functions');
+const { getConnection } = require('../db');
+const { runCompetitionLifecycle } = require('../lifecycle');
+
+// Advance competition statuses and score finished competitions every 5 minutes
+app.timer('competitionLifecycle', {
+    schedule: '0 */5 * * * *',
+    handler: async (myTimer, context) => {
+        try {
+            const pool = await getConnection();
+            const summary = await runCompetitionLifecycle(pool);
+            context.log('Competition lifecycle run:', JSON.stringify(summary));
+            if (summary.failed.length > 0) {
+                context.warn('Competition lifecycle steps failed, to retry next run:', JSON.stringify(summary.failed));
+            }
+            if (summary.unnotified.length > 0) {
+                context.warn('Competitions scored, but notifying members failed:', JSON.stringify(summary.unnotified));
+            }
+        } catch (err) {
+            context.error('Error running competition lifecycle:', err);
+            throw err;
+        }
+    }
+});
+
+// Run the lifecycle job on demand (requires the function key when deployed).
+// Under the local Functions host the body may set `now` to simulate the clock.
+app.http('runCompetitionLifecycle', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'lifecycle/run',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+
+            let now = new Date();
+            if (process.env.AZURE_FUNCTIONS_ENVIRONMENT === 'Development') {
+                const body = await request.json().catch(() => ({}));
+                if (body && body.now) {
+                    now = new Date(body.now);
+                    if (isNaN(now.getTime())) {
+                        return { status: 400, jsonBody: { error: 'now must be a valid date' } };
+                    }
+                }
+            }
+
+            const summary = await runCompetitionLifecycle(pool, now);
+            return { jsonBody: summary };
+        } catch (err) {
+            context.error('Error running competition lifecycle:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
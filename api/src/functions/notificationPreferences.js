@@ -0,0 +1,172 @@
+const { app } = require('@azure/functions');
+const { getConnection, sql } = require('../db');
+const { authenticate, forbidUnlessSelf, getLeagueRole } = require('../auth');
+const { validateQuietHours, validateTimeZone, validateTypeSettings } = require('../preferences');
+
+// A user's preferences: the user-wide ones (defaults when never saved) and
+// their per-league overrides, with TypeSettings parsed
+async function loadPreferences(pool, userId) {
+    const result = await pool.request()
+        .input('userId', sql.UniqueIdentifier, userId)
+        .query(`
+            SELECT TimeZone, QuietHoursStart, QuietHoursEnd, TypeSettings, UpdatedAt
+            FROM NotificationPreferences
+            WHERE UserId = @userId AND LeagueId IS NULL;
+
+            SELECT p.LeagueId, l.Name AS LeagueName, p.TypeSettings, p.UpdatedAt
+            FROM NotificationPreferences p
+            INNER JOIN Leagues l ON p.LeagueId = l.Id
+            WHERE p.UserId = @userId
+            ORDER BY l.Name ASC;
+        `);
+
+    const [users, leagues] = result.recordsets;
+    const preference = users[0] || { TimeZone: 'UTC', QuietHoursStart: null, QuietHoursEnd: null, TypeSettings: null, UpdatedAt: null };
+
+    return {
+        ...preference,
+        TimeZone: preference.TimeZone || 'UTC',
+        TypeSettings: preference.TypeSettings ? JSON.parse(preference.TypeSettings) : {},
+        Leagues: leagues.map(l => ({ ...l, TypeSettings: l.TypeSettings ? JSON.parse(l.TypeSettings) : {} }))
+    };
+}
+
+// GET a user's notification preferences
+app.http('getNotificationPreferences', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/notification-preferences',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            return { jsonBody: await loadPreferences(pool, userId) };
+        } catch (err) {
+            context.error('Error fetching notification preferences:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// UPDATE a user's notification preferences. Without leagueId this sets the
+// user-wide ones: typeSettings (see validateTypeSettings), quiet hours
+// (quietHoursStart/quietHoursEnd, null for none) and timeZone. With leagueId
+// it sets typeSettings for that league only; typeSettings null removes the
+// league's override. Omitted fields are left as they are.
+app.http('updateNotificationPreferences', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/notification-preferences',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const body = await request.json();
+
+            const { leagueId, typeSettings, quietHoursStart, quietHoursEnd, timeZone } = body;
+
+            if (typeSettings !== undefined && (typeSettings !== null || !leagueId)) {
+                const typeSettingsError = validateTypeSettings(typeSettings);
+                if (typeSettingsError) {
+                    return { status: 400, jsonBody: { error: typeSettingsError } };
+                }
+            }
+
+            const setQuietHours = quietHoursStart !== undefined || quietHoursEnd !== undefined;
+
+            if (leagueId) {
+                if (setQuietHours || timeZone !== undefined) {
+                    return { status: 400, jsonBody: { error: 'Quiet hours and timeZone apply to all leagues; set them without leagueId' } };
+                }
+
+                const membership = await getLeagueRole(pool, userId, { leagueId });
+                if (!membership) {
+                    return { status: 404, jsonBody: { error: 'League not found' } };
+                }
+                if (!membership.Role) {
+                    return { status: 403, jsonBody: { error: 'You are not a member of this league' } };
+                }
+
+                if (typeSettings === null) {
+                    await pool.request()
+                        .input('userId', sql.UniqueIdentifier, userId)
+                        .input('leagueId', sql.UniqueIdentifier, leagueId)
+                        .query('DELETE FROM NotificationPreferences WHERE UserId = @userId AND LeagueId = @leagueId');
+
+                    return { jsonBody: await loadPreferences(pool, userId) };
+                }
+            } else {
+                if (setQuietHours) {
+                    const quietHoursError = validateQuietHours(
+                        quietHoursStart === undefined ? null : quietHoursStart,
+                        quietHoursEnd === undefined ? null : quietHoursEnd
+                    );
+                    if (quietHoursError) {
+                        return { status: 400, jsonBody: { error: quietHoursError } };
+                    }
+                }
+
+                if (timeZone !== undefined) {
+                    const timeZoneError = typeof timeZone === 'string' && timeZone.length <= 64
+                        ? validateTimeZone(timeZone)
+                        : 'timeZone must be an IANA time zone name, e.g. America/New_York';
+                    if (timeZoneError) {
+                        return { status: 400, jsonBody: { error: timeZoneError } };
+                    }
+                }
+            }
+
+            await pool.request()
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('leagueId', sql.UniqueIdentifier, leagueId || null)
+                .input('typeSettings', sql.NVarChar(sql.MAX), typeSettings ? JSON.stringify(typeSettings) : null)
+                .input('setQuietHours', sql.Bit, setQuietHours)
+                .input('quietHoursStart', sql.NVarChar(5), quietHoursStart || null)
+                .input('quietHoursEnd', sql.NVarChar(5), quietHoursEnd || null)
+                .input('timeZone', sql.NVarChar(64), leagueId ? null : (timeZone || null))
+                .query(`
+                    MERGE NotificationPreferences AS target
+                    USING (SELECT @userId AS UserId, @leagueId AS LeagueId) AS source
+                    ON target.UserId = source.UserId
+                       AND (target.LeagueId = source.LeagueId OR (target.LeagueId IS NULL AND source.LeagueId IS NULL))
+                    WHEN MATCHED THEN
+                        UPDATE SET TypeSettings = COALESCE(@typeSettings, TypeSettings),
+                                   QuietHoursStart = CASE WHEN @setQuietHours = 1 THEN @quietHoursStart ELSE QuietHoursStart END,
+                                   QuietHoursEnd = CASE WHEN @setQuietHours = 1 THEN @quietHoursEnd ELSE QuietHoursEnd END,
+                                   TimeZone = COALESCE(@timeZone, TimeZone),
+                                   UpdatedAt = GETUTCDATE()
+                    WHEN NOT MATCHED THEN
+                        INSERT (UserId, LeagueId, TypeSettings, QuietHoursStart, QuietHoursEnd, TimeZone)
+                        VALUES (@userId, @leagueId, @typeSettings, @quietHoursStart, @quietHoursEnd,
+                                CASE WHEN @leagueId IS NULL THEN COALESCE(@timeZone, 'UTC') END);
+                `);
+
+            return { jsonBody: await loadPreferences(pool, userId) };
+        } catch (err) {
+            context.error('Error updating notification preferences:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
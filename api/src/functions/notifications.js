@@ -1,61 +1,206 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authenticate, authorizeLeague, forbidUnlessSelf } = require('../auth');
+const { createNotifications, notifyLeague } = require('../notifications');
 
-// GET notifications for a user
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The most notifications one bulk request may name
+const MAX_BULK_IDS = 500;
+
+const MAX_PAGE_SIZE = 100;
+
+// The ids of a bulk request: a non-empty array of notification GUIDs.
+// Returns an error message, or null when valid.
+function validateIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+        return `ids must be an array of 1 to ${MAX_BULK_IDS} notification ids`;
+    }
+    if (!ids.every(id => typeof id === 'string' && GUID_PATTERN.test(id))) {
+        return 'ids must be notification GUIDs';
+    }
+    return null;
+}
+
+// Inbox filters shared by the list and the unread count. The league filter
+// matches notifications about the league or one of its competitions.
+const INBOX_FILTER_SQL = `
+    n.UserId = @userId AND n.InApp = 1
+    AND (@unreadOnly = 0 OR n.IsRead = 0)
+    AND (@types IS NULL OR n.Type IN (SELECT value FROM OPENJSON(@types)))
+    AND (@leagueId IS NULL OR n.LeagueId = @leagueId)
+    AND (@relatedEntityType IS NULL OR n.RelatedEntityType = @relatedEntityType)
+`;
+
+// Read the inbox filters from the query string: unreadOnly, type (one or
+// comma-separated), leagueId and relatedEntityType. Returns { filters } or { error }.
+function parseInboxFilters(request) {
+    const type = request.query.get('type');
+    const leagueId = request.query.get('leagueId');
+
+    if (leagueId && !GUID_PATTERN.test(leagueId)) {
+        return { error: 'leagueId must be a GUID' };
+    }
+
+    return {
+        filters: {
+            unreadOnly: request.query.get('unreadOnly') === 'true',
+            types: type ? type.split(',').map(t => t.trim()).filter(Boolean) : null,
+            leagueId: leagueId || null,
+            relatedEntityType: request.query.get('relatedEntityType') || null
+        }
+    };
+}
+
+function inboxRequest(pool, userId, filters) {
+    return pool.request()
+        .input('userId', sql.UniqueIdentifier, userId)
+        .input('unreadOnly', sql.Bit, filters.unreadOnly)
+        .input('types', sql.NVarChar(sql.MAX), filters.types ? JSON.stringify(filters.types) : null)
+        .input('leagueId', sql.UniqueIdentifier, filters.leagueId)
+        .input('relatedEntityType', sql.NVarChar(50), filters.relatedEntityType);
+}
+
+// Cursors are opaque to clients: the last row's CreatedAt (at full DATETIME2
+// precision, which a JS Date would round) and Id
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.CursorCreatedAt, row.Id])).toString('base64url');
+}
+
+// A DATETIME2 in style 126 that names a real instant, so the CAST in the
+// page query can't fail
+function isCursorTimestamp(value) {
+    if (typeof value !== 'string' || !/^(?!0000)\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d{1,7})?$/.test(value)) {
+        return false;
+    }
+    const seconds = value.slice(0, 19);
+    const date = new Date(`${seconds}Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 19) === seconds;
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (isCursorTimestamp(createdAt) && GUID_PATTERN.test(id)) {
+            return { createdAt, id };
+        }
+    } catch {
+        // not a cursor we issued
+    }
+    return null;
+}
+
+// GET a page of a user's inbox, newest first. Pass the response's nextCursor
+// as `cursor` for the next (older) page; it is null on the last page.
+// `limit` is the page size (default 50, at most 100).
 app.http('getNotifications', {
     methods: ['GET'],
     authLevel: 'anonymous',
-    route: 'users/{userId}/notifications/{id?}',
+    route: 'users/{userId}/notifications',
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
-            const id = request.params.id;
-            const unreadOnly = request.query.get('unreadOnly') === 'true';
-            const limit = parseInt(request.query.get('limit')) || 50;
 
-            if (id) {
-                const result = await pool.request()
-                    .input('id', sql.UniqueIdentifier, id)
-                    .input('userId', sql.UniqueIdentifier, userId)
-                    .query(`
-                        SELECT *
-                        FROM Notifications
-                        WHERE Id = @id AND UserId = @userId
-                    `);
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
 
-                if (result.recordset.length === 0) {
-                    return { status: 404, jsonBody: { error: 'Notification not found' } };
-                }
-                return { jsonBody: result.recordset[0] };
+            const { filters, error } = parseInboxFilters(request);
+            if (error) {
+                return { status: 400, jsonBody: { error } };
             }
 
-            let query = `
-                SELECT TOP (@limit) *
-                FROM Notifications
-                WHERE UserId = @userId
-            `;
+            const limit = request.query.get('limit') ? Number(request.query.get('limit')) : 50;
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                return { status: 400, jsonBody: { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` } };
+            }
 
-            if (unreadOnly) {
-                query += ' AND IsRead = 0';
+            const cursorText = request.query.get('cursor');
+            const cursor = cursorText ? decodeCursor(cursorText) : null;
+            if (cursorText && !cursor) {
+                return { status: 400, jsonBody: { error: 'cursor is invalid' } };
             }
 
-            query += ' ORDER BY CreatedAt DESC';
+            const result = await inboxRequest(pool, userId, filters)
+                .input('limit', sql.Int, limit + 1)
+                .input('cursorCreatedAt', sql.VarChar(27), cursor ? cursor.createdAt : null)
+                .input('cursorId', sql.UniqueIdentifier, cursor ? cursor.id : null)
+                .query(`
+                    SELECT TOP (@limit) n.*, CONVERT(VARCHAR(27), n.CreatedAt, 126) AS CursorCreatedAt
+                    FROM Notifications n
+                    WHERE ${INBOX_FILTER_SQL}
+                      AND (@cursorId IS NULL
+                           OR n.CreatedAt < CAST(@cursorCreatedAt AS DATETIME2)
+                           OR (n.CreatedAt = CAST(@cursorCreatedAt AS DATETIME2) AND n.Id < @cursorId))
+                    ORDER BY n.CreatedAt DESC, n.Id DESC
+                `);
+
+            const rows = result.recordset;
+            const hasMore = rows.length > limit;
+            const page = rows.slice(0, limit);
+            const nextCursor = hasMore ? encodeCursor(page[page.length - 1]) : null;
+            for (const notification of page) {
+                delete notification.CursorCreatedAt;
+            }
+
+            return { jsonBody: { items: page, nextCursor } };
+        } catch (err) {
+            context.error('Error fetching notifications:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET one notification
+app.http('getNotification', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/notifications/{id:guid}',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+            const id = request.params.id;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
 
             const result = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
                 .input('userId', sql.UniqueIdentifier, userId)
-                .input('limit', sql.Int, limit)
-                .query(query);
+                .query(`
+                    SELECT *
+                    FROM Notifications
+                    WHERE Id = @id AND UserId = @userId AND InApp = 1
+                `);
 
-            return { jsonBody: result.recordset };
+            if (result.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'Notification not found' } };
+            }
+            return { jsonBody: result.recordset[0] };
         } catch (err) {
-            context.error('Error fetching notifications:', err);
+            context.error('Error fetching notification:', err);
             return { status: 500, jsonBody: { error: err.message } };
         }
     }
 });
 
-// GET unread notification count
+// GET unread notification count, narrowed by the inbox filters (type,
+// leagueId, relatedEntityType)
 app.http('getUnreadNotificationCount', {
     methods: ['GET'],
     authLevel: 'anonymous',
@@ -63,14 +208,28 @@ app.http('getUnreadNotificationCount', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
 
-            const result = await pool.request()
-                .input('userId', sql.UniqueIdentifier, userId)
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const { filters, error } = parseInboxFilters(request);
+            if (error) {
+                return { status: 400, jsonBody: { error } };
+            }
+
+            const result = await inboxRequest(pool, userId, { ...filters, unreadOnly: true })
                 .query(`
                     SELECT COUNT(*) AS UnreadCount
-                    FROM Notifications
-                    WHERE UserId = @userId AND IsRead = 0
+                    FROM Notifications n
+                    WHERE ${INBOX_FILTER_SQL}
                 `);
 
             return { jsonBody: { unreadCount: result.recordset[0].UnreadCount } };
@@ -89,7 +248,18 @@ app.http('createNotification', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const body = await request.json();
 
             const { type, title, message, relatedEntityId, relatedEntityType } = body;
@@ -98,20 +268,17 @@ app.http('createNotification', {
                 return { status: 400, jsonBody: { error: 'type, title, and message are required' } };
             }
 
-            const result = await pool.request()
-                .input('userId', sql.UniqueIdentifier, userId)
-                .input('type', sql.NVarChar(50), type)
-                .input('title', sql.NVarChar(200), title)
-                .input('message', sql.NVarChar(1000), message)
-                .input('relatedEntityId', sql.UniqueIdentifier, relatedEntityId || null)
-                .input('relatedEntityType', sql.NVarChar(50), relatedEntityType || null)
-                .query(`
-                    INSERT INTO Notifications (UserId, Type, Title, Message, RelatedEntityId, RelatedEntityType)
-                    OUTPUT INSERTED.*
-                    VALUES (@userId, @type, @title, @message, @relatedEntityId, @relatedEntityType)
-                `);
+            const [notification] = await createNotifications(pool, [{
+                userId, type, title, message,
+                relatedEntityId: relatedEntityId || null,
+                relatedEntityType: relatedEntityType || null
+            }]);
+
+            if (!notification) {
+                return { jsonBody: { message: 'Notification is turned off in notification preferences' } };
+            }
 
-            return { status: 201, jsonBody: result.recordset[0] };
+            return { status: 201, jsonBody: notification };
         } catch (err) {
             context.error('Error creating notification:', err);
             return { status: 500, jsonBody: { error: err.message } };
@@ -128,6 +295,12 @@ app.http('createBulkNotifications', {
         try {
             const pool = await getConnection();
             const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
             const { type, title, message, relatedEntityId, relatedEntityType } = body;
@@ -136,24 +309,62 @@ app.http('createBulkNotifications', {
                 return { status: 400, jsonBody: { error: 'type, title, and message are required' } };
             }
 
+            const notifications = await notifyLeague(pool, leagueId, {
+                type, title, message,
+                relatedEntityId: relatedEntityId || null,
+                relatedEntityType: relatedEntityType || null
+            });
+
+            return { status: 201, jsonBody: { message: 'Notifications created', count: notifications.length } };
+        } catch (err) {
+            context.error('Error creating bulk notifications:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET how a notification was delivered outside the app, per channel
+app.http('getNotificationDeliveries', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/notifications/{id:guid}/deliveries',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+            const id = request.params.id;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const result = await pool.request()
-                .input('leagueId', sql.UniqueIdentifier, leagueId)
-                .input('type', sql.NVarChar(50), type)
-                .input('title', sql.NVarChar(200), title)
-                .input('message', sql.NVarChar(1000), message)
-                .input('relatedEntityId', sql.UniqueIdentifier, relatedEntityId || null)
-                .input('relatedEntityType', sql.NVarChar(50), relatedEntityType || null)
+                .input('id', sql.UniqueIdentifier, id)
+                .input('userId', sql.UniqueIdentifier, userId)
                 .query(`
-                    INSERT INTO Notifications (UserId, Type, Title, Message, RelatedEntityId, RelatedEntityType)
-                    OUTPUT INSERTED.*
-                    SELECT lm.UserId, @type, @title, @message, @relatedEntityId, @relatedEntityType
-                    FROM LeagueMembers lm
-                    WHERE lm.LeagueId = @leagueId AND lm.IsActive = 1
+                    SELECT n.Id FROM Notifications n WHERE n.Id = @id AND n.UserId = @userId;
+
+                    SELECT d.Channel, d.Status, d.Attempts, d.NextAttemptAt, d.SentAt, d.LastError, d.CreatedAt, d.UpdatedAt
+                    FROM NotificationDeliveries d
+                    INNER JOIN Notifications n ON d.NotificationId = n.Id
+                    WHERE n.Id = @id AND n.UserId = @userId
+                    ORDER BY d.Channel ASC;
                 `);
 
-            return { status: 201, jsonBody: { message: 'Notifications created', count: result.recordset.length } };
+            const [notifications, deliveries] = result.recordsets;
+            if (notifications.length === 0) {
+                return { status: 404, jsonBody: { error: 'Notification not found' } };
+            }
+
+            return { jsonBody: deliveries };
         } catch (err) {
-            context.error('Error creating bulk notifications:', err);
+            context.error('Error fetching notification deliveries:', err);
             return { status: 500, jsonBody: { error: err.message } };
         }
     }
@@ -163,12 +374,23 @@ app.http('createBulkNotifications', {
 app.http('updateNotification', {
     methods: ['PUT', 'PATCH'],
     authLevel: 'anonymous',
-    route: 'users/{userId}/notifications/{id}',
+    route: 'users/{userId}/notifications/{id:guid}',
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
             const id = request.params.id;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const body = await request.json();
 
             const { isRead } = body;
@@ -182,7 +404,7 @@ app.http('updateNotification', {
                     SET IsRead = COALESCE(@isRead, IsRead),
                         ReadAt = CASE WHEN @isRead = 1 THEN GETUTCDATE() ELSE ReadAt END
                     OUTPUT INSERTED.*
-                    WHERE Id = @id AND UserId = @userId
+                    WHERE Id = @id AND UserId = @userId AND InApp = 1
                 `);
 
             if (result.recordset.length === 0) {
@@ -205,15 +427,25 @@ app.http('markAllNotificationsRead', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
 
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const result = await pool.request()
                 .input('userId', sql.UniqueIdentifier, userId)
                 .query(`
                     UPDATE Notifications
                     SET IsRead = 1, ReadAt = GETUTCDATE()
                     OUTPUT INSERTED.Id
-                    WHERE UserId = @userId AND IsRead = 0
+                    WHERE UserId = @userId AND IsRead = 0 AND InApp = 1
                 `);
 
             return { jsonBody: { message: 'All notifications marked as read', count: result.recordset.length } };
@@ -224,24 +456,88 @@ app.http('markAllNotificationsRead', {
     }
 });
 
+// Mark the notifications in ids as read (or unread, with isRead false).
+// Ids that aren't the user's are ignored; count is how many were updated.
+app.http('markNotificationsRead', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/notifications/mark-read',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const body = await request.json();
+
+            const { ids, isRead = true } = body;
+
+            const idsError = validateIds(ids);
+            if (idsError) {
+                return { status: 400, jsonBody: { error: idsError } };
+            }
+            if (typeof isRead !== 'boolean') {
+                return { status: 400, jsonBody: { error: 'isRead must be true or false' } };
+            }
+
+            const result = await pool.request()
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+                .input('isRead', sql.Bit, isRead)
+                .query(`
+                    UPDATE Notifications
+                    SET IsRead = @isRead,
+                        ReadAt = CASE WHEN @isRead = 1 THEN GETUTCDATE() END
+                    OUTPUT INSERTED.Id
+                    WHERE UserId = @userId AND IsRead <> @isRead AND InApp = 1
+                      AND Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@ids))
+                `);
+
+            return { jsonBody: { message: `Notifications marked as ${isRead ? 'read' : 'unread'}`, count: result.recordset.length } };
+        } catch (err) {
+            context.error('Error marking notifications as read:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
 // DELETE notification
 app.http('deleteNotification', {
     methods: ['DELETE'],
     authLevel: 'anonymous',
-    route: 'users/{userId}/notifications/{id}',
+    route: 'users/{userId}/notifications/{id:guid}',
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
             const id = request.params.id;
 
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('userId', sql.UniqueIdentifier, userId)
                 .query(`
                     DELETE FROM Notifications
                     OUTPUT DELETED.Id
-                    WHERE Id = @id AND UserId = @userId
+                    WHERE Id = @id AND UserId = @userId AND InApp = 1
                 `);
 
             if (result.recordset.length === 0) {
@@ -256,15 +552,68 @@ app.http('deleteNotification', {
     }
 });
 
-// DELETE old read notifications (cleanup)
+// DELETE the notifications in ids. Ids that aren't the user's are ignored;
+// count is how many were deleted.
+app.http('deleteNotifications', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/notifications/delete',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const body = await request.json();
+
+            const { ids } = body;
+
+            const idsError = validateIds(ids);
+            if (idsError) {
+                return { status: 400, jsonBody: { error: idsError } };
+            }
+
+            const result = await pool.request()
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+                .query(`
+                    DELETE FROM Notifications
+                    OUTPUT DELETED.Id
+                    WHERE UserId = @userId AND InApp = 1
+                      AND Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@ids))
+                `);
+
+            return { jsonBody: { message: 'Notifications deleted', count: result.recordset.length } };
+        } catch (err) {
+            context.error('Error deleting notifications:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// DELETE every user's notifications read more than daysOld (default 30) days
+// ago. An operator task, so it takes the function key rather than a login.
 app.http('cleanupNotifications', {
     methods: ['DELETE'],
-    authLevel: 'anonymous',
+    authLevel: 'function',
     route: 'notifications/cleanup',
     handler: async (request, context) => {
         try {
+            const daysOld = request.query.get('daysOld') ? Number(request.query.get('daysOld')) : 30;
+            if (!Number.isInteger(daysOld) || daysOld < 1) {
+                return { status: 400, jsonBody: { error: 'daysOld must be a whole number of at least 1' } };
+            }
+
             const pool = await getConnection();
-            const daysOld = parseInt(request.query.get('daysOld')) || 30;
 
             const result = await pool.request()
                 .input('daysOld', sql.Int, daysOld)
@@ -1,7 +1,26 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
-
-// GET picks for a competition or user
+const { authenticate, authorizeLeague, forbidUnlessSelf, getLeagueRole, hasLeagueRole, sameId } = require('../auth');
+const { fillAutoPicks } = require('../autoPick');
+const { checkNotBracket } = require('../bracket');
+const {
+    PICK_HIDDEN_SQL,
+    canonicalPickedTeam,
+    checkConfidenceSheet,
+    checkLeagueMembership,
+    checkPickLock,
+    checkPickedTeam,
+    getConfidenceSheet,
+    getPickLocks,
+    redactHiddenPicks,
+    validateConfidencePoints,
+    validatePickBatch
+} = require('../pickRules');
+const { getTiebreaker } = require('../scoring');
+const { checkSurvivorPicks } = require('../survivor');
+
+// GET picks for a competition or user. Other members' picks stay hidden until
+// their game locks, unless the league makes picks always visible.
 app.http('getCompetitionPicks', {
     methods: ['GET'],
     authLevel: 'anonymous',
@@ -9,50 +28,67 @@ app.http('getCompetitionPicks', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const competitionId = request.params.competitionId;
             const id = request.params.id;
             const userId = request.query.get('userId');
 
+            const pickColumns = `
+                p.*, g.HomeTeam, g.AwayTeam, g.GameDate, g.Status AS GameStatus,
+                u.Username, CAST(h.IsHidden AS BIT) AS IsHidden
+            `;
+            const pickJoins = `
+                FROM Picks p
+                INNER JOIN Games g ON p.GameId = g.Id
+                INNER JOIN Users u ON p.UserId = u.Id
+                INNER JOIN Competitions c ON p.CompetitionId = c.Id
+                INNER JOIN Leagues l ON c.LeagueId = l.Id
+                CROSS APPLY (SELECT ${PICK_HIDDEN_SQL} AS IsHidden) h
+            `;
+
             if (id) {
                 const result = await pool.request()
                     .input('id', sql.UniqueIdentifier, id)
                     .input('competitionId', sql.UniqueIdentifier, competitionId)
+                    .input('viewerId', sql.UniqueIdentifier, user.Id)
+                    .input('now', sql.DateTime2, new Date())
                     .query(`
-                        SELECT p.*, g.HomeTeam, g.AwayTeam, g.GameDate, g.Status AS GameStatus,
-                               u.Username
-                        FROM Picks p
-                        INNER JOIN Games g ON p.GameId = g.Id
-                        INNER JOIN Users u ON p.UserId = u.Id
+                        SELECT ${pickColumns}
+                        ${pickJoins}
                         WHERE p.Id = @id AND p.CompetitionId = @competitionId
                     `);
 
                 if (result.recordset.length === 0) {
                     return { status: 404, jsonBody: { error: 'Pick not found' } };
                 }
-                return { jsonBody: result.recordset[0] };
+                return { jsonBody: redactHiddenPicks(result.recordset)[0] };
             }
 
             let query = `
-                SELECT p.*, g.HomeTeam, g.AwayTeam, g.GameDate, g.Status AS GameStatus,
-                       u.Username
-                FROM Picks p
-                INNER JOIN Games g ON p.GameId = g.Id
-                INNER JOIN Users u ON p.UserId = u.Id
+                SELECT ${pickColumns}
+                ${pickJoins}
                 WHERE p.CompetitionId = @competitionId
             `;
 
             const req = pool.request()
-                .input('competitionId', sql.UniqueIdentifier, competitionId);
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('viewerId', sql.UniqueIdentifier, user.Id)
+                .input('now', sql.DateTime2, new Date());
 
             if (userId) {
                 query += ' AND p.UserId = @userId';
                 req.input('userId', sql.UniqueIdentifier, userId);
             }
 
-            query += ' ORDER BY g.GameDate ASC, p.ConfidencePoints DESC';
+            // Hidden picks sort by name so their order doesn't give away confidence
+            query += ' ORDER BY g.GameDate ASC, CASE WHEN h.IsHidden = 1 THEN NULL ELSE p.ConfidencePoints END DESC, u.Username ASC';
 
             const result = await req.query(query);
-            return { jsonBody: result.recordset };
+            return { jsonBody: redactHiddenPicks(result.recordset) };
         } catch (err) {
             context.error('Error fetching picks:', err);
             return { status: 500, jsonBody: { error: err.message } };
@@ -60,7 +96,7 @@ app.http('getCompetitionPicks', {
     }
 });
 
-// GET user's picks
+// GET user's picks (hidden until lock when viewing another member's picks)
 app.http('getUserPicks', {
     methods: ['GET'],
     authLevel: 'anonymous',
@@ -68,20 +104,29 @@ app.http('getUserPicks', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const userId = request.params.userId;
             const competitionId = request.query.get('competitionId');
 
             let query = `
                 SELECT p.*, g.HomeTeam, g.AwayTeam, g.GameDate, g.Status AS GameStatus,
-                       c.Name AS CompetitionName, c.WeekNumber
+                       c.Name AS CompetitionName, c.WeekNumber, CAST(h.IsHidden AS BIT) AS IsHidden
                 FROM Picks p
                 INNER JOIN Games g ON p.GameId = g.Id
                 INNER JOIN Competitions c ON p.CompetitionId = c.Id
+                INNER JOIN Leagues l ON c.LeagueId = l.Id
+                CROSS APPLY (SELECT ${PICK_HIDDEN_SQL} AS IsHidden) h
                 WHERE p.UserId = @userId
             `;
 
             const req = pool.request()
-                .input('userId', sql.UniqueIdentifier, userId);
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('viewerId', sql.UniqueIdentifier, user.Id)
+                .input('now', sql.DateTime2, new Date());
 
             if (competitionId) {
                 query += ' AND p.CompetitionId = @competitionId';
@@ -91,7 +136,7 @@ app.http('getUserPicks', {
             query += ' ORDER BY c.WeekNumber DESC, g.GameDate ASC';
 
             const result = await req.query(query);
-            return { jsonBody: result.recordset };
+            return { jsonBody: redactHiddenPicks(result.recordset) };
         } catch (err) {
             context.error('Error fetching user picks:', err);
             return { status: 500, jsonBody: { error: err.message } };
@@ -105,40 +150,93 @@ app.http('createPick', {
     authLevel: 'anonymous',
     route: 'competitions/{competitionId}/picks',
     handler: async (request, context) => {
+        let transaction;
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const competitionId = request.params.competitionId;
             const body = await request.json();
 
-            const { gameId, userId, pickedTeam, confidencePoints, pickType, additionalData } = body;
+            const { gameId, pickedTeam, confidencePoints, pickType, additionalData } = body;
+            const userId = body.userId || user.Id;
+
+            if (!gameId || !pickedTeam) {
+                return { status: 400, jsonBody: { error: 'gameId and pickedTeam are required' } };
+            }
 
-            if (!gameId || !userId || !pickedTeam) {
-                return { status: 400, jsonBody: { error: 'gameId, userId, and pickedTeam are required' } };
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
             }
 
-            // Check if competition is still accepting picks (not locked)
-            const lockCheck = await pool.request()
+            const bracket = await checkNotBracket(pool, competitionId);
+            if (bracket) {
+                return bracket;
+            }
+
+            // Check if the game is still accepting picks (not locked)
+            const locked = await checkPickLock(pool, competitionId, [gameId], 'Competition is locked, no more picks allowed');
+            if (locked) {
+                return locked;
+            }
+
+            const notMember = await checkLeagueMembership(pool, competitionId, userId);
+            if (notMember) {
+                return notMember;
+            }
+
+            const gameResult = await pool.request()
+                .input('gameId', sql.UniqueIdentifier, gameId)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
                 .query(`
-                    SELECT LockDate, Status
-                    FROM Competitions
-                    WHERE Id = @competitionId
+                    SELECT HomeTeam, AwayTeam
+                    FROM Games
+                    WHERE Id = @gameId AND CompetitionId = @competitionId
                 `);
 
-            if (lockCheck.recordset.length === 0) {
-                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            if (gameResult.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'Game not found in this competition' } };
             }
 
-            const competition = lockCheck.recordset[0];
-            if (new Date() > new Date(competition.LockDate) || competition.Status === 'Locked' || competition.Status === 'Completed') {
-                return { status: 403, jsonBody: { error: 'Competition is locked, no more picks allowed' } };
+            const teamError = checkPickedTeam(gameResult.recordset[0], pickType || 'Straight', pickedTeam);
+            if (teamError) {
+                return { status: 400, jsonBody: { error: teamError } };
             }
 
-            const result = await pool.request()
+            // Store the game's own spelling, which grading compares against
+            const team = canonicalPickedTeam(gameResult.recordset[0], pickType || 'Straight', pickedTeam);
+
+            const survivorError = await checkSurvivorPicks(pool, competitionId, userId, [
+                { gameId, pickedTeam: team, pickType: pickType || 'Straight' }
+            ]);
+            if (survivorError) {
+                return survivorError;
+            }
+
+            // Check the confidence value and insert in one transaction, so two
+            // picks sent at once can't both claim it
+            transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            const confidenceError = await validateConfidencePoints(transaction, {
+                competitionId,
+                userId,
+                confidencePoints: confidencePoints || 1
+            });
+            if (confidenceError) {
+                await transaction.rollback();
+                return confidenceError;
+            }
+
+            const result = await transaction.request()
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
                 .input('gameId', sql.UniqueIdentifier, gameId)
                 .input('userId', sql.UniqueIdentifier, userId)
-                .input('pickedTeam', sql.NVarChar(100), pickedTeam)
+                .input('pickedTeam', sql.NVarChar(100), team)
                 .input('confidencePoints', sql.Int, confidencePoints || 1)
                 .input('pickType', sql.NVarChar(20), pickType || 'Straight')
                 .input('additionalData', sql.NVarChar(sql.MAX), additionalData ? JSON.stringify(additionalData) : null)
@@ -148,70 +246,499 @@ app.http('createPick', {
                     VALUES (@competitionId, @gameId, @userId, @pickedTeam, @confidencePoints, @pickType, @additionalData)
                 `);
 
+            await transaction.commit();
+
             return { status: 201, jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error creating pick:', err);
+            if (transaction) {
+                await transaction.rollback().catch(() => {});
+            }
             if (err.message.includes('UNIQUE') || err.message.includes('duplicate')) {
                 return { status: 409, jsonBody: { error: 'User has already made a pick for this game' } };
             }
             if (err.message.includes('CHECK')) {
-                return { status: 400, jsonBody: { error: 'Confidence points must be between 1 and 20' } };
+                return { status: 400, jsonBody: { error: 'Confidence points must be at least 1' } };
+            }
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// Submit a full pick sheet atomically (validated as a unit, upserted in one transaction)
+app.http('submitPickSheet', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/picks/batch',
+    handler: async (request, context) => {
+        let transaction;
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const competitionId = request.params.competitionId;
+            const body = await request.json();
+
+            const userId = body.userId || user.Id;
+            const picks = body.picks;
+
+            if (!Array.isArray(picks) || picks.length === 0) {
+                return { status: 400, jsonBody: { error: 'picks must be a non-empty array' } };
+            }
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const sheet = picks.map(pick => ({
+                gameId: pick && pick.gameId,
+                pickedTeam: pick && pick.pickedTeam,
+                confidencePoints: (pick && pick.confidencePoints) || 1,
+                pickType: (pick && pick.pickType) || 'Straight',
+                additionalData: pick && pick.additionalData ? JSON.stringify(pick.additionalData) : null
+            }));
+
+            transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            const bracket = await checkNotBracket(transaction, competitionId);
+            if (bracket) {
+                await transaction.rollback();
+                return bracket;
+            }
+
+            // Every game on the sheet must still be open, or nothing is saved
+            const locked = await checkPickLock(transaction, competitionId, sheet.filter(p => p.gameId).map(p => p.gameId), 'Competition is locked, no more picks allowed');
+            if (locked) {
+                await transaction.rollback();
+                return locked;
+            }
+
+            const notMember = await checkLeagueMembership(transaction, competitionId, userId);
+            if (notMember) {
+                await transaction.rollback();
+                return notMember;
+            }
+
+            const current = await transaction.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .query(`
+                    SELECT l.ConfidencePool
+                    FROM Competitions c
+                    INNER JOIN Leagues l ON c.LeagueId = l.Id
+                    WHERE c.Id = @competitionId;
+
+                    SELECT Id, HomeTeam, AwayTeam FROM Games WHERE CompetitionId = @competitionId ORDER BY GameDate ASC;
+
+                    SELECT Id, GameId, ConfidencePoints
+                    FROM Picks WITH (UPDLOCK, HOLDLOCK)
+                    WHERE CompetitionId = @competitionId AND UserId = @userId;
+                `);
+
+            const [competitions, games, existingPicks] = current.recordsets;
+
+            if (competitions.length === 0) {
+                await transaction.rollback();
+                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            }
+
+            const errors = validatePickBatch({
+                games,
+                existingPicks,
+                picks: sheet,
+                confidencePool: competitions[0].ConfidencePool
+            });
+
+            if (errors.length > 0) {
+                await transaction.rollback();
+                return { status: 400, jsonBody: { error: 'Pick sheet is invalid', errors } };
+            }
+
+            // Store each game's own spelling, which grading compares against
+            for (const pick of sheet) {
+                const game = games.find(g => sameId(g.Id, pick.gameId));
+                pick.pickedTeam = canonicalPickedTeam(game, pick.pickType, pick.pickedTeam);
+            }
+
+            const survivorError = await checkSurvivorPicks(transaction, competitionId, userId, sheet);
+            if (survivorError) {
+                await transaction.rollback();
+                return survivorError;
+            }
+
+            const result = await transaction.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('picks', sql.NVarChar(sql.MAX), JSON.stringify(sheet))
+                .query(`
+                    MERGE Picks AS target
+                    USING (
+                        SELECT *
+                        FROM OPENJSON(@picks) WITH (
+                            GameId UNIQUEIDENTIFIER '$.gameId',
+                            PickedTeam NVARCHAR(100) '$.pickedTeam',
+                            ConfidencePoints INT '$.confidencePoints',
+                            PickType NVARCHAR(20) '$.pickType',
+                            AdditionalData NVARCHAR(MAX) '$.additionalData'
+                        )
+                    ) AS source
+                    ON target.GameId = source.GameId AND target.UserId = @userId
+                    WHEN MATCHED THEN
+                        UPDATE SET PickedTeam = source.PickedTeam,
+                                   ConfidencePoints = source.ConfidencePoints,
+                                   PickType = source.PickType,
+                                   AdditionalData = COALESCE(source.AdditionalData, target.AdditionalData),
+                                   UpdatedAt = GETUTCDATE()
+                    WHEN NOT MATCHED THEN
+                        INSERT (CompetitionId, GameId, UserId, PickedTeam, ConfidencePoints, PickType, AdditionalData)
+                        VALUES (@competitionId, source.GameId, @userId, source.PickedTeam, source.ConfidencePoints, source.PickType, source.AdditionalData);
+
+                    SELECT p.*, g.HomeTeam, g.AwayTeam, g.GameDate
+                    FROM Picks p
+                    INNER JOIN Games g ON p.GameId = g.Id
+                    WHERE p.CompetitionId = @competitionId AND p.UserId = @userId
+                    ORDER BY g.GameDate ASC;
+                `);
+
+            await transaction.commit();
+
+            const saved = result.recordset;
+            return {
+                jsonBody: {
+                    picks: saved,
+                    sheet: checkConfidenceSheet(games.map(g => g.Id), saved)
+                }
+            };
+        } catch (err) {
+            context.error('Error submitting pick sheet:', err);
+            if (transaction) {
+                await transaction.rollback().catch(() => {});
+            }
+            if (err.message.includes('CHECK')) {
+                return { status: 400, jsonBody: { error: 'Confidence points must be at least 1' } };
             }
             return { status: 500, jsonBody: { error: err.message } };
         }
     }
 });
 
+// GET a user's pick sheet status (complete/incomplete with confidence conflicts)
+app.http('getPickSheet', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/sheets/{userId}',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const competitionId = request.params.competitionId;
+            const userId = request.params.userId;
+
+            // Members see their own sheet; commissioners can check anyone's
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                const membership = await getLeagueRole(pool, user.Id, { competitionId });
+                if (!membership || !hasLeagueRole(membership.Role, 'CoCommissioner')) {
+                    return forbidden;
+                }
+            }
+
+            const sheet = await getConfidenceSheet(pool, competitionId, userId);
+            if (!sheet) {
+                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            }
+
+            return { jsonBody: sheet };
+        } catch (err) {
+            context.error('Error fetching pick sheet:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET which games in a competition are locked for picks
+app.http('getPickLocks', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/locks',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const locks = await getPickLocks(pool, request.params.competitionId);
+            if (!locks) {
+                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            }
+
+            return { jsonBody: locks };
+        } catch (err) {
+            context.error('Error fetching pick locks:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// Fill in missing picks by the league's auto-pick policy (commissioners only).
+// The lifecycle job fills them in for Locked competitions on each run; this
+// does it now, and covers Completed ones. Rescore afterwards if it's already Completed.
+app.http('createAutoPicks', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/picks/auto',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const competitionId = request.params.competitionId;
+
+            const { response } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const competition = await pool.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .query(`
+                    SELECT c.Status, l.AutoPickPolicy
+                    FROM Competitions c
+                    INNER JOIN Leagues l ON c.LeagueId = l.Id
+                    WHERE c.Id = @competitionId
+                `);
+
+            const { Status, AutoPickPolicy } = competition.recordset[0];
+            if (AutoPickPolicy === 'None') {
+                return { status: 409, jsonBody: { error: 'This league has no auto-pick policy' } };
+            }
+            if (Status !== 'Locked' && Status !== 'Completed') {
+                return { status: 409, jsonBody: { error: 'Auto-picks are only made once the competition locks' } };
+            }
+
+            const picks = await fillAutoPicks(pool, competitionId);
+
+            return { status: 201, jsonBody: { message: `Made ${picks.length} auto-pick(s)`, picks } };
+        } catch (err) {
+            context.error('Error creating auto-picks:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET the competition's tiebreaker question and the caller's prediction
+app.http('getTiebreakerPrediction', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/tiebreaker',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const competitionId = request.params.competitionId;
+
+            const tiebreaker = await getTiebreaker(pool, competitionId);
+            if (!tiebreaker) {
+                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            }
+
+            const result = await pool.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, user.Id)
+                .query(`
+                    SELECT PredictedValue, SubmittedAt, UpdatedAt
+                    FROM TiebreakerPredictions
+                    WHERE CompetitionId = @competitionId AND UserId = @userId
+                `);
+
+            return { jsonBody: { ...tiebreaker, prediction: result.recordset[0] || null } };
+        } catch (err) {
+            context.error('Error fetching tiebreaker prediction:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// PUT the caller's tiebreaker prediction; it locks with the tiebreaker game
+app.http('submitTiebreakerPrediction', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'competitions/{competitionId}/tiebreaker',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const competitionId = request.params.competitionId;
+            const body = await request.json();
+            const { predictedValue } = body;
+
+            if (!Number.isInteger(predictedValue) || predictedValue < 0) {
+                return { status: 400, jsonBody: { error: 'predictedValue must be a non-negative whole number' } };
+            }
+
+            const tiebreaker = await getTiebreaker(pool, competitionId);
+            if (!tiebreaker) {
+                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            }
+
+            const locked = await checkPickLock(pool, competitionId, tiebreaker.gameId ? [tiebreaker.gameId] : [],
+                'Tiebreaker predictions are locked for this competition');
+            if (locked) {
+                return locked;
+            }
+
+            const notMember = await checkLeagueMembership(pool, competitionId, user.Id);
+            if (notMember) {
+                return notMember;
+            }
+
+            const result = await pool.request()
+                .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, user.Id)
+                .input('predictedValue', sql.Int, predictedValue)
+                .query(`
+                    MERGE TiebreakerPredictions AS target
+                    USING (SELECT @competitionId AS CompetitionId, @userId AS UserId) AS source
+                    ON target.CompetitionId = source.CompetitionId AND target.UserId = source.UserId
+                    WHEN MATCHED THEN
+                        UPDATE SET PredictedValue = @predictedValue, UpdatedAt = GETUTCDATE()
+                    WHEN NOT MATCHED THEN
+                        INSERT (CompetitionId, UserId, PredictedValue)
+                        VALUES (@competitionId, @userId, @predictedValue)
+                    OUTPUT INSERTED.*;
+                `);
+
+            return { jsonBody: result.recordset[0] };
+        } catch (err) {
+            context.error('Error submitting tiebreaker prediction:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
 // UPDATE pick
 app.http('updatePick', {
     methods: ['PUT', 'PATCH'],
     authLevel: 'anonymous',
     route: 'competitions/{competitionId}/picks/{id}',
     handler: async (request, context) => {
+        let transaction;
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const competitionId = request.params.competitionId;
             const id = request.params.id;
             const body = await request.json();
 
-            // Check if competition is still accepting picks
-            const lockCheck = await pool.request()
+            const existing = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, user.Id)
                 .query(`
-                    SELECT LockDate, Status
-                    FROM Competitions
-                    WHERE Id = @competitionId
+                    SELECT p.GameId, p.PickedTeam, p.PickType, g.HomeTeam, g.AwayTeam
+                    FROM Picks p
+                    INNER JOIN Games g ON p.GameId = g.Id
+                    WHERE p.Id = @id AND p.CompetitionId = @competitionId AND p.UserId = @userId
                 `);
 
-            if (lockCheck.recordset.length === 0) {
-                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            if (existing.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'Pick not found' } };
             }
 
-            const competition = lockCheck.recordset[0];
-            if (new Date() > new Date(competition.LockDate) || competition.Status === 'Locked' || competition.Status === 'Completed') {
-                return { status: 403, jsonBody: { error: 'Competition is locked, picks cannot be modified' } };
+            const pick = existing.recordset[0];
+
+            const bracket = await checkNotBracket(pool, competitionId);
+            if (bracket) {
+                return bracket;
+            }
+
+            // Check if the pick's game is still accepting changes
+            const locked = await checkPickLock(pool, competitionId, [pick.GameId], 'Competition is locked, picks cannot be modified');
+            if (locked) {
+                return locked;
+            }
+
+            const notMember = await checkLeagueMembership(pool, competitionId, user.Id);
+            if (notMember) {
+                return notMember;
             }
 
             const { pickedTeam, confidencePoints, pickType, additionalData } = body;
 
-            const result = await pool.request()
+            const teamError = checkPickedTeam(pick, pickType || pick.PickType, pickedTeam || pick.PickedTeam);
+            if (teamError) {
+                return { status: 400, jsonBody: { error: teamError } };
+            }
+
+            // Store the game's own spelling, which grading compares against
+            const team = canonicalPickedTeam(pick, pickType || pick.PickType, pickedTeam || pick.PickedTeam);
+
+            const survivorError = await checkSurvivorPicks(pool, competitionId, user.Id, [
+                { gameId: pick.GameId, pickedTeam: team, pickType: pickType || pick.PickType }
+            ], id);
+            if (survivorError) {
+                return survivorError;
+            }
+
+            // As in createPick, the confidence check and the update share a transaction
+            transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            if (confidencePoints !== undefined && confidencePoints !== null) {
+                const confidenceError = await validateConfidencePoints(transaction, {
+                    competitionId,
+                    userId: user.Id,
+                    confidencePoints,
+                    pickId: id
+                });
+                if (confidenceError) {
+                    await transaction.rollback();
+                    return confidenceError;
+                }
+            }
+
+            const result = await transaction.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
-                .input('pickedTeam', sql.NVarChar(100), pickedTeam)
+                .input('userId', sql.UniqueIdentifier, user.Id)
+                .input('pickedTeam', sql.NVarChar(100), team)
                 .input('confidencePoints', sql.Int, confidencePoints)
                 .input('pickType', sql.NVarChar(20), pickType)
                 .input('additionalData', sql.NVarChar(sql.MAX), additionalData ? JSON.stringify(additionalData) : null)
                 .query(`
                     UPDATE Picks
-                    SET PickedTeam = COALESCE(@pickedTeam, PickedTeam),
+                    SET PickedTeam = @pickedTeam,
                         ConfidencePoints = COALESCE(@confidencePoints, ConfidencePoints),
                         PickType = COALESCE(@pickType, PickType),
                         AdditionalData = COALESCE(@additionalData, AdditionalData),
                         UpdatedAt = GETUTCDATE()
                     OUTPUT INSERTED.*
-                    WHERE Id = @id AND CompetitionId = @competitionId
+                    WHERE Id = @id AND CompetitionId = @competitionId AND UserId = @userId
                 `);
 
+            await transaction.commit();
+
             if (result.recordset.length === 0) {
                 return { status: 404, jsonBody: { error: 'Pick not found' } };
             }
@@ -219,6 +746,12 @@ app.http('updatePick', {
             return { jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error updating pick:', err);
+            if (transaction) {
+                await transaction.rollback().catch(() => {});
+            }
+            if (err.message.includes('CHECK')) {
+                return { status: 400, jsonBody: { error: 'Confidence points must be at least 1' } };
+            }
             return { status: 500, jsonBody: { error: err.message } };
         }
     }
@@ -232,34 +765,42 @@ app.http('deletePick', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const competitionId = request.params.competitionId;
             const id = request.params.id;
 
-            // Check if competition is still accepting picks
-            const lockCheck = await pool.request()
+            const existing = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, user.Id)
                 .query(`
-                    SELECT LockDate, Status
-                    FROM Competitions
-                    WHERE Id = @competitionId
+                    SELECT GameId
+                    FROM Picks
+                    WHERE Id = @id AND CompetitionId = @competitionId AND UserId = @userId
                 `);
 
-            if (lockCheck.recordset.length === 0) {
-                return { status: 404, jsonBody: { error: 'Competition not found' } };
+            if (existing.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'Pick not found' } };
             }
 
-            const competition = lockCheck.recordset[0];
-            if (new Date() > new Date(competition.LockDate) || competition.Status === 'Locked' || competition.Status === 'Completed') {
-                return { status: 403, jsonBody: { error: 'Competition is locked, picks cannot be deleted' } };
+            // Check if the pick's game is still accepting changes
+            const locked = await checkPickLock(pool, competitionId, [existing.recordset[0].GameId], 'Competition is locked, picks cannot be deleted');
+            if (locked) {
+                return locked;
             }
 
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
+                .input('userId', sql.UniqueIdentifier, user.Id)
                 .query(`
                     DELETE FROM Picks
                     OUTPUT DELETED.Id
-                    WHERE Id = @id AND CompetitionId = @competitionId
+                    WHERE Id = @id AND CompetitionId = @competitionId AND UserId = @userId
                 `);
 
             if (result.recordset.length === 0) {
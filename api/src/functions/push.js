@@ -0,0 +1,172 @@
+const { app } = require('@azure/functions');
+const { getConnection, sql } = require('../db');
+const { authenticate, forbidUnlessSelf } = require('../auth');
+const { getPushSender, validatePushEndpoint } = require('../push');
+
+// GET the VAPID public key browsers subscribe with (applicationServerKey)
+app.http('getPushPublicKey', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'push/public-key',
+    handler: async (request, context) => {
+        try {
+            const sender = getPushSender();
+            if (!sender) {
+                return { status: 404, jsonBody: { error: 'Push notifications are not configured' } };
+            }
+
+            return { jsonBody: { publicKey: sender.publicKey } };
+        } catch (err) {
+            context.error('Error fetching push public key:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// GET a user's push subscriptions
+app.http('getPushSubscriptions', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/push-subscriptions',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const result = await pool.request()
+                .input('userId', sql.UniqueIdentifier, userId)
+                .query(`
+                    SELECT Id, Endpoint, UserAgent, CreatedAt, UpdatedAt
+                    FROM PushSubscriptions
+                    WHERE UserId = @userId
+                    ORDER BY CreatedAt DESC
+                `);
+
+            return { jsonBody: result.recordset };
+        } catch (err) {
+            context.error('Error fetching push subscriptions:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// REGISTER a browser push subscription: the body is the browser's
+// PushSubscription JSON ({ endpoint, keys: { p256dh, auth } }). Registering an
+// endpoint again updates its keys, and moves it to this user if another user
+// had signed in on that browser.
+app.http('createPushSubscription', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/push-subscriptions',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const body = await request.json();
+
+            const { endpoint, keys } = body;
+
+            const endpointError = validatePushEndpoint(endpoint);
+            if (endpointError) {
+                return { status: 400, jsonBody: { error: endpointError } };
+            }
+
+            if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string' ||
+                !keys.p256dh || !keys.auth || keys.p256dh.length > 200 || keys.auth.length > 100) {
+                return { status: 400, jsonBody: { error: 'keys.p256dh and keys.auth are required' } };
+            }
+
+            const userAgent = request.headers.get('user-agent');
+
+            const result = await pool.request()
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('endpoint', sql.NVarChar(800), endpoint)
+                .input('p256dh', sql.NVarChar(200), keys.p256dh)
+                .input('auth', sql.NVarChar(100), keys.auth)
+                .input('userAgent', sql.NVarChar(300), userAgent ? userAgent.slice(0, 300) : null)
+                .query(`
+                    MERGE PushSubscriptions AS target
+                    USING (SELECT @endpoint AS Endpoint) AS source
+                    ON target.Endpoint = source.Endpoint
+                    WHEN MATCHED THEN
+                        UPDATE SET UserId = @userId,
+                                   P256dh = @p256dh,
+                                   Auth = @auth,
+                                   UserAgent = @userAgent,
+                                   UpdatedAt = GETUTCDATE()
+                    WHEN NOT MATCHED THEN
+                        INSERT (UserId, Endpoint, P256dh, Auth, UserAgent)
+                        VALUES (@userId, @endpoint, @p256dh, @auth, @userAgent)
+                    OUTPUT INSERTED.Id, INSERTED.Endpoint, INSERTED.UserAgent, INSERTED.CreatedAt, INSERTED.UpdatedAt;
+                `);
+
+            return { status: 201, jsonBody: result.recordset[0] };
+        } catch (err) {
+            context.error('Error registering push subscription:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// UNREGISTER a push subscription
+app.http('deletePushSubscription', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'users/{userId}/push-subscriptions/{id}',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const userId = request.params.userId;
+            const id = request.params.id;
+
+            const forbidden = forbidUnlessSelf(user, userId);
+            if (forbidden) {
+                return forbidden;
+            }
+
+            const result = await pool.request()
+                .input('id', sql.UniqueIdentifier, id)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .query(`
+                    DELETE FROM PushSubscriptions
+                    OUTPUT DELETED.Id
+                    WHERE Id = @id AND UserId = @userId
+                `);
+
+            if (result.recordset.length === 0) {
+                return { status: 404, jsonBody: { error: 'Push subscription not found' } };
+            }
+
+            return { status: 204 };
+        } catch (err) {
+            context.error('Error deleting push subscription:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
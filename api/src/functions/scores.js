@@ -1,5 +1,9 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authorizeLeague } = require('../auth');
+const { AUTO_PICK_SQL } = require('../autoPick');
+const { publish } = require('../events');
+const { scoreCompetition, tiebreakerGameSql } = require('../scoring');
 
 // GET scores for a competition (leaderboard)
 app.http('getCompetitionScores', {
@@ -33,11 +37,16 @@ app.http('getCompetitionScores', {
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
                 .query(`
                     SELECT s.*, u.Username, u.FirstName, u.LastName,
-                           CAST(s.CorrectPicks AS FLOAT) / NULLIF(s.TotalPicks, 0) * 100 AS WinPercentage
+                           CAST(s.CorrectPicks AS FLOAT) / NULLIF(s.TotalPicks - s.PushPicks, 0) * 100 AS WinPercentage,
+                           tb.ActualValue AS TiebreakerActual,
+                           (SELECT COUNT(*) FROM Picks p
+                            WHERE p.CompetitionId = s.CompetitionId AND p.UserId = s.UserId
+                              AND ${AUTO_PICK_SQL} = 1) AS AutoPicks
                     FROM Scores s
                     INNER JOIN Users u ON s.UserId = u.Id
+                    OUTER APPLY (${tiebreakerGameSql('@competitionId')}) tb
                     WHERE s.CompetitionId = @competitionId
-                    ORDER BY s.TotalPoints DESC, s.CorrectPicks DESC
+                    ORDER BY s.Rank ASC, u.Username ASC
                 `);
 
             return { jsonBody: result.recordset };
@@ -86,6 +95,12 @@ app.http('upsertScore', {
         try {
             const pool = await getConnection();
             const competitionId = request.params.competitionId;
+
+            const { response } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
             const { userId, totalPoints, correctPicks, totalPicks, rank } = body;
@@ -135,70 +150,16 @@ app.http('calculateCompetitionScores', {
             const pool = await getConnection();
             const competitionId = request.params.competitionId;
 
-            // Calculate scores based on picks and game results
-            await pool.request()
-                .input('competitionId', sql.UniqueIdentifier, competitionId)
-                .query(`
-                    -- Update IsCorrect and PointsEarned for each pick
-                    UPDATE p
-                    SET IsCorrect = CASE
-                        WHEN g.Status = 'Final' AND (
-                            (p.PickedTeam = g.HomeTeam AND g.HomeTeamScore > g.AwayTeamScore) OR
-                            (p.PickedTeam = g.AwayTeam AND g.AwayTeamScore > g.HomeTeamScore)
-                        ) THEN 1
-                        WHEN g.Status = 'Final' THEN 0
-                        ELSE NULL
-                    END,
-                    PointsEarned = CASE
-                        WHEN g.Status = 'Final' AND (
-                            (p.PickedTeam = g.HomeTeam AND g.HomeTeamScore > g.AwayTeamScore) OR
-                            (p.PickedTeam = g.AwayTeam AND g.AwayTeamScore > g.HomeTeamScore)
-                        ) THEN p.ConfidencePoints
-                        ELSE 0
-                    END
-                    FROM Picks p
-                    INNER JOIN Games g ON p.GameId = g.Id
-                    WHERE p.CompetitionId = @competitionId;
-
-                    -- Upsert aggregated scores
-                    MERGE Scores AS target
-                    USING (
-                        SELECT
-                            @competitionId AS CompetitionId,
-                            UserId,
-                            SUM(ISNULL(PointsEarned, 0)) AS TotalPoints,
-                            SUM(CASE WHEN IsCorrect = 1 THEN 1 ELSE 0 END) AS CorrectPicks,
-                            COUNT(*) AS TotalPicks
-                        FROM Picks
-                        WHERE CompetitionId = @competitionId
-                        GROUP BY UserId
-                    ) AS source
-                    ON target.CompetitionId = source.CompetitionId AND target.UserId = source.UserId
-                    WHEN MATCHED THEN
-                        UPDATE SET TotalPoints = source.TotalPoints,
-                                   CorrectPicks = source.CorrectPicks,
-                                   TotalPicks = source.TotalPicks,
-                                   CalculatedAt = GETUTCDATE()
-                    WHEN NOT MATCHED THEN
-                        INSERT (CompetitionId, UserId, TotalPoints, CorrectPicks, TotalPicks)
-                        VALUES (source.CompetitionId, source.UserId, source.TotalPoints, source.CorrectPicks, source.TotalPicks);
-
-                    -- Update ranks
-                    WITH RankedScores AS (
-                        SELECT Id, RANK() OVER (ORDER BY TotalPoints DESC, CorrectPicks DESC) AS NewRank
-                        FROM Scores
-                        WHERE CompetitionId = @competitionId
-                    )
-                    UPDATE s
-                    SET Rank = r.NewRank
-                    FROM Scores s
-                    INNER JOIN RankedScores r ON s.Id = r.Id;
+            const { response, leagueId } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
 
-                    -- Mark competition as scored
-                    UPDATE Competitions
-                    SET ScoringCalculated = 1, UpdatedAt = GETUTCDATE()
-                    WHERE Id = @competitionId;
-                `);
+            // Grade picks by type and rebuild the leaderboard
+            const { notifyError } = await scoreCompetition(pool, competitionId);
+            if (notifyError) {
+                context.warn('Scores calculated, but notifying members failed:', notifyError);
+            }
 
             // Return updated leaderboard
             const result = await pool.request()
@@ -211,6 +172,8 @@ app.http('calculateCompetitionScores', {
                     ORDER BY s.Rank ASC
                 `);
 
+            publish('leaderboard', { leagueId, competitionId }, { leaderboard: result.recordset });
+
             return { jsonBody: { message: 'Scores calculated successfully', leaderboard: result.recordset } };
         } catch (err) {
             context.error('Error calculating scores:', err);
@@ -230,6 +193,11 @@ app.http('deleteScore', {
             const competitionId = request.params.competitionId;
             const id = request.params.id;
 
+            const { response } = await authorizeLeague(request, pool, { competitionId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('competitionId', sql.UniqueIdentifier, competitionId)
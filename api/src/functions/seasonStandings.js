@@ -1,5 +1,16 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authorizeLeague, sameId } = require('../auth');
+const { calculateSeasonStandings } = require('../scoring');
+const { SURVIVOR_COMPETITION_TYPE, getSurvivorStatus } = require('../survivor');
+
+// Weeks the league's standings rules dropped, substituted or left out
+function withWeekAdjustments(standing) {
+    return {
+        ...standing,
+        WeekAdjustments: standing.WeekAdjustments ? JSON.parse(standing.WeekAdjustments) : []
+    };
+}
 
 // GET season standings for a league
 app.http('getSeasonStandings', {
@@ -26,7 +37,7 @@ app.http('getSeasonStandings', {
                 if (result.recordset.length === 0) {
                     return { status: 404, jsonBody: { error: 'Standing not found' } };
                 }
-                return { jsonBody: result.recordset[0] };
+                return { jsonBody: withWeekAdjustments(result.recordset[0]) };
             }
 
             const result = await pool.request()
@@ -37,10 +48,10 @@ app.http('getSeasonStandings', {
                     FROM SeasonStandings ss
                     INNER JOIN Users u ON ss.UserId = u.Id
                     WHERE ss.LeagueId = @leagueId
-                    ORDER BY ss.TotalPoints DESC, ss.TotalCorrectPicks DESC
+                    ORDER BY ss.Rank ASC, u.Username ASC
                 `);
 
-            return { jsonBody: result.recordset };
+            return { jsonBody: result.recordset.map(withWeekAdjustments) };
         } catch (err) {
             context.error('Error fetching season standings:', err);
             return { status: 500, jsonBody: { error: err.message } };
@@ -85,6 +96,12 @@ app.http('upsertSeasonStanding', {
         try {
             const pool = await getConnection();
             const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const body = await request.json();
 
             const { userId, totalPoints, weeksParticipated, totalCorrectPicks, totalPicks, averagePointsPerWeek, rank } = body;
@@ -138,48 +155,15 @@ app.http('calculateSeasonStandings', {
             const pool = await getConnection();
             const leagueId = request.params.leagueId;
 
-            await pool.request()
-                .input('leagueId', sql.UniqueIdentifier, leagueId)
-                .query(`
-                    -- Aggregate scores across all competitions in the league
-                    MERGE SeasonStandings AS target
-                    USING (
-                        SELECT
-                            @leagueId AS LeagueId,
-                            s.UserId,
-                            SUM(s.TotalPoints) AS TotalPoints,
-                            COUNT(DISTINCT s.CompetitionId) AS WeeksParticipated,
-                            SUM(s.CorrectPicks) AS TotalCorrectPicks,
-                            SUM(s.TotalPicks) AS TotalPicks,
-                            AVG(s.TotalPoints) AS AveragePointsPerWeek
-                        FROM Scores s
-                        INNER JOIN Competitions c ON s.CompetitionId = c.Id
-                        WHERE c.LeagueId = @leagueId AND c.Status = 'Completed'
-                        GROUP BY s.UserId
-                    ) AS source
-                    ON target.LeagueId = source.LeagueId AND target.UserId = source.UserId
-                    WHEN MATCHED THEN
-                        UPDATE SET TotalPoints = source.TotalPoints,
-                                   WeeksParticipated = source.WeeksParticipated,
-                                   TotalCorrectPicks = source.TotalCorrectPicks,
-                                   TotalPicks = source.TotalPicks,
-                                   AveragePointsPerWeek = source.AveragePointsPerWeek,
-                                   UpdatedAt = GETUTCDATE()
-                    WHEN NOT MATCHED THEN
-                        INSERT (LeagueId, UserId, TotalPoints, WeeksParticipated, TotalCorrectPicks, TotalPicks, AveragePointsPerWeek)
-                        VALUES (source.LeagueId, source.UserId, source.TotalPoints, source.WeeksParticipated, source.TotalCorrectPicks, source.TotalPicks, source.AveragePointsPerWeek);
-
-                    -- Update ranks
-                    WITH RankedStandings AS (
-                        SELECT Id, RANK() OVER (ORDER BY TotalPoints DESC, TotalCorrectPicks DESC) AS NewRank
-                        FROM SeasonStandings
-                        WHERE LeagueId = @leagueId
-                    )
-                    UPDATE ss
-                    SET Rank = r.NewRank
-                    FROM SeasonStandings ss
-                    INNER JOIN RankedStandings r ON ss.Id = r.Id;
-                `);
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const { notifyError } = await calculateSeasonStandings(pool, leagueId);
+            if (notifyError) {
+                context.warn('Season standings calculated, but notifying new leaders failed:', notifyError);
+            }
 
             // Return updated standings
             const result = await pool.request()
@@ -192,7 +176,7 @@ app.http('calculateSeasonStandings', {
                     ORDER BY ss.Rank ASC
                 `);
 
-            return { jsonBody: { message: 'Season standings calculated successfully', standings: result.recordset } };
+            return { jsonBody: { message: 'Season standings calculated successfully', standings: result.recordset.map(withWeekAdjustments) } };
         } catch (err) {
             context.error('Error calculating season standings:', err);
             return { status: 500, jsonBody: { error: err.message } };
@@ -200,6 +184,104 @@ app.http('calculateSeasonStandings', {
     }
 });
 
+// GET survivor pool status for a league: strikes, lives and teams used per
+// member, alive members first (?alive=true lists only those still alive).
+// League members only.
+app.http('getSurvivorStandings', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/survivor',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'Member');
+            if (response) {
+                return response;
+            }
+
+            const survivor = await getSurvivorStatus(pool, leagueId);
+            if (!survivor) {
+                return { status: 404, jsonBody: { error: 'League not found' } };
+            }
+
+            if (request.query.get('alive') === 'true') {
+                survivor.members = survivor.members.filter(m => m.alive);
+            }
+
+            return { jsonBody: survivor };
+        } catch (err) {
+            context.error('Error fetching survivor standings:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// Buy an eliminated member back into the survivor pool from the next open week
+app.http('createSurvivorBuyBack', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'leagues/{leagueId}/survivor/buy-backs',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const leagueId = request.params.leagueId;
+
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
+            const body = await request.json();
+            const { userId } = body;
+
+            if (!userId) {
+                return { status: 400, jsonBody: { error: 'userId is required' } };
+            }
+
+            const survivor = await getSurvivorStatus(pool, leagueId);
+            const member = survivor.members.find(m => sameId(m.userId, userId));
+            if (!member) {
+                return { status: 404, jsonBody: { error: 'User is not an active member of this league' } };
+            }
+            if (member.alive) {
+                return { status: 400, jsonBody: { error: 'Only eliminated members can buy back in' } };
+            }
+            if (member.buyBacksUsed >= survivor.buyBacksAllowed) {
+                return { status: 400, jsonBody: { error: `This league allows ${survivor.buyBacksAllowed} buy-back(s) per member` } };
+            }
+
+            const result = await pool.request()
+                .input('leagueId', sql.UniqueIdentifier, leagueId)
+                .input('userId', sql.UniqueIdentifier, userId)
+                .input('competitionType', sql.NVarChar(50), SURVIVOR_COMPETITION_TYPE)
+                .query(`
+                    DECLARE @weekNumber INT = (
+                        SELECT MIN(WeekNumber)
+                        FROM Competitions
+                        WHERE LeagueId = @leagueId AND CompetitionType = @competitionType
+                          AND Status IN ('Upcoming', 'Active')
+                    );
+
+                    IF @weekNumber IS NOT NULL
+                        INSERT INTO SurvivorBuyBacks (LeagueId, UserId, WeekNumber)
+                        OUTPUT INSERTED.*
+                        VALUES (@leagueId, @userId, @weekNumber);
+                `);
+
+            if (!result.recordset || result.recordset.length === 0) {
+                return { status: 409, jsonBody: { error: 'There is no open survivor week to buy back into' } };
+            }
+
+            return { status: 201, jsonBody: result.recordset[0] };
+        } catch (err) {
+            context.error('Error creating survivor buy-back:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
 // DELETE season standing
 app.http('deleteSeasonStanding', {
     methods: ['DELETE'],
@@ -211,6 +293,11 @@ app.http('deleteSeasonStanding', {
             const leagueId = request.params.leagueId;
             const id = request.params.id;
 
+            const { response } = await authorizeLeague(request, pool, { leagueId }, 'CoCommissioner');
+            if (response) {
+                return response;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .input('leagueId', sql.UniqueIdentifier, leagueId)
@@ -1,5 +1,6 @@
 const { app } = require('@azure/functions');
 const { getConnection, sql } = require('../db');
+const { authenticate, forbidUnlessSelf, getClientPrincipal, getVerifiedEmail } = require('../auth');
 
 // GET all users or single user by ID
 app.http('getUsers', {
@@ -9,6 +10,11 @@ app.http('getUsers', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const id = request.params.id;
 
             if (id) {
@@ -44,7 +50,31 @@ app.http('getUsers', {
     }
 });
 
-// CREATE user
+// GET the signed-in user
+app.http('getCurrentUser', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'me',
+    handler: async (request, context) => {
+        try {
+            const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
+            const { Id, Email, Username, FirstName, LastName, IsActive, IsPremium, EmailDigest, CreatedAt, UpdatedAt, LastLoginAt } = user;
+            return { jsonBody: { Id, Email, Username, FirstName, LastName, IsActive, IsPremium, EmailDigest, CreatedAt, UpdatedAt, LastLoginAt } };
+        } catch (err) {
+            context.error('Error fetching current user:', err);
+            return { status: 500, jsonBody: { error: err.message } };
+        }
+    }
+});
+
+// CREATE user (registers the signed-in login). When the login's provider
+// vouches for an email address, that is the account's email; a different
+// email in the body is rejected. Premium and active status aren't set here.
 app.http('createUser', {
     methods: ['POST'],
     authLevel: 'anonymous',
@@ -52,9 +82,21 @@ app.http('createUser', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const principal = getClientPrincipal(request);
+            if (!principal) {
+                return { status: 401, jsonBody: { error: 'Authentication required' } };
+            }
+
             const body = await request.json();
 
-            const { email, username, passwordHash, firstName, lastName, isPremium } = body;
+            const { username, passwordHash, firstName, lastName } = body;
+
+            const verifiedEmail = getVerifiedEmail(principal);
+            if (verifiedEmail && body.email && body.email.toLowerCase() !== verifiedEmail.toLowerCase()) {
+                return { status: 400, jsonBody: { error: 'email must be the email address of the signed-in login' } };
+            }
+
+            const email = verifiedEmail || body.email;
 
             if (!email || !username || !passwordHash) {
                 return { status: 400, jsonBody: { error: 'Email, username, and passwordHash are required' } };
@@ -66,25 +108,27 @@ app.http('createUser', {
                 .input('passwordHash', sql.NVarChar(255), passwordHash)
                 .input('firstName', sql.NVarChar(100), firstName || null)
                 .input('lastName', sql.NVarChar(100), lastName || null)
-                .input('isPremium', sql.Bit, isPremium || false)
+                .input('authProvider', sql.NVarChar(50), principal.identityProvider)
+                .input('authProviderUserId', sql.NVarChar(255), principal.userId)
                 .query(`
-                    INSERT INTO Users (Email, Username, PasswordHash, FirstName, LastName, IsPremium)
+                    INSERT INTO Users (Email, Username, PasswordHash, FirstName, LastName, AuthProvider, AuthProviderUserId, LastLoginAt)
                     OUTPUT INSERTED.*
-                    VALUES (@email, @username, @passwordHash, @firstName, @lastName, @isPremium)
+                    VALUES (@email, @username, @passwordHash, @firstName, @lastName, @authProvider, @authProviderUserId, GETUTCDATE())
                 `);
 
             return { status: 201, jsonBody: result.recordset[0] };
         } catch (err) {
             context.error('Error creating user:', err);
-            if (err.message.includes('UNIQUE')) {
-                return { status: 409, jsonBody: { error: 'Email or username already exists' } };
+            if (err.message.includes('UNIQUE') || err.message.includes('duplicate')) {
+                return { status: 409, jsonBody: { error: 'Email, username or login already registered' } };
             }
             return { status: 500, jsonBody: { error: err.message } };
         }
     }
 });
 
-// UPDATE user
+// UPDATE user (the signed-in user's own profile). IsPremium and IsActive
+// can't be changed here; DELETE deactivates an account.
 app.http('updateUser', {
     methods: ['PUT', 'PATCH'],
     authLevel: 'anonymous',
@@ -92,10 +136,21 @@ app.http('updateUser', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const id = request.params.id;
+
+            const forbidden = forbidUnlessSelf(user, id);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const body = await request.json();
 
-            const { email, username, firstName, lastName, isActive, isPremium } = body;
+            const { email, username, firstName, lastName, emailDigest } = body;
 
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
@@ -103,16 +158,14 @@ app.http('updateUser', {
                 .input('username', sql.NVarChar(50), username)
                 .input('firstName', sql.NVarChar(100), firstName)
                 .input('lastName', sql.NVarChar(100), lastName)
-                .input('isActive', sql.Bit, isActive)
-                .input('isPremium', sql.Bit, isPremium)
+                .input('emailDigest', sql.Bit, emailDigest)
                 .query(`
                     UPDATE Users
                     SET Email = COALESCE(@email, Email),
                         Username = COALESCE(@username, Username),
                         FirstName = COALESCE(@firstName, FirstName),
                         LastName = COALESCE(@lastName, LastName),
-                        IsActive = COALESCE(@isActive, IsActive),
-                        IsPremium = COALESCE(@isPremium, IsPremium),
+                        EmailDigest = COALESCE(@emailDigest, EmailDigest),
                         UpdatedAt = GETUTCDATE()
                     OUTPUT INSERTED.*
                     WHERE Id = @id
@@ -138,8 +191,18 @@ app.http('deleteUser', {
     handler: async (request, context) => {
         try {
             const pool = await getConnection();
+            const { user, response } = await authenticate(request, pool);
+            if (response) {
+                return response;
+            }
+
             const id = request.params.id;
 
+            const forbidden = forbidUnlessSelf(user, id);
+            if (forbidden) {
+                return forbidden;
+            }
+
             const result = await pool.request()
                 .input('id', sql.UniqueIdentifier, id)
                 .query(`
@@ -0,0 +1,236 @@
+const { sql } = require('./db');
+
+// Ledger amounts are from the member's side: credits (payments in, prizes
+// won) are positive and debits (entry fees, prizes paid out to them) are
+// negative, so a member's balance is the sum of their entries. A positive
+// balance is owed to the member; a negative one is owed to the league.
+const LEDGER_ENTRY_TYPES = ['EntryFee', 'Payment', 'Payout', 'Disbursement', 'Adjustment'];
+
+// Entry types commissioners record by hand; entry fees and payouts are
+// generated. Adjustments carry their own sign, the others are given as a
+// positive amount.
+const MANUAL_LEDGER_ENTRY_TYPES = ['Payment', 'Disbursement', 'Adjustment'];
+
+// Percent of a pot paid to each finishing position, e.g. [60, 30, 10].
+// Returns an error message or null.
+function validatePayoutSplits(splits, name) {
+    if (!Array.isArray(splits) || splits.length === 0 || splits.length > 20 ||
+        !splits.every(percent => typeof percent === 'number' && percent >= 0)) {
+        return `${name} must be a list of percentages, one per finishing position`;
+    }
+    if (splits.reduce((sum, percent) => sum + percent, 0) > 100) {
+        return `${name} cannot add up to more than 100`;
+    }
+    return null;
+}
+
+// Divide a pot among ranked rows ({ UserId, Rank }, best first) by percent
+// splits. Tied users share the splits of every position their tie covers,
+// e.g. two tied for first with [60, 30, 10] get 45 each and third gets 10.
+// Odd cents go to the earliest rows of a tie. Returns [{ userId, rank, amount }].
+function splitPot(pot, splits, ranked) {
+    const potCents = Math.round(pot * 100);
+    const payouts = [];
+
+    let position = 0;
+    while (position < ranked.length) {
+        const rank = ranked[position].Rank;
+        const tied = [];
+        while (position + tied.length < ranked.length && ranked[position + tied.length].Rank === rank) {
+            tied.push(ranked[position + tied.length]);
+        }
+
+        const percent = splits
+            .slice(position, position + tied.length)
+            .reduce((sum, p) => sum + p, 0);
+        const groupCents = Math.floor(potCents * percent / 100);
+        const eachCents = Math.floor(groupCents / tied.length);
+        const oddCents = groupCents - eachCents * tied.length;
+
+        tied.forEach((row, i) => {
+            const cents = eachCents + (i < oddCents ? 1 : 0);
+            if (cents > 0) {
+                payouts.push({ userId: row.UserId, rank, amount: cents / 100 });
+            }
+        });
+
+        position += tied.length;
+    }
+
+    return payouts;
+}
+
+// Replace the generated payouts matching `where` with `payouts`
+async function replacePayouts(db, { leagueId, competitionId, where, description, payouts }) {
+    await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('description', sql.NVarChar(200), description)
+        .input('payouts', sql.NVarChar(sql.MAX), JSON.stringify(payouts))
+        .query(`
+            DELETE FROM LedgerEntries
+            WHERE LeagueId = @leagueId AND EntryType = 'Payout' AND ${where};
+
+            INSERT INTO LedgerEntries (LeagueId, UserId, CompetitionId, EntryType, Amount, Rank, Description)
+            SELECT @leagueId, UserId, @competitionId, 'Payout', Amount, Rank, @description
+            FROM OPENJSON(@payouts) WITH (
+                UserId UNIQUEIDENTIFIER '$.userId',
+                Rank INT '$.rank',
+                Amount DECIMAL(10,2) '$.amount'
+            );
+        `);
+}
+
+// Charge the league's entry fee to every active member who hasn't been
+// charged yet. Returns the new entries.
+async function chargeEntryFees(db, leagueId) {
+    const result = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .query(`
+            INSERT INTO LedgerEntries (LeagueId, UserId, EntryType, Amount, Description)
+            OUTPUT INSERTED.*
+            SELECT lm.LeagueId, lm.UserId, 'EntryFee', -l.EntryFee, CONCAT(l.SeasonYear, ' entry fee')
+            FROM LeagueMembers lm
+            INNER JOIN Leagues l ON lm.LeagueId = l.Id
+            WHERE lm.LeagueId = @leagueId AND lm.IsActive = 1 AND l.EntryFee > 0
+              AND NOT EXISTS (
+                  SELECT 1 FROM LedgerEntries e
+                  WHERE e.LeagueId = lm.LeagueId AND e.UserId = lm.UserId AND e.EntryType = 'EntryFee'
+              );
+        `);
+
+    return result.recordset;
+}
+
+// Pay a completed competition's weekly pot by its Scores ranks, replacing
+// any payouts from an earlier calculation. Competitions that aren't
+// Completed, or leagues without a weekly pot, get none. Returns the payouts.
+async function recordCompetitionPayouts(db, competitionId) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query(`
+            SELECT c.LeagueId, c.Name, c.Status, l.WeeklyPot, l.WeeklyPayoutSplits
+            FROM Competitions c
+            INNER JOIN Leagues l ON c.LeagueId = l.Id
+            WHERE c.Id = @competitionId;
+
+            SELECT UserId, Rank
+            FROM Scores
+            WHERE CompetitionId = @competitionId AND Rank IS NOT NULL
+            ORDER BY Rank ASC, UserId ASC;
+        `);
+
+    const [competitions, scores] = result.recordsets;
+    const competition = competitions[0];
+    if (!competition || competition.Status !== 'Completed') {
+        return [];
+    }
+
+    const splits = competition.WeeklyPayoutSplits ? JSON.parse(competition.WeeklyPayoutSplits) : [100];
+    const payouts = Number(competition.WeeklyPot) > 0 ? splitPot(Number(competition.WeeklyPot), splits, scores) : [];
+
+    await replacePayouts(db, {
+        leagueId: competition.LeagueId,
+        competitionId,
+        where: 'CompetitionId = @competitionId',
+        description: `${competition.Name} payout`,
+        payouts
+    });
+
+    return payouts;
+}
+
+// Once every competition in the league is Completed or Cancelled, pay what
+// is left of the entry fees after weekly payouts by season standings rank,
+// replacing any earlier season payouts. Leagues without SeasonPayoutSplits
+// get none. Returns the payouts.
+async function recordSeasonPayouts(db, leagueId) {
+    const result = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .query(`
+            SELECT l.SeasonYear, l.SeasonPayoutSplits,
+                   (SELECT COUNT(*) FROM Competitions WHERE LeagueId = l.Id) AS CompetitionCount,
+                   (SELECT COUNT(*) FROM Competitions
+                    WHERE LeagueId = l.Id AND Status NOT IN ('Completed', 'Cancelled')) AS OpenCompetitionCount,
+                   (SELECT ISNULL(-SUM(Amount), 0) FROM LedgerEntries
+                    WHERE LeagueId = l.Id AND EntryType = 'EntryFee') AS EntryFees,
+                   (SELECT ISNULL(SUM(Amount), 0) FROM LedgerEntries
+                    WHERE LeagueId = l.Id AND EntryType = 'Payout' AND CompetitionId IS NOT NULL) AS WeeklyPayouts
+            FROM Leagues l
+            WHERE l.Id = @leagueId;
+
+            SELECT UserId, Rank
+            FROM SeasonStandings
+            WHERE LeagueId = @leagueId AND Rank IS NOT NULL
+            ORDER BY Rank ASC, UserId ASC;
+        `);
+
+    const [leagues, standings] = result.recordsets;
+    const league = leagues[0];
+    if (!league || !league.SeasonPayoutSplits ||
+        league.CompetitionCount === 0 || league.OpenCompetitionCount > 0) {
+        return [];
+    }
+
+    const pot = Number(league.EntryFees) - Number(league.WeeklyPayouts);
+    const payouts = pot > 0 ? splitPot(pot, JSON.parse(league.SeasonPayoutSplits), standings) : [];
+
+    await replacePayouts(db, {
+        leagueId,
+        competitionId: null,
+        where: 'CompetitionId IS NULL',
+        description: `${league.SeasonYear} season payout`,
+        payouts
+    });
+
+    return payouts;
+}
+
+// Per-member totals by entry type and overall balance, plus league totals
+async function getLeagueBalances(db, leagueId) {
+    const result = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .query(`
+            SELECT lm.UserId, u.Username, u.FirstName, u.LastName, lm.IsActive,
+                   SUM(CASE WHEN e.EntryType = 'EntryFee' THEN -e.Amount ELSE 0 END) AS EntryFees,
+                   SUM(CASE WHEN e.EntryType = 'Payment' THEN e.Amount ELSE 0 END) AS Payments,
+                   SUM(CASE WHEN e.EntryType = 'Payout' THEN e.Amount ELSE 0 END) AS Payouts,
+                   SUM(CASE WHEN e.EntryType = 'Disbursement' THEN -e.Amount ELSE 0 END) AS Disbursements,
+                   SUM(CASE WHEN e.EntryType = 'Adjustment' THEN e.Amount ELSE 0 END) AS Adjustments,
+                   SUM(ISNULL(e.Amount, 0)) AS Balance
+            FROM LeagueMembers lm
+            INNER JOIN Users u ON lm.UserId = u.Id
+            LEFT JOIN LedgerEntries e ON e.LeagueId = lm.LeagueId AND e.UserId = lm.UserId
+            WHERE lm.LeagueId = @leagueId
+            GROUP BY lm.UserId, u.Username, u.FirstName, u.LastName, lm.IsActive
+            ORDER BY u.Username ASC;
+        `);
+
+    const members = result.recordset;
+    const total = field => members.reduce((sum, m) => sum + Number(m[field]), 0);
+
+    return {
+        leagueId,
+        members,
+        totals: {
+            entryFees: total('EntryFees'),
+            payments: total('Payments'),
+            payouts: total('Payouts'),
+            disbursements: total('Disbursements'),
+            adjustments: total('Adjustments'),
+            // Money the league is holding: paid in, less paid out
+            cashOnHand: total('Payments') - total('Disbursements')
+        }
+    };
+}
+
+module.exports = {
+    LEDGER_ENTRY_TYPES,
+    MANUAL_LEDGER_ENTRY_TYPES,
+    chargeEntryFees,
+    getLeagueBalances,
+    recordCompetitionPayouts,
+    recordSeasonPayouts,
+    splitPot,
+    validatePayoutSplits
+};
@@ -0,0 +1,192 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { fillAutoPicks, findPendingAutoPicks } = require('./autoPick');
+const { BRACKET_COMPETITION_TYPE } = require('./bracket');
+const { recordCompetitionPayouts } = require('./ledger');
+const { notifyCompetitionLocked } = require('./notifications');
+const { GAME_LOCKED_SQL } = require('./pickRules');
+const { calculateSeasonStandings, scoreCompetition } = require('./scoring');
+const { publish } = require('./events');
+
+// Steps that run once a competition reaches a status, each recorded in its
+// own Competitions column once it has gone through, so a run that fails part
+// way leaves the rest for the next run
+const LIFECYCLE_STEPS = {
+    // Locked: members are told picks are locked
+    lock: 'LockProcessed',
+    // Completed: scored (or, if scored by hand while Locked, paid out) and the
+    // league's season standings rebuilt
+    completion: 'CompletionProcessed'
+};
+
+async function markStepDone(db, competitionIds, step) {
+    await db.request()
+        .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(competitionIds))
+        .query(`
+            UPDATE Competitions
+            SET ${LIFECYCLE_STEPS[step]} = 1
+            WHERE Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@ids));
+        `);
+}
+
+// Advance every competition as far as the clock and its games allow:
+//   Upcoming  -> Active    once StartDate has passed
+//   Active    -> Locked    once LockDate has passed ('Game' lock mode: once every game has locked;
+//                first-kickoff weeks: not until they have a game)
+//   Locked    -> Completed once every game is Final (cancelled games don't hold it up);
+//                brackets also wait for a Final game per matchup, since later
+//                rounds are only scheduled as earlier ones finish
+// Then competitions still owed auto-picks get them (see findPendingAutoPicks),
+// every Locked or Completed competition whose lock step hasn't gone through
+// has its members told picks are locked, and every Completed one whose completion step hasn't
+// gone through is scored (or paid out, if it was scored before it completed)
+// and has its league's season standings rebuilt. Each competition's steps
+// run on their own: one that fails is listed under `failed` and retried next
+// run, without holding up the others. Transitions only pick up rows still in
+// the earlier state and steps are marked done as they finish, so running it
+// again with the same clock changes nothing. Competitions and leagues whose
+// members couldn't be told of new scores or leaders are listed under
+// `unnotified`; those notifications aren't retried.
+async function runCompetitionLifecycle(pool, now = new Date()) {
+    const result = await pool.request()
+        .input('now', sql.DateTime2, now)
+        .input('bracketType', sql.NVarChar(50), BRACKET_COMPETITION_TYPE)
+        .query(`
+            UPDATE Competitions
+            SET Status = 'Active', UpdatedAt = GETUTCDATE()
+            OUTPUT INSERTED.Id, INSERTED.LeagueId
+            WHERE Status = 'Upcoming' AND StartDate <= @now;
+
+            UPDATE c
+            SET Status = 'Locked', UpdatedAt = GETUTCDATE()
+            OUTPUT INSERTED.Id, INSERTED.LeagueId
+            FROM Competitions c
+            WHERE c.Status = 'Active'
+              AND (
+                  (c.LockMode <> 'Game' AND c.LockDate <= @now
+                   -- First-kickoff weeks wait for games, which set their real LockDate
+                   AND (c.LockToFirstKickoff = 0
+                        OR EXISTS (SELECT 1 FROM Games g WHERE g.CompetitionId = c.Id AND g.Status <> 'Cancelled')))
+                  OR (c.LockMode = 'Game'
+                      AND EXISTS (SELECT 1 FROM Games g WHERE g.CompetitionId = c.Id)
+                      AND NOT EXISTS (
+                          SELECT 1 FROM Games g
+                          WHERE g.CompetitionId = c.Id AND ${GAME_LOCKED_SQL} = 0
+                      ))
+              );
+
+            UPDATE c
+            SET Status = 'Completed', UpdatedAt = GETUTCDATE()
+            OUTPUT INSERTED.Id, INSERTED.LeagueId
+            FROM Competitions c
+            WHERE c.Status = 'Locked'
+              AND EXISTS (SELECT 1 FROM Games g WHERE g.CompetitionId = c.Id)
+              AND NOT EXISTS (
+                  SELECT 1 FROM Games g
+                  WHERE g.CompetitionId = c.Id AND g.Status NOT IN ('Final', 'Cancelled')
+              )
+              AND (c.CompetitionType <> @bracketType
+                   OR (SELECT COUNT(*) FROM Games g WHERE g.CompetitionId = c.Id AND g.Status = 'Final')
+                      >= (SELECT COUNT(*) FROM OPENJSON(c.BracketTeams) WHERE [type] <> 0) - 1);
+
+            SELECT Id, LeagueId
+            FROM Competitions
+            WHERE Status IN ('Locked', 'Completed') AND LockProcessed = 0;
+
+            SELECT Id, LeagueId, ScoringCalculated
+            FROM Competitions
+            WHERE Status = 'Completed' AND CompletionProcessed = 0;
+        `);
+
+    const [activated, locked, completed, lockPending, completionPending] = result.recordsets;
+
+    const transitions = [[activated, 'Active'], [locked, 'Locked'], [completed, 'Completed']];
+    for (const [competitions, status] of transitions) {
+        competitions.forEach(c => publish('competition', { leagueId: c.LeagueId, competitionId: c.Id }, { status }));
+    }
+
+    const failed = [];
+
+    // Selected on the picks still missing rather than on this run's
+    // transitions, so members aren't left without picks by a failed run
+    const autoPicked = [];
+    for (const competitionId of await findPendingAutoPicks(pool)) {
+        try {
+            const picks = await fillAutoPicks(pool, competitionId);
+            if (picks.length > 0) {
+                autoPicked.push(competitionId);
+            }
+        } catch (err) {
+            failed.push({ competitionId, step: 'autoPick', error: err.message });
+        }
+    }
+
+    for (const competition of lockPending) {
+        try {
+            await notifyCompetitionLocked(pool, competition.Id);
+            await markStepDone(pool, [competition.Id], 'lock');
+        } catch (err) {
+            failed.push({ competitionId: competition.Id, step: 'lock', error: err.message });
+        }
+    }
+
+    // Completion goes league by league, so standings are rebuilt once per league
+    const scored = [];
+    const unnotified = [];
+    const standingsLeagues = [];
+    const leagueIds = completionPending
+        .map(c => c.LeagueId)
+        .filter((id, i, ids) => ids.findIndex(other => sameId(other, id)) === i);
+    for (const leagueId of leagueIds) {
+        const finished = [];
+        for (const competition of completionPending.filter(c => sameId(c.LeagueId, leagueId))) {
+            try {
+                if (competition.ScoringCalculated) {
+                    // Scored by hand while still Locked, so its payouts were skipped
+                    await recordCompetitionPayouts(pool, competition.Id);
+                } else {
+                    const { notifyError } = await scoreCompetition(pool, competition.Id);
+                    if (notifyError) {
+                        unnotified.push({ competitionId: competition.Id, error: notifyError.message });
+                    }
+                    scored.push(competition.Id);
+                    publish('competition', { leagueId: competition.LeagueId, competitionId: competition.Id }, { scoringCalculated: true });
+                }
+                finished.push(competition.Id);
+            } catch (err) {
+                failed.push({ competitionId: competition.Id, step: 'completion', error: err.message });
+            }
+        }
+
+        if (finished.length === 0) {
+            continue;
+        }
+
+        try {
+            const { notifyError } = await calculateSeasonStandings(pool, leagueId);
+            if (notifyError) {
+                unnotified.push({ leagueId, error: notifyError.message });
+            }
+            await markStepDone(pool, finished, 'completion');
+            standingsLeagues.push(leagueId);
+        } catch (err) {
+            finished.forEach(competitionId => failed.push({ competitionId, step: 'completion', error: err.message }));
+        }
+    }
+
+    return {
+        now,
+        activated: activated.map(c => c.Id),
+        locked: locked.map(c => c.Id),
+        autoPicked,
+        completed: completed.map(c => c.Id),
+        scored,
+        unnotified,
+        standingsLeagues,
+        failed
+    };
+}
+
+module.exports = {
+    runCompetitionLifecycle
+};
@@ -0,0 +1,153 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { scoreGames } = require('./scoring');
+const { publish } = require('./events');
+
+// Statuses a game may move to from each status. Games only move forward one
+// step at a time (Scheduled -> InProgress -> Final), so a result can't be
+// posted for a game that never kicked off; repeating the current status is how
+// scores are updated mid-game or corrected afterwards.
+const GAME_STATUS_TRANSITIONS = {
+    Scheduled: ['Scheduled', 'InProgress', 'Postponed', 'Cancelled'],
+    InProgress: ['InProgress', 'Final', 'Postponed', 'Cancelled'],
+    Final: ['Final'],
+    Postponed: ['Postponed', 'Scheduled', 'Cancelled'],
+    Cancelled: ['Cancelled']
+};
+
+// Statuses a game leaves the normal progression for. Skipping steps doesn't
+// pass through them, or InProgress could reach Scheduled via Postponed.
+const SIDE_STATUSES = ['Postponed', 'Cancelled'];
+
+// Every status a game can reach from status, one transition at a time
+function reachableStatuses(status) {
+    const reached = [status];
+    for (let i = 0; i < reached.length; i++) {
+        if (i > 0 && SIDE_STATUSES.includes(reached[i])) {
+            continue;
+        }
+        for (const next of GAME_STATUS_TRANSITIONS[reached[i]]) {
+            if (!reached.includes(next)) {
+                reached.push(next);
+            }
+        }
+    }
+    return reached;
+}
+
+function isScore(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Check submitted results ({ gameId | externalGameId, homeTeamScore,
+// awayTeamScore, status }) against the competition's games. Returns
+// { changes, unchanged, errors }; changes hold the game's new state.
+// With skipSteps a game may move several transitions forward at once (a feed
+// polled after kickoff may never report InProgress), but never backwards.
+function planGameResults(games, results, { skipSteps = false } = {}) {
+    const plan = { changes: [], unchanged: [], errors: [] };
+    const planned = new Set();
+
+    results.forEach((result, index) => {
+        const ref = result && (result.gameId || result.externalGameId);
+        const game = ref && games.find(g =>
+            result.gameId ? sameId(g.Id, result.gameId) : g.ExternalGameId === result.externalGameId);
+
+        if (!game) {
+            plan.errors.push({ index, game: ref || null, error: 'Game not found in this competition' });
+            return;
+        }
+        if (planned.has(game.Id)) {
+            plan.errors.push({ index, game: ref, error: 'Game appears more than once' });
+            return;
+        }
+        planned.add(game.Id);
+
+        const status = result.status || game.Status;
+        const homeTeamScore = result.homeTeamScore === undefined ? game.HomeTeamScore : result.homeTeamScore;
+        const awayTeamScore = result.awayTeamScore === undefined ? game.AwayTeamScore : result.awayTeamScore;
+
+        const reachable = skipSteps ? reachableStatuses(game.Status) : GAME_STATUS_TRANSITIONS[game.Status];
+        if (!reachable.includes(status)) {
+            const allowed = reachable.filter(s => s !== game.Status);
+            plan.errors.push({
+                index,
+                game: ref,
+                error: `Game cannot move from ${game.Status} to ${status}` +
+                    (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : '')
+            });
+            return;
+        }
+        if ((homeTeamScore !== null && !isScore(homeTeamScore)) || (awayTeamScore !== null && !isScore(awayTeamScore))) {
+            plan.errors.push({ index, game: ref, error: 'Scores must be non-negative whole numbers' });
+            return;
+        }
+        if ((status === 'InProgress' || status === 'Final') && (homeTeamScore === null || awayTeamScore === null)) {
+            plan.errors.push({ index, game: ref, error: `Both scores are required for a game that is ${status}` });
+            return;
+        }
+
+        if (status === game.Status && homeTeamScore === game.HomeTeamScore && awayTeamScore === game.AwayTeamScore) {
+            plan.unchanged.push(game.Id);
+        } else {
+            plan.changes.push({ id: game.Id, previousStatus: game.Status, status, homeTeamScore, awayTeamScore });
+        }
+    });
+
+    return plan;
+}
+
+// Save planned results and regrade just those games. Returns the updated
+// games, the users whose picks were regraded and the Scores rows that moved.
+async function applyGameResults(pool, competitionId, changes) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+    try {
+        const result = await transaction.request()
+            .input('competitionId', sql.UniqueIdentifier, competitionId)
+            .input('changes', sql.NVarChar(sql.MAX), JSON.stringify(changes))
+            .query(`
+                UPDATE g
+                SET Status = c.Status,
+                    HomeTeamScore = c.HomeTeamScore,
+                    AwayTeamScore = c.AwayTeamScore,
+                    UpdatedAt = GETUTCDATE()
+                OUTPUT INSERTED.*
+                FROM Games g
+                INNER JOIN OPENJSON(@changes) WITH (
+                    Id UNIQUEIDENTIFIER '$.id',
+                    Status NVARCHAR(20) '$.status',
+                    HomeTeamScore INT '$.homeTeamScore',
+                    AwayTeamScore INT '$.awayTeamScore'
+                ) c ON g.Id = c.Id
+                WHERE g.CompetitionId = @competitionId
+            `);
+
+        const { affectedUserIds, scoreChanges } = await scoreGames(transaction, competitionId, changes.map(c => c.id));
+
+        await transaction.commit();
+        return { games: result.recordset, affectedUserIds, scoreChanges };
+    } catch (err) {
+        await transaction.rollback().catch(() => {});
+        throw err;
+    }
+}
+
+// Tell a competition's clients about saved results (applyGameResults' return)
+function publishGameResults(scope, { games, affectedUserIds, scoreChanges }) {
+    games.forEach(game => publish('game', scope, { game }));
+    if (affectedUserIds.length > 0) {
+        publish('picks', scope, { gameIds: games.map(g => g.Id), userIds: affectedUserIds });
+    }
+    if (scoreChanges.length > 0) {
+        publish('leaderboard', scope, { changes: scoreChanges });
+    }
+}
+
+module.exports = {
+    GAME_STATUS_TRANSITIONS,
+    applyGameResults,
+    planGameResults,
+    publishGameResults,
+    reachableStatuses
+};
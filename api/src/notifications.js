@@ -0,0 +1,267 @@
+const { randomUUID } = require('node:crypto');
+const { sql } = require('./db');
+const { LEAGUE_ROLES, hasLeagueRole, sameId } = require('./auth');
+const { queueNotificationDeliveries } = require('./delivery');
+const { applyNotificationPreferences } = require('./preferences');
+
+// Notifications the API raises itself, by Type. Each links to the league or
+// competition it's about through RelatedEntityId/RelatedEntityType.
+//   MemberJoined       - to the league's commissioners when someone joins
+//   CompetitionCreated - to every member when competitions are added
+//   CompetitionLocked  - to every member when a competition's picks lock
+//   ScoresUpdated      - to scored members, with their rank and points, when a
+//                        competition is first scored or their rank changes
+//   FirstPlace         - to members who move into first in the season standings
+//   GameResultChanged  - to members who picked a game when a commissioner edits its result
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+function pointsText(points) {
+    const value = Number(points);
+    return `${value} point${value === 1 ? '' : 's'}`;
+}
+
+// Insert notifications, each { userId, type, title, message, relatedEntityId,
+// relatedEntityType, leagueId? }, as the recipients' notification preferences
+// allow, and queue their emails and pushes. Ones turned off on every channel are dropped;
+// ones turned off in the app are kept (InApp = 0) for the other channels.
+// Each is stored with its league (see applyNotificationPreferences) so the
+// inbox can be filtered by league. Returns the inserted rows.
+async function createNotifications(db, notifications, now = new Date()) {
+    if (notifications.length === 0) {
+        return [];
+    }
+
+    const allowed = (await applyNotificationPreferences(db, notifications, now))
+        .filter(n => Object.values(n.channels).some(Boolean))
+        .map(n => ({ ...n, id: randomUUID(), inApp: n.channels.inApp }));
+
+    if (allowed.length === 0) {
+        return [];
+    }
+
+    const result = await db.request()
+        .input('notifications', sql.NVarChar(sql.MAX), JSON.stringify(allowed))
+        .query(`
+            INSERT INTO Notifications (Id, UserId, Type, Title, Message, RelatedEntityId, RelatedEntityType, LeagueId, InApp)
+            OUTPUT INSERTED.*
+            SELECT Id, UserId, Type, Title, Message, RelatedEntityId, RelatedEntityType, LeagueId, InApp
+            FROM OPENJSON(@notifications) WITH (
+                Id UNIQUEIDENTIFIER '$.id',
+                UserId UNIQUEIDENTIFIER '$.userId',
+                Type NVARCHAR(50) '$.type',
+                Title NVARCHAR(200) '$.title',
+                Message NVARCHAR(1000) '$.message',
+                RelatedEntityId UNIQUEIDENTIFIER '$.relatedEntityId',
+                RelatedEntityType NVARCHAR(50) '$.relatedEntityType',
+                LeagueId UNIQUEIDENTIFIER '$.leagueId',
+                InApp BIT '$.inApp'
+            );
+        `);
+
+    await queueNotificationDeliveries(db, allowed.flatMap(n => [
+        n.channels.email && { notificationId: n.id, channel: 'Email', notBefore: n.notBefore },
+        n.channels.push && { notificationId: n.id, channel: 'Push', notBefore: n.notBefore }
+    ].filter(Boolean)));
+
+    return result.recordset;
+}
+
+// Send the same notification to each active member of a league holding at
+// least minimumRole, leaving out exceptUserId. Returns the inserted rows.
+async function notifyLeague(db, leagueId, notification, { minimumRole = 'Member', exceptUserId = null } = {}) {
+    const roles = LEAGUE_ROLES.filter(role => hasLeagueRole(role, minimumRole));
+
+    const members = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('roles', sql.NVarChar(200), JSON.stringify(roles))
+        .query(`
+            SELECT UserId
+            FROM LeagueMembers
+            WHERE LeagueId = @leagueId AND IsActive = 1
+              AND Role IN (SELECT value FROM OPENJSON(@roles))
+        `);
+
+    return createNotifications(db, members.recordset
+        .filter(m => !sameId(m.UserId, exceptUserId))
+        .map(m => ({ userId: m.UserId, leagueId, ...notification })));
+}
+
+// Tell a league's commissioners that a member joined
+async function notifyMemberJoined(db, leagueId, userId) {
+    const result = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('userId', sql.UniqueIdentifier, userId)
+        .query(`
+            SELECT l.Name AS LeagueName, COALESCE(lm.DisplayName, u.Username) AS MemberName
+            FROM Leagues l
+            INNER JOIN LeagueMembers lm ON lm.LeagueId = l.Id AND lm.UserId = @userId
+            INNER JOIN Users u ON lm.UserId = u.Id
+            WHERE l.Id = @leagueId
+        `);
+
+    const row = result.recordset[0];
+    if (!row) {
+        return [];
+    }
+
+    return notifyLeague(db, leagueId, {
+        type: 'MemberJoined',
+        title: `New member in ${row.LeagueName}`,
+        message: `${row.MemberName} joined ${row.LeagueName}.`,
+        relatedEntityId: leagueId,
+        relatedEntityType: 'League'
+    }, { minimumRole: 'CoCommissioner', exceptUserId: userId });
+}
+
+// Tell a league's members about new competitions (Competitions rows). A
+// batch, such as a generated season, gets one notification for the league.
+async function notifyCompetitionsCreated(db, leagueId, competitions) {
+    if (competitions.length === 0) {
+        return [];
+    }
+
+    if (competitions.length === 1) {
+        const competition = competitions[0];
+        return notifyLeague(db, leagueId, {
+            type: 'CompetitionCreated',
+            title: `New competition: ${competition.Name}`,
+            message: `${competition.Name} is on the schedule. Get your picks in before it locks.`,
+            relatedEntityId: competition.Id,
+            relatedEntityType: 'Competition'
+        });
+    }
+
+    const weeks = competitions.map(c => c.WeekNumber).sort((a, b) => a - b);
+    return notifyLeague(db, leagueId, {
+        type: 'CompetitionCreated',
+        title: `${competitions.length} new competitions`,
+        message: `Weeks ${weeks[0]} to ${weeks[weeks.length - 1]} are on the schedule.`,
+        relatedEntityId: leagueId,
+        relatedEntityType: 'League'
+    });
+}
+
+// Tell a competition's league that its picks are locked
+async function notifyCompetitionLocked(db, competitionId) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query('SELECT LeagueId, Name FROM Competitions WHERE Id = @competitionId');
+
+    const competition = result.recordset[0];
+    if (!competition) {
+        return [];
+    }
+
+    return notifyLeague(db, competition.LeagueId, {
+        type: 'CompetitionLocked',
+        title: `Picks locked: ${competition.Name}`,
+        message: `Picks for ${competition.Name} are locked. Everyone's picks are in.`,
+        relatedEntityId: competitionId,
+        relatedEntityType: 'Competition'
+    });
+}
+
+// Tell the given members of a competition where they finished
+async function notifyCompetitionScored(db, competitionId, userIds) {
+    if (userIds.length === 0) {
+        return [];
+    }
+
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('userIds', sql.NVarChar(sql.MAX), JSON.stringify(userIds))
+        .query(`
+            SELECT s.UserId, s.Rank, s.TotalPoints, c.Name AS CompetitionName,
+                   (SELECT COUNT(*) FROM Scores WHERE CompetitionId = @competitionId) AS Entries
+            FROM Scores s
+            INNER JOIN Competitions c ON s.CompetitionId = c.Id
+            INNER JOIN LeagueMembers lm ON lm.LeagueId = c.LeagueId AND lm.UserId = s.UserId AND lm.IsActive = 1
+            WHERE s.CompetitionId = @competitionId
+              AND s.UserId IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@userIds))
+        `);
+
+    return createNotifications(db, result.recordset.map(score => ({
+        userId: score.UserId,
+        type: 'ScoresUpdated',
+        title: `Scores are in: ${score.CompetitionName}`,
+        message: score.Rank
+            ? `You're ${ordinal(score.Rank)} of ${score.Entries} with ${pointsText(score.TotalPoints)}.`
+            : `You have ${pointsText(score.TotalPoints)}.`,
+        relatedEntityId: competitionId,
+        relatedEntityType: 'Competition'
+    })));
+}
+
+// Congratulate members who are first in the season standings now but
+// weren't before. leaders are SeasonStandings rows ranked 1.
+async function notifyNewLeaders(db, leagueId, previousLeaderIds, leaders) {
+    const newLeaders = leaders.filter(l => !previousLeaderIds.some(id => sameId(id, l.UserId)));
+    if (newLeaders.length === 0) {
+        return [];
+    }
+
+    const result = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .query('SELECT Name FROM Leagues WHERE Id = @leagueId');
+
+    const leagueName = result.recordset[0] ? result.recordset[0].Name : 'your league';
+    const place = leaders.length > 1 ? 'tied for first' : 'in first place';
+
+    return createNotifications(db, newLeaders.map(leader => ({
+        userId: leader.UserId,
+        type: 'FirstPlace',
+        title: `You're ${place}`,
+        message: `You're ${place} in ${leagueName} with ${pointsText(leader.TotalPoints)}.`,
+        relatedEntityId: leagueId,
+        relatedEntityType: 'League'
+    })));
+}
+
+function resultText(game) {
+    const score = game.HomeTeamScore !== null && game.AwayTeamScore !== null
+        ? `${game.AwayTeam} ${game.AwayTeamScore}, ${game.HomeTeam} ${game.HomeTeamScore}`
+        : `${game.AwayTeam} at ${game.HomeTeam}`;
+    return `${score} (${game.Status})`;
+}
+
+// Tell the members who picked a game that a commissioner changed its result.
+// game is the updated Games row; previous has its old HomeTeamScore,
+// AwayTeamScore and Status.
+async function notifyGameResultChanged(db, game, previous) {
+    const result = await db.request()
+        .input('gameId', sql.UniqueIdentifier, game.Id)
+        .query(`
+            SELECT DISTINCT p.UserId, c.Name AS CompetitionName
+            FROM Picks p
+            INNER JOIN Competitions c ON p.CompetitionId = c.Id
+            INNER JOIN LeagueMembers lm ON lm.LeagueId = c.LeagueId AND lm.UserId = p.UserId AND lm.IsActive = 1
+            WHERE p.GameId = @gameId
+        `);
+
+    const was = resultText({ ...game, ...previous });
+    const now = resultText(game);
+
+    return createNotifications(db, result.recordset.map(pick => ({
+        userId: pick.UserId,
+        type: 'GameResultChanged',
+        title: `Result changed: ${game.AwayTeam} at ${game.HomeTeam}`,
+        message: `A commissioner changed this ${pick.CompetitionName} result from ${was} to ${now}.`,
+        relatedEntityId: game.CompetitionId,
+        relatedEntityType: 'Competition'
+    })));
+}
+
+module.exports = {
+    createNotifications,
+    notifyCompetitionLocked,
+    notifyCompetitionScored,
+    notifyCompetitionsCreated,
+    notifyGameResultChanged,
+    notifyLeague,
+    notifyMemberJoined,
+    notifyNewLeaders
+};
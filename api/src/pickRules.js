@@ -0,0 +1,368 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+
+// How a competition locks picks: all at once at its LockDate, or each game at
+// its own kickoff (GameDate less GameLockOffsetMinutes)
+const PICK_LOCK_MODES = ['Competition', 'Game'];
+
+// League policies for showing members each other's picks
+const PICK_VISIBILITY_POLICIES = ['HiddenUntilLock', 'AlwaysVisible'];
+
+// Check a user's pick sheet against confidence-pool rules: every game picked,
+// and each value 1..N used exactly once where N is the competition's game count.
+function checkConfidenceSheet(gameIds, picks) {
+    const gameCount = gameIds.length;
+    const pickedGames = new Set(picks.map(p => String(p.GameId).toLowerCase()));
+    const byValue = new Map();
+    const outOfRange = [];
+
+    for (const pick of picks) {
+        const value = pick.ConfidencePoints;
+        if (!Number.isInteger(value) || value < 1 || value > gameCount) {
+            outOfRange.push({ pickId: pick.Id, gameId: pick.GameId, confidencePoints: value });
+            continue;
+        }
+        if (!byValue.has(value)) {
+            byValue.set(value, []);
+        }
+        byValue.get(value).push(pick);
+    }
+
+    const duplicates = [...byValue.entries()]
+        .filter(([, list]) => list.length > 1)
+        .map(([value, list]) => ({
+            confidencePoints: value,
+            gameIds: list.map(p => p.GameId)
+        }));
+
+    const missingGames = gameIds.filter(id => !pickedGames.has(String(id).toLowerCase()));
+
+    const unusedConfidencePoints = [];
+    for (let value = 1; value <= gameCount; value++) {
+        if (!byValue.has(value)) {
+            unusedConfidencePoints.push(value);
+        }
+    }
+
+    return {
+        gameCount,
+        pickCount: picks.length,
+        complete: missingGames.length === 0 && duplicates.length === 0 && outOfRange.length === 0,
+        missingGames,
+        unusedConfidencePoints,
+        duplicates,
+        outOfRange
+    };
+}
+
+// The side a pick names, spelled the way it is stored and graded: the game's
+// HomeTeam or AwayTeam, or "Over" / "Under" for total picks. Matching ignores
+// case and surrounding spaces. Returns null when it names neither side.
+function canonicalPickedTeam(game, pickType, pickedTeam) {
+    const picked = String(pickedTeam).trim().toLowerCase();
+    const sides = pickType === 'OverUnder' ? ['Over', 'Under'] : [game.HomeTeam, game.AwayTeam];
+
+    return sides.find(side => String(side).trim().toLowerCase() === picked) || null;
+}
+
+// Check a pick's side against its game (see canonicalPickedTeam). Returns an
+// error message or null.
+function checkPickedTeam(game, pickType, pickedTeam) {
+    if (canonicalPickedTeam(game, pickType, pickedTeam)) {
+        return null;
+    }
+
+    return pickType === 'OverUnder'
+        ? 'pickedTeam must be "Over" or "Under" for OverUnder picks'
+        : `pickedTeam must be "${game.HomeTeam}" or "${game.AwayTeam}"`;
+}
+
+// 403 response unless the user is an active member of the competition's
+// league, otherwise null
+async function checkLeagueMembership(db, competitionId, userId) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('userId', sql.UniqueIdentifier, userId)
+        .query(`
+            SELECT TOP 1 lm.Id
+            FROM LeagueMembers lm
+            INNER JOIN Competitions c ON lm.LeagueId = c.LeagueId
+            WHERE c.Id = @competitionId AND lm.UserId = @userId AND lm.IsActive = 1
+        `);
+
+    if (result.recordset.length === 0) {
+        return { status: 403, jsonBody: { error: 'User is not an active member of this league' } };
+    }
+    return null;
+}
+
+// Validate a submitted batch of picks as a unit: every pick names a game in
+// the competition and one of its sides, at most one pick per game, and (for
+// confidence pools) the sheet that results from merging the batch over the
+// user's existing picks keeps every confidence value unique and in range.
+// `games` are the competition's games with their teams. Returns per-game errors.
+function validatePickBatch({ games, existingPicks, picks, confidencePool }) {
+    const errors = [];
+    const gameIds = games.map(g => g.Id);
+    const competitionGames = new Map(games.map(g => [String(g.Id).toLowerCase(), g]));
+    const submittedGames = new Set();
+
+    picks.forEach((pick, index) => {
+        if (!pick || !pick.gameId || !pick.pickedTeam) {
+            errors.push({ index, gameId: (pick && pick.gameId) || null, error: 'gameId and pickedTeam are required' });
+            return;
+        }
+
+        const key = String(pick.gameId).toLowerCase();
+        const game = competitionGames.get(key);
+        const teamError = game && checkPickedTeam(game, pick.pickType, pick.pickedTeam);
+        if (!game) {
+            errors.push({ index, gameId: pick.gameId, error: 'Game is not part of this competition' });
+        } else if (submittedGames.has(key)) {
+            errors.push({ index, gameId: pick.gameId, error: 'Only one pick per game is allowed' });
+        } else if (teamError) {
+            errors.push({ index, gameId: pick.gameId, error: teamError });
+        }
+        submittedGames.add(key);
+    });
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    if (!confidencePool) {
+        for (const pick of picks) {
+            const value = pick.confidencePoints;
+            if (!Number.isInteger(value) || value < 1 || value > gameIds.length) {
+                errors.push({ gameId: pick.gameId, error: `Confidence points must be between 1 and ${gameIds.length}` });
+            }
+        }
+        return errors;
+    }
+
+    const sheet = checkConfidenceSheet(gameIds, [
+        ...existingPicks.filter(p => !submittedGames.has(String(p.GameId).toLowerCase())),
+        ...picks.map(p => ({ Id: null, GameId: p.gameId, ConfidencePoints: p.confidencePoints }))
+    ]);
+
+    for (const entry of sheet.outOfRange) {
+        errors.push({ gameId: entry.gameId, error: `Confidence points must be between 1 and ${sheet.gameCount}` });
+    }
+    for (const entry of sheet.duplicates) {
+        for (const gameId of entry.gameIds) {
+            errors.push({ gameId, error: `Confidence points ${entry.confidencePoints} are used more than once` });
+        }
+    }
+
+    return errors;
+}
+
+// Whether a game (g) in a competition (c) is locked for picks as of @now. A
+// Locked or Completed competition locks every game; otherwise 'Competition'
+// mode locks them all at LockDate, and 'Game' mode locks each one at its
+// GameDate less GameLockOffsetMinutes, or as soon as it kicks off.
+const GAME_LOCKED_SQL = `
+    CASE
+        WHEN c.Status IN ('Locked', 'Completed') THEN 1
+        WHEN c.LockMode = 'Game' AND g.Status IN ('InProgress', 'Final') THEN 1
+        WHEN c.LockMode = 'Game' AND DATEADD(MINUTE, -c.GameLockOffsetMinutes, g.GameDate) <= @now THEN 1
+        WHEN c.LockMode <> 'Game' AND c.LockDate < @now THEN 1
+        ELSE 0
+    END
+`;
+
+// When each game in a competition stops accepting picks. `db` is a pool or
+// transaction. Returns null when the competition doesn't exist.
+async function getPickLocks(db, competitionId, now = new Date()) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('now', sql.DateTime2, now)
+        .query(`
+            SELECT c.LockMode,
+                   CAST(CASE
+                       WHEN c.Status IN ('Locked', 'Completed') THEN 1
+                       WHEN c.LockMode <> 'Game' AND c.LockDate < @now THEN 1
+                       ELSE 0
+                   END AS BIT) AS CompetitionLocked
+            FROM Competitions c
+            WHERE c.Id = @competitionId;
+
+            SELECT g.Id,
+                   CASE WHEN c.LockMode = 'Game'
+                       THEN DATEADD(MINUTE, -c.GameLockOffsetMinutes, g.GameDate)
+                       ELSE c.LockDate
+                   END AS LocksAt,
+                   CAST(${GAME_LOCKED_SQL} AS BIT) AS Locked
+            FROM Games g
+            INNER JOIN Competitions c ON g.CompetitionId = c.Id
+            WHERE c.Id = @competitionId
+            ORDER BY g.GameDate ASC;
+        `);
+
+    const [competitions, games] = result.recordsets;
+    if (competitions.length === 0) {
+        return null;
+    }
+
+    const gameLocks = games.map(game => ({
+        gameId: game.Id,
+        locksAt: game.LocksAt,
+        locked: game.Locked
+    }));
+
+    return {
+        competitionId,
+        lockMode: competitions[0].LockMode,
+        competitionLocked: competitions[0].CompetitionLocked,
+        games: gameLocks,
+        lockedGameIds: gameLocks.filter(g => g.locked).map(g => g.gameId)
+    };
+}
+
+// Check that picks on the given games can still be changed. Returns a 404, or
+// a 403 listing the locked games, or null when every game is open.
+async function checkPickLock(db, competitionId, gameIds, message) {
+    const locks = await getPickLocks(db, competitionId);
+    if (!locks) {
+        return { status: 404, jsonBody: { error: 'Competition not found' } };
+    }
+
+    if (locks.competitionLocked) {
+        return { status: 403, jsonBody: { error: message, lockedGameIds: locks.lockedGameIds } };
+    }
+
+    const lockedGameIds = locks.lockedGameIds.filter(lockedId => gameIds.some(id => sameId(id, lockedId)));
+    if (lockedGameIds.length > 0) {
+        return { status: 403, jsonBody: { error: 'Picks are locked for games that have already kicked off', lockedGameIds } };
+    }
+
+    return null;
+}
+
+// Whether a pick (p) is hidden from @viewerId: another member's pick, in a
+// league (l) that hides picks until lock, on a game that hasn't locked yet
+const PICK_HIDDEN_SQL = `
+    CASE
+        WHEN l.PickVisibility = 'HiddenUntilLock' AND p.UserId <> @viewerId
+             AND ${GAME_LOCKED_SQL} = 0 THEN 1
+        ELSE 0
+    END
+`;
+
+// Blank out what was picked on rows flagged IsHidden, leaving only the fact
+// that the member has made a pick on that game
+function redactHiddenPicks(picks) {
+    return picks.map(pick => {
+        if (!pick.IsHidden) {
+            return pick;
+        }
+        return {
+            ...pick,
+            PickedTeam: null,
+            ConfidencePoints: null,
+            PickType: null,
+            AdditionalData: null,
+            IsCorrect: null,
+            PointsEarned: null,
+            Result: null
+        };
+    });
+}
+
+// Load a user's sheet for a competition and check it. Returns null when the
+// competition doesn't exist.
+async function getConfidenceSheet(pool, competitionId, userId) {
+    const result = await pool.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('userId', sql.UniqueIdentifier, userId)
+        .query(`
+            SELECT c.Id, l.ConfidencePool
+            FROM Competitions c
+            INNER JOIN Leagues l ON c.LeagueId = l.Id
+            WHERE c.Id = @competitionId;
+
+            SELECT Id FROM Games WHERE CompetitionId = @competitionId ORDER BY GameDate ASC;
+
+            SELECT Id, GameId, ConfidencePoints
+            FROM Picks
+            WHERE CompetitionId = @competitionId AND UserId = @userId;
+        `);
+
+    const [competitions, games, picks] = result.recordsets;
+    if (competitions.length === 0) {
+        return null;
+    }
+
+    return {
+        competitionId,
+        userId,
+        confidencePool: competitions[0].ConfidencePool,
+        ...checkConfidenceSheet(games.map(g => g.Id), picks)
+    };
+}
+
+// Validate one pick's confidence value: 1..N where N is the competition's
+// game count, and in confidence-pool leagues not already on another of the
+// user's picks. `db` is a pool or transaction; in a transaction the user's
+// picks stay locked until it ends, so a concurrent pick can't take the same
+// value before this one is saved. Returns a 400/409 response or null.
+async function validateConfidencePoints(db, { competitionId, userId, confidencePoints, pickId }) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('userId', sql.UniqueIdentifier, userId)
+        .input('confidencePoints', sql.Int, confidencePoints)
+        .input('pickId', sql.UniqueIdentifier, pickId || null)
+        .query(`
+            SELECT l.ConfidencePool,
+                   (SELECT COUNT(*) FROM Games WHERE CompetitionId = c.Id) AS GameCount,
+                   (SELECT TOP 1 GameId FROM Picks WITH (UPDLOCK, HOLDLOCK)
+                    WHERE CompetitionId = c.Id AND UserId = @userId
+                      AND ConfidencePoints = @confidencePoints
+                      AND (@pickId IS NULL OR Id <> @pickId)) AS ConflictingGameId
+            FROM Competitions c
+            INNER JOIN Leagues l ON c.LeagueId = l.Id
+            WHERE c.Id = @competitionId
+        `);
+
+    const rules = result.recordset[0];
+    if (!rules) {
+        return null;
+    }
+
+    if (!Number.isInteger(confidencePoints) || confidencePoints < 1 || confidencePoints > rules.GameCount) {
+        return { status: 400, jsonBody: { error: `Confidence points must be between 1 and ${rules.GameCount}` } };
+    }
+
+    if (!rules.ConfidencePool) {
+        return null;
+    }
+
+    if (rules.ConflictingGameId) {
+        return {
+            status: 409,
+            jsonBody: {
+                error: `Confidence points ${confidencePoints} are already assigned to another game`,
+                conflictingGameId: rules.ConflictingGameId
+            }
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    GAME_LOCKED_SQL,
+    PICK_HIDDEN_SQL,
+    PICK_LOCK_MODES,
+    PICK_VISIBILITY_POLICIES,
+    canonicalPickedTeam,
+    checkConfidenceSheet,
+    checkLeagueMembership,
+    checkPickLock,
+    checkPickedTeam,
+    getConfidenceSheet,
+    getPickLocks,
+    redactHiddenPicks,
+    validateConfidencePoints,
+    validatePickBatch
+};
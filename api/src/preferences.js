@@ -0,0 +1,176 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { zonedParts, zonedTimeToUtc } = require('./season');
+
+// Where a notification can reach a user
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push'];
+
+// TypeSettings key for every notification Type without an entry of its own
+const ALL_NOTIFICATION_TYPES = '*';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// TypeSettings maps a notification Type (or '*') to the channels turned on or
+// off for it, e.g. { "*": { "email": false }, "FirstPlace": { "email": true } }.
+// Returns an error message, or null when valid.
+function validateTypeSettings(typeSettings) {
+    if (!typeSettings || typeof typeSettings !== 'object' || Array.isArray(typeSettings)) {
+        return 'typeSettings must be an object of notification types';
+    }
+
+    for (const [type, channels] of Object.entries(typeSettings)) {
+        if (!type.trim() || type.length > 50) {
+            return 'typeSettings keys must be notification types of up to 50 characters';
+        }
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+            return `typeSettings.${type} must be an object of channels`;
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+            if (!NOTIFICATION_CHANNELS.includes(channel)) {
+                return `typeSettings.${type} channels must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+            }
+            if (typeof enabled !== 'boolean') {
+                return `typeSettings.${type}.${channel} must be true or false`;
+            }
+        }
+    }
+    return null;
+}
+
+// Quiet hours are HH:mm local times, both set or both null; they may run past
+// midnight (22:00 to 07:00). Returns an error message, or null when valid.
+function validateQuietHours(quietHoursStart, quietHoursEnd) {
+    if ((quietHoursStart === null) !== (quietHoursEnd === null)) {
+        return 'quietHoursStart and quietHoursEnd must be set together';
+    }
+    if (quietHoursStart !== null && (!TIME_OF_DAY.test(quietHoursStart) || !TIME_OF_DAY.test(quietHoursEnd))) {
+        return 'quietHoursStart and quietHoursEnd must be HH:mm (24-hour)';
+    }
+    if (quietHoursStart !== null && quietHoursStart === quietHoursEnd) {
+        return 'quietHoursStart and quietHoursEnd must differ';
+    }
+    return null;
+}
+
+function validateTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return null;
+    } catch {
+        return `Unknown timeZone "${timeZone}"`;
+    }
+}
+
+function parseTypeSettings(preference) {
+    return preference && preference.TypeSettings ? JSON.parse(preference.TypeSettings) : {};
+}
+
+// Which channels a notification Type reaches, from the user's league
+// preference, then their user-wide one, each checked for the Type before '*'.
+// Channels nobody set are on.
+function resolveChannels(type, userPreference, leaguePreference = null) {
+    const settings = [leaguePreference, userPreference]
+        .map(parseTypeSettings)
+        .flatMap(s => [s[type], s[ALL_NOTIFICATION_TYPES]])
+        .filter(Boolean);
+
+    const channels = {};
+    for (const channel of NOTIFICATION_CHANNELS) {
+        const setting = settings.find(s => typeof s[channel] === 'boolean');
+        channels[channel] = setting ? setting[channel] : true;
+    }
+    return channels;
+}
+
+// When the user's quiet hours end, if `now` falls inside them; otherwise null
+function quietHoursEnd(now, preference) {
+    if (!preference || !preference.QuietHoursStart || !preference.QuietHoursEnd) {
+        return null;
+    }
+
+    const timeZone = preference.TimeZone || 'UTC';
+    const local = zonedParts(now, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const [start, end] = [preference.QuietHoursStart, preference.QuietHoursEnd]
+        .map(t => t.split(':').map(Number))
+        .map(([hour, minute]) => hour * 60 + minute);
+
+    let endsTomorrow;
+    if (start < end) {
+        if (minutes < start || minutes >= end) {
+            return null;
+        }
+        endsTomorrow = false;
+    } else {
+        if (minutes < start && minutes >= end) {
+            return null;
+        }
+        endsTomorrow = minutes >= start;
+    }
+
+    return zonedTimeToUtc({
+        year: local.year,
+        month: local.month,
+        day: local.day + (endsTomorrow ? 1 : 0),
+        hour: Math.floor(end / 60),
+        minute: end % 60
+    }, timeZone);
+}
+
+// Apply each recipient's preferences to new notifications ({ userId, type,
+// leagueId?, relatedEntityId, relatedEntityType, ... }). The league is
+// leagueId, or the related league or competition's league. Returns each
+// notification with that `leagueId` (null when it has none), its `channels`
+// and the `notBefore` time quiet hours hold outside delivery until (null when
+// it can go now).
+async function applyNotificationPreferences(db, notifications, now = new Date()) {
+    const competitionIds = notifications
+        .filter(n => !n.leagueId && n.relatedEntityType === 'Competition' && n.relatedEntityId)
+        .map(n => n.relatedEntityId);
+
+    const result = await db.request()
+        .input('userIds', sql.NVarChar(sql.MAX), JSON.stringify(notifications.map(n => n.userId)))
+        .input('competitionIds', sql.NVarChar(sql.MAX), JSON.stringify(competitionIds))
+        .query(`
+            SELECT *
+            FROM NotificationPreferences
+            WHERE UserId IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@userIds));
+
+            SELECT Id, LeagueId
+            FROM Competitions
+            WHERE Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@competitionIds));
+        `);
+
+    const [preferences, competitions] = result.recordsets;
+
+    return notifications.map(notification => {
+        let leagueId = notification.leagueId || null;
+        if (!leagueId && notification.relatedEntityType === 'League') {
+            leagueId = notification.relatedEntityId || null;
+        } else if (!leagueId && notification.relatedEntityType === 'Competition') {
+            const competition = competitions.find(c => sameId(c.Id, notification.relatedEntityId));
+            leagueId = competition ? competition.LeagueId : null;
+        }
+
+        const userPreferences = preferences.filter(p => sameId(p.UserId, notification.userId));
+        const userPreference = userPreferences.find(p => !p.LeagueId) || null;
+        const leaguePreference = leagueId ? userPreferences.find(p => sameId(p.LeagueId, leagueId)) || null : null;
+
+        return {
+            ...notification,
+            leagueId,
+            channels: resolveChannels(notification.type, userPreference, leaguePreference),
+            notBefore: quietHoursEnd(now, userPreference)
+        };
+    });
+}
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    applyNotificationPreferences,
+    quietHoursEnd,
+    resolveChannels,
+    validateQuietHours,
+    validateTimeZone,
+    validateTypeSettings
+};
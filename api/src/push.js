@@ -0,0 +1,122 @@
+const webpush = require('web-push');
+const { notificationPath } = require('./email');
+
+// Web Push. VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY are the application server
+// keys (generate a pair with `npx web-push generate-vapid-keys`) and
+// VAPID_SUBJECT is a mailto: or https: contact for push services. Push is off
+// while the keys aren't set.
+//
+// Messages are encrypted and signed by web-push and posted with fetch. Push
+// services are public https hosts, so endpoints on IP addresses, bare host
+// names or plain http are refused; in Development an http://localhost
+// server can stand in as a fake push service.
+
+// Seconds a push service keeps trying to reach an offline device
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// How long to wait on a push service before giving up on the attempt
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+// Push service responses meaning the subscription has expired or was removed
+const GONE_STATUS_CODES = [404, 410];
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Whether a push subscription may point at `endpoint`. Returns an error
+// message, or null when allowed.
+function validatePushEndpoint(endpoint, env = process.env) {
+    if (typeof endpoint !== 'string' || endpoint.length > 800 || !URL.canParse(endpoint)) {
+        return 'endpoint must be an https URL of up to 800 characters';
+    }
+
+    const { protocol, hostname } = new URL(endpoint);
+    if (env.AZURE_FUNCTIONS_ENVIRONMENT === 'Development' && protocol === 'http:' && LOOPBACK_HOSTS.includes(hostname)) {
+        return null;
+    }
+    if (protocol !== 'https:') {
+        return 'endpoint must be an https URL of up to 800 characters';
+    }
+    if (!hostname.includes('.') || hostname.startsWith('[') || /^[\d.]+$/.test(hostname)) {
+        return 'endpoint must be on a push service host name';
+    }
+    return null;
+}
+
+let sender;
+
+// The configured sender, or null when push is off. `send(subscription,
+// payload)` takes a PushSubscription ({ endpoint, keys: { p256dh, auth } })
+// and a JSON-able payload; it resolves once the push service accepts the
+// message and rejects with an error carrying the response's statusCode.
+// Response bodies aren't kept, since delivery errors are shown to the user.
+function getPushSender(env = process.env) {
+    if (sender === undefined) {
+        if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+            sender = null;
+            return sender;
+        }
+
+        const vapidDetails = {
+            subject: env.VAPID_SUBJECT || 'mailto:admin@localhost',
+            publicKey: env.VAPID_PUBLIC_KEY,
+            privateKey: env.VAPID_PRIVATE_KEY
+        };
+
+        sender = {
+            publicKey: env.VAPID_PUBLIC_KEY,
+            send: async (subscription, payload) => {
+                const endpointError = validatePushEndpoint(subscription.endpoint, env);
+                if (endpointError) {
+                    const err = new Error(`Push subscription refused: ${endpointError}`);
+                    err.gone = true;
+                    throw err;
+                }
+
+                const details = webpush.generateRequestDetails(subscription, JSON.stringify(payload), {
+                    vapidDetails,
+                    TTL: PUSH_TTL_SECONDS
+                });
+                const response = await fetch(details.endpoint, {
+                    method: details.method,
+                    headers: details.headers,
+                    body: details.body,
+                    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+                });
+                if (!response.ok) {
+                    const err = new Error(`Push service responded ${response.status}`);
+                    err.statusCode = response.status;
+                    throw err;
+                }
+                return { statusCode: response.status };
+            }
+        };
+    }
+    return sender;
+}
+
+// Whether a failed send means the subscription should be deleted: the push
+// service says it's gone, or its endpoint isn't allowed (see validatePushEndpoint)
+function isGoneSubscription(err) {
+    return !!err.gone || GONE_STATUS_CODES.includes(err.statusCode);
+}
+
+// The payload for one notification, for the app's service worker to show.
+// url is relative to the app.
+function renderPushMessage(notification) {
+    return {
+        notificationId: notification.Id,
+        type: notification.Type,
+        title: notification.Title,
+        body: notification.Message,
+        url: notificationPath(notification),
+        relatedEntityId: notification.RelatedEntityId,
+        relatedEntityType: notification.RelatedEntityType
+    };
+}
+
+module.exports = {
+    getPushSender,
+    isGoneSubscription,
+    renderPushMessage,
+    validatePushEndpoint
+};
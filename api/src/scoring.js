@@ -0,0 +1,465 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+const { gradeBracket } = require('./bracket');
+const { recordCompetitionPayouts, recordSeasonPayouts } = require('./ledger');
+const { notifyCompetitionScored, notifyNewLeaders } = require('./notifications');
+const { resolveSeasonWeeks } = require('./standings');
+const { updateSurvivorStandings } = require('./survivor');
+
+// Margin of victory from the picker's point of view, graded by pick type:
+//   Straight/Moneyline - picked team's score minus the opponent's
+//   Spread             - same, after applying SpreadLine (negative = home favored)
+//   OverUnder          - combined score against OverUnderLine ("Over" or "Under")
+// NULL when the game isn't Final or the pick matches neither side.
+const PICK_MARGIN_SQL = `
+    CASE
+        WHEN g.Status <> 'Final' THEN NULL
+        WHEN p.PickType = 'OverUnder' AND p.PickedTeam = 'Over'
+            THEN (g.HomeTeamScore + g.AwayTeamScore) - g.OverUnderLine
+        WHEN p.PickType = 'OverUnder' AND p.PickedTeam = 'Under'
+            THEN g.OverUnderLine - (g.HomeTeamScore + g.AwayTeamScore)
+        WHEN p.PickType = 'Spread' AND p.PickedTeam = g.HomeTeam
+            THEN g.HomeTeamScore + ISNULL(g.SpreadLine, 0) - g.AwayTeamScore
+        WHEN p.PickType = 'Spread' AND p.PickedTeam = g.AwayTeam
+            THEN g.AwayTeamScore - ISNULL(g.SpreadLine, 0) - g.HomeTeamScore
+        WHEN p.PickType IN ('Straight', 'Moneyline') AND p.PickedTeam = g.HomeTeam
+            THEN g.HomeTeamScore - g.AwayTeamScore
+        WHEN p.PickType IN ('Straight', 'Moneyline') AND p.PickedTeam = g.AwayTeam
+            THEN g.AwayTeamScore - g.HomeTeamScore
+        ELSE NULL
+    END
+`;
+
+// Points for a winning pick. Moneyline picks pay out the American odds on a
+// stake of ConfidencePoints (+150 pays 1.5x, -200 pays 0.5x); everything else
+// earns its ConfidencePoints.
+const WIN_POINTS_SQL = `
+    CASE
+        WHEN p.PickType = 'Moneyline' THEN CAST(p.ConfidencePoints * CASE
+            WHEN ml.Odds > 0 THEN ml.Odds / 100.0
+            WHEN ml.Odds < 0 THEN 100.0 / -ml.Odds
+            ELSE 1
+        END AS DECIMAL(10,2))
+        ELSE p.ConfidencePoints
+    END
+`;
+
+// League policies for scoring a push: full, half or none of its ConfidencePoints
+const PUSH_SCORING_POLICIES = ['Full', 'Half', 'Zero'];
+
+// Outcome of a pick once its game is decided:
+//   Win/Loss - margin above/below zero
+//   Push     - tie, or the score lands exactly on the line
+//   Void     - game cancelled, or a total pick on a game without a line
+// Picks on unfinished or postponed games stay NULL until the game is Final.
+const PICK_RESULT_SQL = `
+    CASE
+        WHEN g.Status = 'Cancelled' THEN 'Void'
+        WHEN g.Status <> 'Final' THEN NULL
+        WHEN p.PickType = 'OverUnder' AND g.OverUnderLine IS NULL THEN 'Void'
+        WHEN m.Margin > 0 THEN 'Win'
+        WHEN m.Margin = 0 THEN 'Push'
+        ELSE 'Loss'
+    END
+`;
+
+// Set Result, IsCorrect and PointsEarned on the picks (p) matching `where`
+function gradePicksSql(where) {
+    return `
+        UPDATE p
+        SET Result = r.Result,
+            IsCorrect = CASE r.Result
+                WHEN 'Win' THEN 1
+                WHEN 'Loss' THEN 0
+                ELSE NULL
+            END,
+            PointsEarned = CASE r.Result
+                WHEN 'Win' THEN ${WIN_POINTS_SQL}
+                WHEN 'Push' THEN CAST(p.ConfidencePoints * CASE l.PushScoring
+                    WHEN 'Full' THEN 1
+                    WHEN 'Half' THEN 0.5
+                    ELSE 0
+                END AS DECIMAL(10,2))
+                ELSE 0
+            END
+        FROM Picks p
+        INNER JOIN Games g ON p.GameId = g.Id
+        INNER JOIN Competitions c ON p.CompetitionId = c.Id
+        INNER JOIN Leagues l ON c.LeagueId = l.Id
+        CROSS APPLY (
+            SELECT CASE
+                WHEN p.PickedTeam = g.HomeTeam THEN g.HomeMoneyline
+                WHEN p.PickedTeam = g.AwayTeam THEN g.AwayMoneyline
+            END AS Odds
+        ) ml
+        CROSS APPLY (SELECT ${PICK_MARGIN_SQL} AS Margin) m
+        CROSS APPLY (SELECT ${PICK_RESULT_SQL} AS Result) r
+        WHERE ${where};
+    `;
+}
+
+// The game answering a competition's tiebreaker question: TiebreakerGameId,
+// or the last game that wasn't cancelled. ActualValue is its combined score
+// once Final. `competitionId` is the SQL expression to match.
+function tiebreakerGameSql(competitionId) {
+    return `
+        SELECT TOP 1 tg.Id AS GameId, tg.HomeTeam, tg.AwayTeam, tg.GameDate, tg.Status,
+               CASE WHEN tg.Status = 'Final' THEN tg.HomeTeamScore + tg.AwayTeamScore END AS ActualValue
+        FROM Games tg
+        INNER JOIN Competitions tc ON tg.CompetitionId = tc.Id
+        WHERE tc.Id = ${competitionId}
+          AND (tg.Id = tc.TiebreakerGameId OR (tc.TiebreakerGameId IS NULL AND tg.Status <> 'Cancelled'))
+        ORDER BY tg.GameDate DESC, tg.Id DESC
+    `;
+}
+
+// Upsert the competition's Scores rows for users matching `userWhere` from
+// their game picks and bracket picks (voided picks don't count toward
+// TotalPicks), then re-rank everyone. Ties
+// on points and correct picks go to the tiebreaker prediction closest to the
+// actual result without going over, then to the smallest difference; they
+// stand until the tiebreaker game is Final.
+function mergeScoresSql(userWhere) {
+    return `
+        MERGE Scores AS target
+        USING (
+            SELECT
+                @competitionId AS CompetitionId,
+                UserId,
+                SUM(ISNULL(PointsEarned, 0)) AS TotalPoints,
+                SUM(CASE WHEN Result = 'Win' THEN 1 ELSE 0 END) AS CorrectPicks,
+                SUM(CASE WHEN Result = 'Push' THEN 1 ELSE 0 END) AS PushPicks,
+                SUM(CASE WHEN Result = 'Void' THEN 0 ELSE 1 END) AS TotalPicks
+            FROM (
+                SELECT UserId, PointsEarned, Result FROM Picks WHERE CompetitionId = @competitionId
+                UNION ALL
+                SELECT UserId, PointsEarned, Result FROM BracketPicks WHERE CompetitionId = @competitionId
+            ) AS graded
+            WHERE ${userWhere}
+            GROUP BY UserId
+        ) AS source
+        ON target.CompetitionId = source.CompetitionId AND target.UserId = source.UserId
+        WHEN MATCHED THEN
+            UPDATE SET TotalPoints = source.TotalPoints,
+                       CorrectPicks = source.CorrectPicks,
+                       PushPicks = source.PushPicks,
+                       TotalPicks = source.TotalPicks,
+                       CalculatedAt = GETUTCDATE()
+        WHEN NOT MATCHED THEN
+            INSERT (CompetitionId, UserId, TotalPoints, CorrectPicks, PushPicks, TotalPicks)
+            VALUES (source.CompetitionId, source.UserId, source.TotalPoints, source.CorrectPicks, source.PushPicks, source.TotalPicks);
+
+        DECLARE @tiebreakerActual INT = (
+            SELECT ActualValue FROM (${tiebreakerGameSql('@competitionId')}) t
+        );
+
+        UPDATE s
+        SET TiebreakerPrediction = tp.PredictedValue,
+            TiebreakerDifference = ABS(tp.PredictedValue - @tiebreakerActual)
+        FROM Scores s
+        LEFT JOIN TiebreakerPredictions tp ON tp.CompetitionId = s.CompetitionId AND tp.UserId = s.UserId
+        WHERE s.CompetitionId = @competitionId;
+
+        WITH RankedScores AS (
+            SELECT Id, RANK() OVER (ORDER BY
+                TotalPoints DESC,
+                CorrectPicks DESC,
+                CASE
+                    WHEN @tiebreakerActual IS NULL THEN 0
+                    WHEN TiebreakerPrediction IS NULL THEN 2
+                    WHEN TiebreakerPrediction <= @tiebreakerActual THEN 0
+                    ELSE 1
+                END,
+                ISNULL(TiebreakerDifference, 0)
+            ) AS NewRank
+            FROM Scores
+            WHERE CompetitionId = @competitionId
+        )
+        UPDATE s
+        SET Rank = r.NewRank
+        FROM Scores s
+        INNER JOIN RankedScores r ON s.Id = r.Id;
+    `;
+}
+
+// Grade every pick in a competition, then rebuild its Scores rows and ranks.
+// Completed competitions also pay out their weekly pot by the new ranks.
+// Members are told where they finished the first time it's scored, and on a
+// rescore only if their rank moved. The scores stand if that notification
+// fails: the error comes back as notifyError for the caller to log.
+async function scoreCompetition(pool, competitionId) {
+    await gradeBracket(pool, competitionId);
+
+    const result = await pool.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query(`
+            DECLARE @wasScored BIT = (SELECT ScoringCalculated FROM Competitions WHERE Id = @competitionId);
+
+            DECLARE @before TABLE (UserId UNIQUEIDENTIFIER PRIMARY KEY, Rank INT);
+            INSERT INTO @before (UserId, Rank)
+            SELECT UserId, Rank FROM Scores WHERE CompetitionId = @competitionId;
+
+            ${gradePicksSql('p.CompetitionId = @competitionId')}
+
+            ${mergeScoresSql('1 = 1')}
+
+            -- Mark competition as scored
+            UPDATE Competitions
+            SET ScoringCalculated = 1, UpdatedAt = GETUTCDATE()
+            WHERE Id = @competitionId;
+
+            -- Members to tell: everyone on the first scoring, then only rank changes
+            SELECT s.UserId
+            FROM Scores s
+            LEFT JOIN @before b ON s.UserId = b.UserId
+            WHERE s.CompetitionId = @competitionId
+              AND (ISNULL(@wasScored, 0) = 0 OR b.UserId IS NULL OR ISNULL(s.Rank, 0) <> ISNULL(b.Rank, 0));
+        `);
+
+    await recordCompetitionPayouts(pool, competitionId);
+
+    try {
+        await notifyCompetitionScored(pool, competitionId, result.recordset.map(s => s.UserId));
+        return { notifyError: null };
+    } catch (err) {
+        return { notifyError: err };
+    }
+}
+
+// Regrade only the picks on the given games, and rebuild Scores just for the
+// users who picked them. Used while games are in progress, so it leaves
+// ScoringCalculated alone. In a bracket every entry is regraded, since any
+// result can knock out picks in later rounds. Returns the affected user ids
+// and every Scores row whose points or rank moved.
+async function scoreGames(db, competitionId, gameIds) {
+    if (gameIds.length === 0) {
+        return { affectedUserIds: [], scoreChanges: [] };
+    }
+
+    await gradeBracket(db, competitionId);
+
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('gameIds', sql.NVarChar(sql.MAX), JSON.stringify(gameIds))
+        .query(`
+            DECLARE @games TABLE (Id UNIQUEIDENTIFIER PRIMARY KEY);
+            INSERT INTO @games (Id)
+            SELECT DISTINCT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@gameIds);
+
+            DECLARE @users TABLE (Id UNIQUEIDENTIFIER PRIMARY KEY);
+            INSERT INTO @users (Id)
+            SELECT UserId
+            FROM Picks
+            WHERE CompetitionId = @competitionId AND GameId IN (SELECT Id FROM @games)
+            UNION
+            SELECT UserId
+            FROM BracketPicks
+            WHERE CompetitionId = @competitionId;
+
+            DECLARE @before TABLE (UserId UNIQUEIDENTIFIER PRIMARY KEY, TotalPoints DECIMAL(10,2), Rank INT);
+            INSERT INTO @before (UserId, TotalPoints, Rank)
+            SELECT UserId, TotalPoints, Rank FROM Scores WHERE CompetitionId = @competitionId;
+
+            ${gradePicksSql('p.CompetitionId = @competitionId AND p.GameId IN (SELECT Id FROM @games)')}
+
+            ${mergeScoresSql('UserId IN (SELECT Id FROM @users)')}
+
+            SELECT Id FROM @users;
+
+            SELECT s.UserId, s.TotalPoints, s.Rank,
+                   b.TotalPoints AS PreviousTotalPoints, b.Rank AS PreviousRank
+            FROM Scores s
+            LEFT JOIN @before b ON s.UserId = b.UserId
+            WHERE s.CompetitionId = @competitionId
+              AND (b.UserId IS NULL OR s.TotalPoints <> b.TotalPoints OR ISNULL(s.Rank, 0) <> ISNULL(b.Rank, 0))
+            ORDER BY s.Rank ASC;
+        `);
+
+    const [users, scoreChanges] = result.recordsets;
+    return { affectedUserIds: users.map(u => u.Id), scoreChanges };
+}
+
+// Rebuild a league's season standings from the Scores of its completed
+// competitions, applying the league's standings rules (dropped weeks and
+// missed-week scoring, see resolveSeasonWeeks), then re-rank them. Members
+// get a standing once they've played a completed week. Ties on points and
+// correct picks go to the lowest total tiebreaker difference; a week without
+// a prediction counts as having predicted 0. Survivor leagues also get
+// strikes and elimination weeks. Members who move into first are told so;
+// if that fails the standings stand and the error comes back as notifyError.
+async function calculateSeasonStandings(pool, leagueId) {
+    const result = await pool.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .query(`
+            SELECT DropLowestWeeks, MissedWeekScoring, MissedWeekPenalty, CountWeeksAfterJoin
+            FROM Leagues
+            WHERE Id = @leagueId;
+
+            SELECT c.Id, c.WeekNumber, c.LockDate, MIN(s.TotalPoints) AS LowestScore
+            FROM Competitions c
+            LEFT JOIN Scores s ON s.CompetitionId = c.Id
+            WHERE c.LeagueId = @leagueId AND c.Status = 'Completed'
+            GROUP BY c.Id, c.WeekNumber, c.LockDate
+            ORDER BY c.WeekNumber ASC, c.LockDate ASC;
+
+            SELECT s.CompetitionId, s.UserId, s.TotalPoints, s.CorrectPicks, s.TotalPicks,
+                   ISNULL(s.TiebreakerDifference, tb.ActualValue) AS TiebreakerDifference
+            FROM Scores s
+            INNER JOIN Competitions c ON s.CompetitionId = c.Id
+            OUTER APPLY (${tiebreakerGameSql('c.Id')}) tb
+            WHERE c.LeagueId = @leagueId AND c.Status = 'Completed';
+
+            SELECT UserId, JoinedAt FROM LeagueMembers WHERE LeagueId = @leagueId;
+
+            SELECT UserId FROM SeasonStandings WHERE LeagueId = @leagueId AND Rank = 1;
+        `);
+
+    const [leagues, competitions, scores, members, previousLeaders] = result.recordsets;
+    if (leagues.length === 0) {
+        return;
+    }
+
+    const league = leagues[0];
+    const rules = {
+        dropLowestWeeks: league.DropLowestWeeks,
+        missedWeekScoring: league.MissedWeekScoring,
+        missedWeekPenalty: Number(league.MissedWeekPenalty),
+        countWeeksAfterJoin: league.CountWeeksAfterJoin
+    };
+
+    const scoresByUser = new Map();
+    for (const score of scores) {
+        const key = String(score.UserId).toLowerCase();
+        if (!scoresByUser.has(key)) {
+            scoresByUser.set(key, []);
+        }
+        scoresByUser.get(key).push(score);
+    }
+
+    const standings = [...scoresByUser.values()].map(userScores => {
+        const userId = userScores[0].UserId;
+        const member = members.find(m => sameId(m.UserId, userId));
+        const weeks = competitions.map(c => {
+            const score = userScores.find(s => sameId(s.CompetitionId, c.Id));
+            return {
+                competitionId: c.Id,
+                weekNumber: c.WeekNumber,
+                lockDate: c.LockDate,
+                lowestScore: c.LowestScore,
+                points: score ? score.TotalPoints : null
+            };
+        });
+        const season = resolveSeasonWeeks({ weeks, rules, joinedAt: member ? member.JoinedAt : null });
+        const sum = field => userScores.reduce((total, s) => total + (s[field] || 0), 0);
+
+        return {
+            userId,
+            totalPoints: season.totalPoints,
+            weeksParticipated: userScores.length,
+            totalCorrectPicks: sum('CorrectPicks'),
+            totalPicks: sum('TotalPicks'),
+            averagePointsPerWeek: season.averagePointsPerWeek,
+            totalTiebreakerDifference: userScores.some(s => s.TiebreakerDifference !== null) ? sum('TiebreakerDifference') : null,
+            // Only the weeks the rules changed, for showing members why
+            weekAdjustments: JSON.stringify(season.weeks
+                .filter(w => w.substituted || w.excluded || w.dropped)
+                .map(({ competitionId, weekNumber, points, substituted, excluded, dropped }) =>
+                    ({ competitionId, weekNumber, points, substituted, excluded, dropped })))
+        };
+    });
+
+    const ranked = await pool.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('standings', sql.NVarChar(sql.MAX), JSON.stringify(standings))
+        .query(`
+            MERGE SeasonStandings AS target
+            USING (
+                SELECT @leagueId AS LeagueId, *
+                FROM OPENJSON(@standings) WITH (
+                    UserId UNIQUEIDENTIFIER '$.userId',
+                    TotalPoints DECIMAL(10,2) '$.totalPoints',
+                    WeeksParticipated INT '$.weeksParticipated',
+                    TotalCorrectPicks INT '$.totalCorrectPicks',
+                    TotalPicks INT '$.totalPicks',
+                    AveragePointsPerWeek DECIMAL(10,2) '$.averagePointsPerWeek',
+                    TotalTiebreakerDifference INT '$.totalTiebreakerDifference',
+                    WeekAdjustments NVARCHAR(MAX) '$.weekAdjustments'
+                )
+            ) AS source
+            ON target.LeagueId = source.LeagueId AND target.UserId = source.UserId
+            WHEN MATCHED THEN
+                UPDATE SET TotalPoints = source.TotalPoints,
+                           WeeksParticipated = source.WeeksParticipated,
+                           TotalCorrectPicks = source.TotalCorrectPicks,
+                           TotalPicks = source.TotalPicks,
+                           AveragePointsPerWeek = source.AveragePointsPerWeek,
+                           TotalTiebreakerDifference = source.TotalTiebreakerDifference,
+                           WeekAdjustments = source.WeekAdjustments,
+                           UpdatedAt = GETUTCDATE()
+            WHEN NOT MATCHED THEN
+                INSERT (LeagueId, UserId, TotalPoints, WeeksParticipated, TotalCorrectPicks, TotalPicks, AveragePointsPerWeek, TotalTiebreakerDifference, WeekAdjustments)
+                VALUES (source.LeagueId, source.UserId, source.TotalPoints, source.WeeksParticipated, source.TotalCorrectPicks, source.TotalPicks, source.AveragePointsPerWeek, source.TotalTiebreakerDifference, source.WeekAdjustments);
+
+            -- Update ranks
+            WITH RankedStandings AS (
+                SELECT Id, RANK() OVER (ORDER BY TotalPoints DESC, TotalCorrectPicks DESC, ISNULL(TotalTiebreakerDifference, 0)) AS NewRank
+                FROM SeasonStandings
+                WHERE LeagueId = @leagueId
+            )
+            UPDATE ss
+            SET Rank = r.NewRank
+            FROM SeasonStandings ss
+            INNER JOIN RankedStandings r ON ss.Id = r.Id;
+
+            SELECT UserId, TotalPoints FROM SeasonStandings WHERE LeagueId = @leagueId AND Rank = 1;
+        `);
+
+    await updateSurvivorStandings(pool, leagueId);
+    await recordSeasonPayouts(pool, leagueId);
+
+    try {
+        await notifyNewLeaders(pool, leagueId, previousLeaders.map(l => l.UserId), ranked.recordset);
+        return { notifyError: null };
+    } catch (err) {
+        return { notifyError: err };
+    }
+}
+
+// The competition's tiebreaker question, game and actual result (null until
+// the game is Final). Returns null when the competition doesn't exist.
+async function getTiebreaker(db, competitionId) {
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .query(`
+            SELECT c.Id AS CompetitionId, c.TiebreakerQuestion, c.TiebreakerGameId,
+                   tb.GameId, tb.HomeTeam, tb.AwayTeam, tb.GameDate, tb.Status, tb.ActualValue
+            FROM Competitions c
+            OUTER APPLY (${tiebreakerGameSql('c.Id')}) tb
+            WHERE c.Id = @competitionId
+        `);
+
+    const row = result.recordset[0];
+    if (!row) {
+        return null;
+    }
+
+    return {
+        competitionId: row.CompetitionId,
+        question: row.TiebreakerQuestion
+            || (row.GameId ? `Combined score of ${row.AwayTeam} at ${row.HomeTeam}` : null),
+        gameId: row.GameId,
+        isDefaultGame: !row.TiebreakerGameId,
+        gameDate: row.GameDate,
+        gameStatus: row.Status,
+        actualValue: row.ActualValue
+    };
+}
+
+module.exports = {
+    PUSH_SCORING_POLICIES,
+    calculateSeasonStandings,
+    getTiebreaker,
+    scoreCompetition,
+    scoreGames,
+    tiebreakerGameSql
+};
@@ -0,0 +1,232 @@
+const { sql } = require('./db');
+const { SURVIVOR_COMPETITION_TYPE } = require('./survivor');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How generated competitions lock: at the week's first kickoff, or at a fixed
+// local day and time each week (e.g. Sunday 13:00 America/New_York)
+const SEASON_LOCK_RULES = ['FirstKickoff', 'Weekly'];
+
+// Types a generated week can have: ones that need no setup of their own
+// (brackets need their teams, see createCompetition)
+const SEASON_COMPETITION_TYPES = ['Standard', 'Confidence', SURVIVOR_COMPETITION_TYPE];
+
+// Wall-clock date and time of an instant in a time zone
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric',
+        weekday: 'long'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = type === 'weekday' ? value : Number(value);
+    });
+    return parts;
+}
+
+// The instant a wall-clock time occurs in a time zone (month is 1-based;
+// day may overflow and is normalized like Date.UTC)
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+    const offsetAt = ms => {
+        const p = zonedParts(new Date(ms), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+    };
+
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = offsetAt(wallClock);
+    const corrected = offsetAt(wallClock - offset);
+    return new Date(wallClock - corrected);
+}
+
+// The same local time `days` calendar days later, so weeks keep their kickoff
+// time across daylight-saving changes
+function addLocalDays(date, days, timeZone) {
+    const p = zonedParts(date, timeZone);
+    return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + days, hour: p.hour, minute: p.minute }, timeZone);
+}
+
+// The first lockDay at lockTime (local) at or after the week's start
+function weeklyLockDate(weekStart, { lockDay, lockTime, timeZone }) {
+    const [hour, minute] = lockTime.split(':').map(Number);
+    const start = zonedParts(weekStart, timeZone);
+
+    for (let offset = 0; offset < 14; offset++) {
+        const candidate = zonedTimeToUtc({ year: start.year, month: start.month, day: start.day + offset, hour, minute }, timeZone);
+        if (zonedParts(candidate, timeZone).weekday === lockDay && candidate >= weekStart) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+function isIntegerList(value) {
+    return Array.isArray(value) && value.every(Number.isInteger);
+}
+
+// Validate a season template and lay out its weeks. Returns { weeks } with
+// one entry per competition, or { error }.
+//
+// Template fields (only firstWeekStart and weeks are required):
+//   firstWeekStart     - ISO date/time the first week opens
+//   weeks              - number of weeks to generate
+//   startWeekNumber    - WeekNumber of the first week (1)
+//   cadenceDays        - days between week starts (7)
+//   lockRule           - 'FirstKickoff' (default) or 'Weekly'
+//   lockDay, lockTime  - for 'Weekly', e.g. 'Sunday' and '13:00'
+//   timeZone           - IANA zone for local times ('UTC')
+//   competitionType    - type of the regular weeks: 'Standard' (default), 'Confidence' or 'Survivor'
+//   playoffWeeks       - WeekNumbers typed 'Playoff'
+//   championshipWeeks  - WeekNumbers typed 'Championship'
+//   namePattern        - competition name, {week} is replaced ('Week {week}')
+function buildSeasonSchedule(template) {
+    const settings = withTemplateDefaults(template);
+    const error = seasonTemplateError(settings);
+    if (error) {
+        return { error };
+    }
+
+    const { firstWeekStart, weeks, startWeekNumber, cadenceDays, lockRule, lockDay, lockTime, timeZone } = settings;
+    const firstStart = new Date(firstWeekStart);
+    const schedule = [];
+    for (let i = 0; i < weeks; i++) {
+        const weekNumber = startWeekNumber + i;
+        const startDate = addLocalDays(firstStart, i * cadenceDays, timeZone);
+        const nextStart = addLocalDays(firstStart, (i + 1) * cadenceDays, timeZone);
+        const endDate = new Date(nextStart.getTime() - 1000);
+
+        // First-kickoff weeks hold the week start until their games are known;
+        // the lifecycle job won't lock them before then, and
+        // syncFirstKickoffLockDates moves it to the earliest game
+        const lockDate = lockRule === 'Weekly'
+            ? weeklyLockDate(startDate, { lockDay, lockTime, timeZone })
+            : startDate;
+
+        if (!lockDate || lockDate > endDate) {
+            return { error: `Week ${weekNumber} has no ${lockDay} ${lockTime} before it ends` };
+        }
+
+        schedule.push({
+            weekNumber,
+            name: settings.namePattern.replace(/\{week\}/g, String(weekNumber)),
+            startDate,
+            endDate,
+            lockDate,
+            lockToFirstKickoff: lockRule === 'FirstKickoff',
+            competitionType: weekCompetitionType(settings, weekNumber)
+        });
+    }
+
+    return { weeks: schedule };
+}
+
+function withTemplateDefaults(template) {
+    const {
+        firstWeekStart, weeks,
+        startWeekNumber = 1,
+        cadenceDays = 7,
+        lockRule = 'FirstKickoff',
+        lockDay, lockTime,
+        timeZone = 'UTC',
+        competitionType: weekType = 'Standard',
+        playoffWeeks = [],
+        championshipWeeks = [],
+        namePattern = 'Week {week}'
+    } = template;
+
+    return {
+        firstWeekStart, weeks, startWeekNumber, cadenceDays, lockRule, lockDay, lockTime,
+        timeZone, weekType, playoffWeeks, championshipWeeks, namePattern
+    };
+}
+
+// Returns what's wrong with a template (defaults applied), or null
+function seasonTemplateError(settings) {
+    const {
+        firstWeekStart, weeks, startWeekNumber, cadenceDays, lockRule, lockDay, lockTime,
+        timeZone, weekType, playoffWeeks, championshipWeeks
+    } = settings;
+
+    if (!firstWeekStart || isNaN(new Date(firstWeekStart).getTime())) {
+        return 'firstWeekStart must be a valid date';
+    }
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+        return 'weeks must be a whole number from 1 to 52';
+    }
+    if (!Number.isInteger(startWeekNumber) || startWeekNumber < 1) {
+        return 'startWeekNumber must be a positive whole number';
+    }
+    if (!Number.isInteger(cadenceDays) || cadenceDays < 1) {
+        return 'cadenceDays must be a positive whole number';
+    }
+    if (!SEASON_LOCK_RULES.includes(lockRule)) {
+        return `lockRule must be one of: ${SEASON_LOCK_RULES.join(', ')}`;
+    }
+    if (lockRule === 'Weekly') {
+        if (!WEEKDAYS.includes(lockDay)) {
+            return `lockDay must be one of: ${WEEKDAYS.join(', ')}`;
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(lockTime || '')) {
+            return 'lockTime must be HH:mm (24-hour)';
+        }
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        return `Unknown timeZone "${timeZone}"`;
+    }
+    if (!SEASON_COMPETITION_TYPES.includes(weekType)) {
+        return `competitionType must be one of: ${SEASON_COMPETITION_TYPES.join(', ')}`;
+    }
+    if (!isIntegerList(playoffWeeks) || !isIntegerList(championshipWeeks)) {
+        return 'playoffWeeks and championshipWeeks must be lists of week numbers';
+    }
+
+    return null;
+}
+
+function weekCompetitionType({ weekType, playoffWeeks, championshipWeeks }, weekNumber) {
+    if (championshipWeeks.includes(weekNumber)) {
+        return 'Championship';
+    }
+    if (playoffWeeks.includes(weekNumber)) {
+        return 'Playoff';
+    }
+    return weekType;
+}
+
+// Move LockDate to the earliest (non-cancelled) game for first-kickoff
+// competitions that haven't locked yet. Call after games are added or moved.
+async function syncFirstKickoffLockDates(db, competitionIds) {
+    if (competitionIds.length === 0) {
+        return;
+    }
+
+    await db.request()
+        .input('competitionIds', sql.NVarChar(sql.MAX), JSON.stringify(competitionIds))
+        .query(`
+            UPDATE c
+            SET LockDate = k.FirstKickoff, UpdatedAt = GETUTCDATE()
+            FROM Competitions c
+            CROSS APPLY (
+                SELECT MIN(g.GameDate) AS FirstKickoff
+                FROM Games g
+                WHERE g.CompetitionId = c.Id AND g.Status <> 'Cancelled'
+            ) k
+            WHERE c.Id IN (SELECT CAST(value AS UNIQUEIDENTIFIER) FROM OPENJSON(@competitionIds))
+              AND c.LockToFirstKickoff = 1
+              AND c.Status IN ('Upcoming', 'Active')
+              AND k.FirstKickoff IS NOT NULL
+              AND c.LockDate <> k.FirstKickoff
+        `);
+}
+
+module.exports = {
+    SEASON_COMPETITION_TYPES,
+    SEASON_LOCK_RULES,
+    buildSeasonSchedule,
+    syncFirstKickoffLockDates,
+    zonedParts,
+    zonedTimeToUtc
+};
@@ -0,0 +1,69 @@
+// How a completed week a member has no score for counts toward their season
+// total: as 0 points, as the lowest score anyone got that week, or as the
+// league's MissedWeekPenalty taken off
+const MISSED_WEEK_SCORING_POLICIES = ['Zero', 'LowestScore', 'Penalty'];
+
+function roundPoints(points) {
+    return Math.round(points * 100) / 100;
+}
+
+// Apply a league's standings rules to one member's season. Weeks the member
+// missed are scored by missedWeekScoring; with countWeeksAfterJoin, missed
+// weeks that locked before the member joined are left out instead. Then the
+// dropLowestWeeks lowest counted weeks are dropped (missed weeks before played
+// ones on equal points, earlier weeks first), always keeping at least one.
+//
+// weeks: [{ competitionId, weekNumber, lockDate, lowestScore, points }], with
+// points null for a missed week. Returns the season total and every week
+// marked played, substituted, excluded and dropped.
+function resolveSeasonWeeks({ weeks, rules, joinedAt = null }) {
+    const { dropLowestWeeks = 0, missedWeekScoring = 'Zero', missedWeekPenalty = 0, countWeeksAfterJoin = false } = rules;
+
+    const resolved = weeks.map(week => {
+        const played = week.points !== null && week.points !== undefined;
+        const excluded = !played && countWeeksAfterJoin && !!joinedAt && new Date(week.lockDate) < new Date(joinedAt);
+
+        let points = played ? Number(week.points) : 0;
+        if (!played && !excluded) {
+            if (missedWeekScoring === 'LowestScore') {
+                points = Number(week.lowestScore || 0);
+            } else if (missedWeekScoring === 'Penalty') {
+                points = -Number(missedWeekPenalty);
+            }
+        }
+
+        return {
+            competitionId: week.competitionId,
+            weekNumber: week.weekNumber,
+            points: excluded ? null : points,
+            played,
+            substituted: !played && !excluded && missedWeekScoring !== 'Zero',
+            excluded,
+            dropped: false
+        };
+    });
+
+    const counted = resolved.filter(w => !w.excluded);
+    const dropCount = Math.max(Math.min(dropLowestWeeks, counted.length - 1), 0);
+    [...counted]
+        .sort((a, b) => (a.points - b.points) || (a.played - b.played) || (a.weekNumber - b.weekNumber))
+        .slice(0, dropCount)
+        .forEach(w => { w.dropped = true; });
+
+    const kept = counted.filter(w => !w.dropped);
+    const totalPoints = roundPoints(kept.reduce((sum, w) => sum + w.points, 0));
+    // Weeks missed under 'Zero' add nothing and don't pull the average down
+    const weeksScored = kept.filter(w => w.played || w.substituted).length;
+
+    return {
+        totalPoints,
+        weeksCounted: kept.length,
+        averagePointsPerWeek: weeksScored > 0 ? roundPoints(totalPoints / weeksScored) : null,
+        weeks: resolved
+    };
+}
+
+module.exports = {
+    MISSED_WEEK_SCORING_POLICIES,
+    resolveSeasonWeeks
+};
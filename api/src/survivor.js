@@ -0,0 +1,256 @@
+const { sql } = require('./db');
+const { sameId } = require('./auth');
+
+// Competitions of this type are weeks of the league's survivor pool: one
+// Straight pick per member, and no team twice in a season
+const SURVIVOR_COMPETITION_TYPE = 'Survivor';
+
+// Walk one member's survivor weeks in WeekNumber order. A loss is a strike,
+// and so is a completed week without a pick; pushes and cancelled games are
+// survived. The member is eliminated when strikes reach their lives. Each
+// buy-back adds a life from its WeekNumber on, bringing an eliminated member
+// back. Weeks that locked before the member joined don't count.
+//
+// weeks: [{ weekNumber, status, lockDate, pickedTeam, result }]
+function resolveSurvivorStatus({ lives, weeks, buyBackWeeks = [], joinedAt = null }) {
+    const pendingBuyBacks = [...buyBackWeeks].sort((a, b) => a - b);
+    let totalLives = lives;
+    let strikes = 0;
+    let eliminatedWeek = null;
+
+    const applyBuyBack = () => {
+        pendingBuyBacks.shift();
+        totalLives += 1;
+        if (strikes < totalLives) {
+            eliminatedWeek = null;
+        }
+    };
+
+    for (const week of weeks) {
+        while (pendingBuyBacks.length > 0 && pendingBuyBacks[0] <= week.weekNumber) {
+            applyBuyBack();
+        }
+
+        if (eliminatedWeek !== null) {
+            continue;
+        }
+        if (joinedAt && new Date(week.lockDate) < new Date(joinedAt)) {
+            continue;
+        }
+
+        const missed = !week.pickedTeam && week.status === 'Completed';
+        if (week.result === 'Loss' || missed) {
+            strikes += 1;
+            if (strikes >= totalLives) {
+                eliminatedWeek = week.weekNumber;
+            }
+        }
+    }
+
+    // Buy-backs into weeks that haven't been played yet
+    while (pendingBuyBacks.length > 0) {
+        applyBuyBack();
+    }
+
+    return {
+        alive: eliminatedWeek === null,
+        strikes,
+        lives: totalLives,
+        livesRemaining: Math.max(totalLives - strikes, 0),
+        eliminatedWeek
+    };
+}
+
+function idKey(...ids) {
+    return ids.map(id => String(id).toLowerCase()).join('|');
+}
+
+// Survivor status of every active member of a league, alive members first.
+// teamsUsed only lists picks from locked weeks so open picks stay private.
+// Returns null when the league doesn't exist.
+async function getSurvivorStatus(db, leagueId) {
+    const result = await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('competitionType', sql.NVarChar(50), SURVIVOR_COMPETITION_TYPE)
+        .query(`
+            SELECT SurvivorLives, SurvivorBuyBacks FROM Leagues WHERE Id = @leagueId;
+
+            SELECT Id, WeekNumber, Status, LockDate
+            FROM Competitions
+            WHERE LeagueId = @leagueId AND CompetitionType = @competitionType AND Status <> 'Cancelled'
+            ORDER BY WeekNumber ASC;
+
+            SELECT lm.UserId, u.Username, u.FirstName, u.LastName, lm.JoinedAt
+            FROM LeagueMembers lm
+            INNER JOIN Users u ON lm.UserId = u.Id
+            WHERE lm.LeagueId = @leagueId AND lm.IsActive = 1;
+
+            SELECT p.UserId, p.CompetitionId, p.PickedTeam, p.Result
+            FROM Picks p
+            INNER JOIN Competitions c ON p.CompetitionId = c.Id
+            WHERE c.LeagueId = @leagueId AND c.CompetitionType = @competitionType;
+
+            SELECT UserId, WeekNumber FROM SurvivorBuyBacks WHERE LeagueId = @leagueId;
+        `);
+
+    const [leagues, competitions, members, picks, buyBacks] = result.recordsets;
+    if (leagues.length === 0) {
+        return null;
+    }
+    const { SurvivorLives: lives, SurvivorBuyBacks: buyBacksAllowed } = leagues[0];
+
+    const picksByWeek = new Map();
+    for (const pick of picks) {
+        const key = idKey(pick.UserId, pick.CompetitionId);
+        const existing = picksByWeek.get(key);
+        // A stray second pick can only hurt: a loss on either is a strike
+        if (!existing || pick.Result === 'Loss') {
+            picksByWeek.set(key, pick);
+        }
+    }
+
+    const statuses = members.map(member => {
+        const weeks = competitions.map(c => {
+            const pick = picksByWeek.get(idKey(member.UserId, c.Id));
+            return {
+                weekNumber: c.WeekNumber,
+                status: c.Status,
+                lockDate: c.LockDate,
+                locked: c.Status === 'Locked' || c.Status === 'Completed',
+                pickedTeam: pick ? pick.PickedTeam : null,
+                result: pick ? pick.Result : null
+            };
+        });
+        const memberBuyBacks = buyBacks
+            .filter(b => sameId(b.UserId, member.UserId))
+            .map(b => b.WeekNumber);
+
+        return {
+            userId: member.UserId,
+            username: member.Username,
+            firstName: member.FirstName,
+            lastName: member.LastName,
+            ...resolveSurvivorStatus({ lives, weeks, buyBackWeeks: memberBuyBacks, joinedAt: member.JoinedAt }),
+            buyBacksUsed: memberBuyBacks.length,
+            teamsUsed: weeks
+                .filter(w => w.locked && w.pickedTeam && w.result !== 'Void')
+                .map(w => ({ weekNumber: w.weekNumber, team: w.pickedTeam, result: w.result }))
+        };
+    });
+
+    statuses.sort((a, b) =>
+        (b.alive - a.alive) ||
+        ((b.eliminatedWeek || 0) - (a.eliminatedWeek || 0)) ||
+        (a.strikes - b.strikes) ||
+        a.username.localeCompare(b.username));
+
+    return {
+        leagueId,
+        lives,
+        buyBacksAllowed,
+        weeks: competitions.map(c => ({ competitionId: c.Id, weekNumber: c.WeekNumber, status: c.Status })),
+        aliveCount: statuses.filter(s => s.alive).length,
+        members: statuses
+    };
+}
+
+// Survivor rules for picks ({ gameId, pickedTeam, pickType }) going into a
+// survivor competition: a single Straight pick per week, no team the member
+// already used this season, and only while the member is still alive.
+// Returns the error response, or null when the picks are fine (or the
+// competition isn't a survivor week). pickId is the pick being updated, if any.
+async function checkSurvivorPicks(db, competitionId, userId, picks, pickId = null) {
+    const { gameId, pickedTeam, pickType } = picks[0];
+    const result = await db.request()
+        .input('competitionId', sql.UniqueIdentifier, competitionId)
+        .input('userId', sql.UniqueIdentifier, userId)
+        .input('gameId', sql.UniqueIdentifier, gameId)
+        .input('pickId', sql.UniqueIdentifier, pickId)
+        .input('pickedTeam', sql.NVarChar(100), pickedTeam)
+        .input('competitionType', sql.NVarChar(50), SURVIVOR_COMPETITION_TYPE)
+        .query(`
+            SELECT LeagueId, CompetitionType FROM Competitions WHERE Id = @competitionId;
+
+            SELECT TOP 1 Id
+            FROM Picks
+            WHERE CompetitionId = @competitionId AND UserId = @userId
+              AND GameId <> @gameId AND (@pickId IS NULL OR Id <> @pickId);
+
+            SELECT TOP 1 c.WeekNumber
+            FROM Picks p
+            INNER JOIN Competitions c ON p.CompetitionId = c.Id
+            WHERE c.LeagueId = (SELECT LeagueId FROM Competitions WHERE Id = @competitionId)
+              AND c.CompetitionType = @competitionType
+              AND c.Status <> 'Cancelled'
+              AND c.Id <> @competitionId
+              AND p.UserId = @userId
+              AND p.PickedTeam = @pickedTeam
+              AND ISNULL(p.Result, '') <> 'Void'
+            ORDER BY c.WeekNumber ASC;
+        `);
+
+    const [competitions, otherPicks, usedIn] = result.recordsets;
+    if (competitions.length === 0 || competitions[0].CompetitionType !== SURVIVOR_COMPETITION_TYPE) {
+        return null;
+    }
+
+    if (picks.length !== 1) {
+        return { status: 400, jsonBody: { error: 'Survivor weeks take a single pick' } };
+    }
+    if (pickType !== 'Straight') {
+        return { status: 400, jsonBody: { error: 'Survivor picks must be Straight picks' } };
+    }
+    if (otherPicks.length > 0) {
+        return { status: 409, jsonBody: { error: 'Survivor weeks take a single pick; delete your current pick to change games' } };
+    }
+    if (usedIn.length > 0) {
+        return { status: 400, jsonBody: { error: `${pickedTeam} was already used in week ${usedIn[0].WeekNumber}` } };
+    }
+
+    const survivor = await getSurvivorStatus(db, competitions[0].LeagueId);
+    const member = survivor.members.find(m => sameId(m.userId, userId));
+    if (member && !member.alive) {
+        return { status: 403, jsonBody: { error: `You were eliminated from the survivor pool in week ${member.eliminatedWeek}` } };
+    }
+
+    return null;
+}
+
+// Copy survivor strikes and elimination weeks onto the league's season
+// standings. Leagues without survivor weeks are left alone.
+async function updateSurvivorStandings(db, leagueId) {
+    const survivor = await getSurvivorStatus(db, leagueId);
+    if (!survivor || survivor.weeks.length === 0) {
+        return;
+    }
+
+    const rows = survivor.members.map(m => ({
+        userId: m.userId,
+        strikes: m.strikes,
+        eliminatedWeek: m.eliminatedWeek
+    }));
+
+    await db.request()
+        .input('leagueId', sql.UniqueIdentifier, leagueId)
+        .input('rows', sql.NVarChar(sql.MAX), JSON.stringify(rows))
+        .query(`
+            UPDATE ss
+            SET SurvivorStrikes = r.Strikes,
+                EliminatedWeek = r.EliminatedWeek
+            FROM SeasonStandings ss
+            INNER JOIN OPENJSON(@rows) WITH (
+                UserId UNIQUEIDENTIFIER '$.userId',
+                Strikes INT '$.strikes',
+                EliminatedWeek INT '$.eliminatedWeek'
+            ) r ON ss.UserId = r.UserId
+            WHERE ss.LeagueId = @leagueId;
+        `);
+}
+
+module.exports = {
+    SURVIVOR_COMPETITION_TYPE,
+    checkSurvivorPicks,
+    getSurvivorStatus,
+    resolveSurvivorStatus,
+    updateSurvivorStandings
+};
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAutoPicks, chooseAutoPick } = require('../src/autoPick');
+
+// Home favored by the spread, away favored by the moneyline
+const game = {
+    Id: 'g1',
+    HomeTeam: 'Eagles',
+    AwayTeam: 'Cowboys',
+    Status: 'Scheduled',
+    SpreadLine: -3.5,
+    HomeMoneyline: 120,
+    AwayMoneyline: -140
+};
+
+describe('chooseAutoPick', () => {
+    it('picks the side each policy favors', () => {
+        assert.equal(chooseAutoPick(game, 'HomeTeam'), 'Eagles');
+        assert.equal(chooseAutoPick(game, 'SpreadFavorite'), 'Eagles');
+        assert.equal(chooseAutoPick({ ...game, SpreadLine: 2.5 }, 'SpreadFavorite'), 'Cowboys');
+        assert.equal(chooseAutoPick(game, 'MoneylineFavorite'), 'Cowboys');
+        assert.equal(chooseAutoPick(game, 'Random', () => 0.2), 'Eagles');
+        assert.equal(chooseAutoPick(game, 'Random', () => 0.7), 'Cowboys');
+    });
+
+    it('falls back to the home team without a favorite', () => {
+        assert.equal(chooseAutoPick({ ...game, SpreadLine: 0 }, 'SpreadFavorite'), 'Eagles');
+        assert.equal(chooseAutoPick({ ...game, SpreadLine: null }, 'SpreadFavorite'), 'Eagles');
+        assert.equal(chooseAutoPick({ ...game, AwayMoneyline: null }, 'MoneylineFavorite'), 'Eagles');
+        assert.equal(chooseAutoPick({ ...game, HomeMoneyline: null, AwayMoneyline: null }, 'MoneylineFavorite'), 'Eagles');
+        assert.equal(chooseAutoPick({ ...game, HomeMoneyline: -110, AwayMoneyline: -110 }, 'MoneylineFavorite'), 'Eagles');
+    });
+});
+
+describe('buildAutoPicks', () => {
+    const games = [
+        { ...game, Id: 'g1' },
+        { ...game, Id: 'g2', SpreadLine: 6 },
+        { ...game, Id: 'g3', Status: 'Cancelled' },
+        { ...game, Id: 'g4' }
+    ];
+
+    it('picks only the games a member missed, skipping cancelled ones', () => {
+        const picks = buildAutoPicks({
+            games,
+            picks: [{ Id: 'p1', GameId: 'G1', ConfidencePoints: 1 }],
+            policy: 'SpreadFavorite',
+            confidencePool: false
+        });
+
+        assert.deepEqual(picks, [
+            { gameId: 'g2', pickedTeam: 'Cowboys', confidencePoints: 1 },
+            { gameId: 'g4', pickedTeam: 'Eagles', confidencePoints: 1 }
+        ]);
+    });
+
+    it('hands out unused confidence values lowest first in kickoff order', () => {
+        const picks = buildAutoPicks({
+            games,
+            picks: [{ Id: 'p1', GameId: 'g2', ConfidencePoints: 1 }, { Id: 'p3', GameId: 'g3', ConfidencePoints: 3 }],
+            policy: 'HomeTeam',
+            confidencePool: true
+        });
+
+        assert.deepEqual(picks, [
+            { gameId: 'g1', pickedTeam: 'Eagles', confidencePoints: 2 },
+            { gameId: 'g4', pickedTeam: 'Eagles', confidencePoints: 4 }
+        ]);
+    });
+
+    it('picks nothing under the None policy', () => {
+        assert.deepEqual(buildAutoPicks({ games, picks: [], policy: 'None', confidencePool: true }), []);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBracketPicks } = require('../src/bracket');
+
+// Four teams, two rounds: A vs B and C vs D, then the final
+const bracket = { teams: ['A', 'B', 'C', 'D'], rounds: 2, roundPoints: [1, 2] };
+
+describe('validateBracketPicks', () => {
+    it('accepts a full bracket whose winners advance from the earlier round', () => {
+        const picks = [
+            { round: 1, slot: 0, pickedTeam: 'A' },
+            { round: 1, slot: 1, pickedTeam: 'd' },
+            { round: 2, slot: 0, pickedTeam: 'D' }
+        ];
+
+        assert.deepEqual(validateBracketPicks(bracket, picks), []);
+    });
+
+    it('rejects matchups outside the bracket, missing teams and duplicates', () => {
+        const picks = [
+            { round: 3, slot: 0, pickedTeam: 'A' },
+            { round: 1, slot: 2, pickedTeam: 'A' },
+            { round: 1, slot: 0, pickedTeam: '' },
+            { round: 1, slot: 1, pickedTeam: 'C' },
+            { round: 1, slot: 1, pickedTeam: 'D' }
+        ];
+
+        assert.deepEqual(validateBracketPicks(bracket, picks).map(e => [e.index, e.error]), [
+            [0, 'No such matchup in this bracket'],
+            [1, 'No such matchup in this bracket'],
+            [2, 'pickedTeam must be a team name'],
+            [4, 'Duplicate pick for this matchup']
+        ]);
+    });
+
+    it('reports a pickedTeam that is not a team name', () => {
+        const picks = [
+            { round: 1, slot: 0, pickedTeam: 7 },
+            { round: 1, slot: 1, pickedTeam: { name: 'C' } },
+            { round: 2, slot: 0, pickedTeam: '  ' }
+        ];
+
+        assert.deepEqual(validateBracketPicks(bracket, picks).map(e => [e.index, e.error]), [
+            [0, 'pickedTeam must be a team name'],
+            [1, 'pickedTeam must be a team name'],
+            [2, 'pickedTeam must be a team name']
+        ]);
+    });
+
+    it('requires a winner for every matchup', () => {
+        const errors = validateBracketPicks(bracket, [
+            { round: 1, slot: 0, pickedTeam: 'A' },
+            { round: 1, slot: 1, pickedTeam: 'C' }
+        ]);
+
+        assert.deepEqual(errors, [{ round: 2, slot: 0, error: 'A winner is required for every matchup' }]);
+    });
+
+    it('rejects a winner the member did not advance into the matchup', () => {
+        const errors = validateBracketPicks(bracket, [
+            { round: 1, slot: 0, pickedTeam: 'A' },
+            { round: 1, slot: 1, pickedTeam: 'C' },
+            { round: 2, slot: 0, pickedTeam: 'B' }
+        ]);
+
+        assert.deepEqual(errors, [{ index: 2, round: 2, slot: 0, error: 'B is not in this matchup (A vs C)' }]);
+    });
+
+    it('rejects picks on byes', () => {
+        const withBye = { teams: ['A', null, 'C', 'D'], rounds: 2, roundPoints: [1, 2] };
+        const picks = [
+            { round: 1, slot: 0, pickedTeam: 'A' },
+            { round: 1, slot: 1, pickedTeam: 'C' },
+            { round: 2, slot: 0, pickedTeam: 'A' }
+        ];
+
+        assert.deepEqual(validateBracketPicks(withBye, picks), [
+            { index: 0, round: 1, slot: 0, error: 'A has a bye; byes advance automatically' }
+        ]);
+        assert.deepEqual(validateBracketPicks(withBye, picks.slice(1)), []);
+    });
+});
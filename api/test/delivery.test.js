@@ -0,0 +1,14 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { retryDelayMinutes } = require('../src/delivery');
+
+describe('retryDelayMinutes', () => {
+    it('doubles the wait after each failed attempt', () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(retryDelayMinutes), [1, 2, 4, 8, 16]);
+    });
+
+    it('waits at most an hour', () => {
+        assert.equal(retryDelayMinutes(7), 60);
+        assert.equal(retryDelayMinutes(20), 60);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseFeed } = require('../src/feeds/formats');
+const { planFeedResult } = require('../src/feeds/import');
+
+const FIXTURES = path.join(__dirname, '..', 'src', 'feeds', 'fixtures');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+describe('parseFeed', () => {
+    it('parses the JSON schedule fixture', () => {
+        const { games, errors } = parseFeed('json', fixture('nfl-2025-week1-schedule.json'));
+
+        assert.deepEqual(errors, []);
+        assert.equal(games.length, 4);
+        assert.deepEqual(games[0], {
+            externalGameId: 'NFL-2025-W01-DAL-PHI',
+            week: 1,
+            homeTeam: 'Philadelphia Eagles',
+            awayTeam: 'Dallas Cowboys',
+            gameDate: new Date('2025-09-05T00:20:00Z'),
+            venue: 'Lincoln Financial Field',
+            status: 'Scheduled',
+            homeTeamScore: null,
+            awayTeamScore: null,
+            spreadLine: -8.5,
+            overUnderLine: 47.5,
+            homeMoneyline: -395,
+            awayMoneyline: 310
+        });
+    });
+
+    it('parses the CSV results fixture, leaving blank scores null', () => {
+        const { games, errors } = parseFeed('csv', fixture('nfl-2025-week1-results.csv'));
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(games.map(g => [g.externalGameId, g.status, g.homeTeamScore, g.awayTeamScore]), [
+            ['NFL-2025-W01-DAL-PHI', 'Final', 24, 20],
+            ['NFL-2025-W01-KC-LAC', 'Final', 27, 21],
+            ['NFL-2025-W01-PIT-NYJ', 'Final', 32, 34],
+            ['NFL-2025-W01-MIN-CHI', 'Scheduled', null, null]
+        ]);
+        assert.equal(games[3].spreadLine, 1.5);
+    });
+
+    it('keeps commas, newlines and escaped quotes inside quoted CSV fields', () => {
+        const csv = [
+            'externalGameId,homeTeam,awayTeam,gameDate,venue',
+            'G1,"Washington, D.C.",Dallas Cowboys,2025-09-07T17:00:00Z,"The ""Big""\nStadium"'
+        ].join('\r\n');
+
+        const { games, errors } = parseFeed('csv', csv);
+
+        assert.deepEqual(errors, []);
+        assert.equal(games[0].homeTeam, 'Washington, D.C.');
+        assert.equal(games[0].venue, 'The "Big"\nStadium');
+    });
+
+    it('rejects a CSV feed without an externalGameId column', () => {
+        assert.throws(
+            () => parseFeed('csv', 'homeTeam,awayTeam,gameDate\nA,B,2025-09-07T17:00:00Z'),
+            /header must include externalGameId/
+        );
+    });
+
+    it('reports rows missing other required columns', () => {
+        const { games, errors } = parseFeed('csv', 'externalGameId,homeTeam,gameDate\nG1,A,2025-09-07T17:00:00Z');
+
+        assert.deepEqual(games, []);
+        assert.deepEqual(errors, [{ row: 1, externalGameId: 'G1', error: 'awayTeam is required' }]);
+    });
+});
+
+describe('planFeedResult', () => {
+    const final = { Id: 'g1', Status: 'Final', HomeTeamScore: 24, AwayTeamScore: 20 };
+
+    it('refuses to move a game backwards', () => {
+        const result = planFeedResult(final, { status: 'Scheduled', homeTeamScore: null, awayTeamScore: null });
+
+        assert.deepEqual(result, { error: 'Game cannot move from Final to Scheduled' });
+    });
+
+    it('lets a scheduled game go straight to Final', () => {
+        const scheduled = { Id: 'g1', Status: 'Scheduled', HomeTeamScore: null, AwayTeamScore: null };
+
+        const result = planFeedResult(scheduled, { status: 'Final', homeTeamScore: 24, awayTeamScore: 20 });
+
+        assert.deepEqual(result.change, { id: 'g1', previousStatus: 'Scheduled', status: 'Final', homeTeamScore: 24, awayTeamScore: 20 });
+        assert.deepEqual(result.changes, ['status', 'homeTeamScore', 'awayTeamScore']);
+    });
+
+    it('has nothing to do when the feed matches the game', () => {
+        assert.deepEqual(planFeedResult(final, { status: 'Final', homeTeamScore: 24, awayTeamScore: 20 }), { change: null, changes: [] });
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitPot } = require('../src/ledger');
+
+describe('splitPot', () => {
+    it('pays each position its percent of the pot', () => {
+        const ranked = [{ UserId: 'a', Rank: 1 }, { UserId: 'b', Rank: 2 }, { UserId: 'c', Rank: 3 }];
+
+        assert.deepEqual(splitPot(100, [60, 30, 10], ranked), [
+            { userId: 'a', rank: 1, amount: 60 },
+            { userId: 'b', rank: 2, amount: 30 },
+            { userId: 'c', rank: 3, amount: 10 }
+        ]);
+    });
+
+    it('shares the splits of every position a tie covers', () => {
+        const ranked = [{ UserId: 'a', Rank: 1 }, { UserId: 'b', Rank: 1 }, { UserId: 'c', Rank: 3 }];
+
+        assert.deepEqual(splitPot(100, [60, 30, 10], ranked), [
+            { userId: 'a', rank: 1, amount: 45 },
+            { userId: 'b', rank: 1, amount: 45 },
+            { userId: 'c', rank: 3, amount: 10 }
+        ]);
+    });
+
+    it('gives odd cents to the earliest rows of a tie', () => {
+        const ranked = [{ UserId: 'a', Rank: 1 }, { UserId: 'b', Rank: 1 }, { UserId: 'c', Rank: 1 }];
+
+        assert.deepEqual(splitPot(10, [100], ranked).map(p => p.amount), [3.34, 3.33, 3.33]);
+    });
+
+    it('leaves out positions past the splits', () => {
+        const ranked = [{ UserId: 'a', Rank: 1 }, { UserId: 'b', Rank: 2 }];
+
+        assert.deepEqual(splitPot(50, [100], ranked), [{ userId: 'a', rank: 1, amount: 50 }]);
+    });
+
+    it('pays nothing from an empty pot', () => {
+        assert.deepEqual(splitPot(0, [60, 40], [{ UserId: 'a', Rank: 1 }, { UserId: 'b', Rank: 2 }]), []);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planGameResults, reachableStatuses } = require('../src/liveScores');
+
+const games = [
+    { Id: 'g1', ExternalGameId: 'EXT-1', Status: 'Scheduled', HomeTeamScore: null, AwayTeamScore: null },
+    { Id: 'g2', ExternalGameId: 'EXT-2', Status: 'InProgress', HomeTeamScore: 7, AwayTeamScore: 3 },
+    { Id: 'g3', ExternalGameId: 'EXT-3', Status: 'Final', HomeTeamScore: 21, AwayTeamScore: 17 }
+];
+
+describe('reachableStatuses', () => {
+    it('follows transitions forward from a status', () => {
+        assert.deepEqual(reachableStatuses('Scheduled'), ['Scheduled', 'InProgress', 'Postponed', 'Cancelled', 'Final']);
+        assert.deepEqual(reachableStatuses('Postponed'), ['Postponed', 'Scheduled', 'Cancelled', 'InProgress', 'Final']);
+        assert.deepEqual(reachableStatuses('Final'), ['Final']);
+    });
+
+    it('does not pass back through Postponed to Scheduled', () => {
+        assert.deepEqual(reachableStatuses('InProgress'), ['InProgress', 'Final', 'Postponed', 'Cancelled']);
+    });
+});
+
+describe('planGameResults', () => {
+    it('plans a forward move and leaves matching results unchanged', () => {
+        const plan = planGameResults(games, [
+            { gameId: 'g2', status: 'Final', homeTeamScore: 14, awayTeamScore: 3 },
+            { externalGameId: 'EXT-3', status: 'Final', homeTeamScore: 21, awayTeamScore: 17 }
+        ]);
+
+        assert.deepEqual(plan, {
+            changes: [{ id: 'g2', previousStatus: 'InProgress', status: 'Final', homeTeamScore: 14, awayTeamScore: 3 }],
+            unchanged: ['g3'],
+            errors: []
+        });
+    });
+
+    it('refuses to move a game backwards, even with skipSteps', () => {
+        const results = [{ gameId: 'g3', status: 'InProgress' }];
+
+        assert.deepEqual(planGameResults(games, results).errors, [
+            { index: 0, game: 'g3', error: 'Game cannot move from Final to InProgress' }
+        ]);
+        assert.deepEqual(planGameResults(games, results, { skipSteps: true }).errors, [
+            { index: 0, game: 'g3', error: 'Game cannot move from Final to InProgress' }
+        ]);
+    });
+
+    it('only skips InProgress with skipSteps', () => {
+        const results = [{ gameId: 'g1', status: 'Final', homeTeamScore: 10, awayTeamScore: 6 }];
+
+        assert.deepEqual(planGameResults(games, results).errors, [
+            { index: 0, game: 'g1', error: 'Game cannot move from Scheduled to Final (allowed: InProgress, Postponed, Cancelled)' }
+        ]);
+
+        const plan = planGameResults(games, results, { skipSteps: true });
+        assert.deepEqual(plan.errors, []);
+        assert.deepEqual(plan.changes, [{ id: 'g1', previousStatus: 'Scheduled', status: 'Final', homeTeamScore: 10, awayTeamScore: 6 }]);
+    });
+
+    it('requires both scores once a game has kicked off', () => {
+        const plan = planGameResults(games, [{ gameId: 'g1', status: 'InProgress', homeTeamScore: 3 }]);
+
+        assert.deepEqual(plan.errors, [{ index: 0, game: 'g1', error: 'Both scores are required for a game that is InProgress' }]);
+
+        const final = planGameResults(games, [{ gameId: 'g1', status: 'Final' }], { skipSteps: true });
+        assert.deepEqual(final.errors, [{ index: 0, game: 'g1', error: 'Both scores are required for a game that is Final' }]);
+    });
+
+    it('rejects negative and fractional scores', () => {
+        const plan = planGameResults(games, [
+            { gameId: 'g2', homeTeamScore: -1 },
+            { gameId: 'g3', awayTeamScore: 17.5 }
+        ]);
+
+        assert.deepEqual(plan.changes, []);
+        assert.deepEqual(plan.errors.map(e => [e.game, e.error]), [
+            ['g2', 'Scores must be non-negative whole numbers'],
+            ['g3', 'Scores must be non-negative whole numbers']
+        ]);
+    });
+
+    it('reports a game listed twice and games that are not in the competition', () => {
+        const plan = planGameResults(games, [
+            { gameId: 'g2', homeTeamScore: 10 },
+            { externalGameId: 'EXT-2', homeTeamScore: 14 },
+            { gameId: 'missing' },
+            {}
+        ]);
+
+        assert.deepEqual(plan.changes, [{ id: 'g2', previousStatus: 'InProgress', status: 'InProgress', homeTeamScore: 10, awayTeamScore: 3 }]);
+        assert.deepEqual(plan.errors, [
+            { index: 1, game: 'EXT-2', error: 'Game appears more than once' },
+            { index: 2, game: 'missing', error: 'Game not found in this competition' },
+            { index: 3, game: null, error: 'Game not found in this competition' }
+        ]);
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkConfidenceSheet, validatePickBatch } = require('../src/pickRules');
+
+const games = [
+    { Id: 'g1', HomeTeam: 'Eagles', AwayTeam: 'Cowboys' },
+    { Id: 'g2', HomeTeam: 'Chargers', AwayTeam: 'Chiefs' },
+    { Id: 'g3', HomeTeam: 'Jets', AwayTeam: 'Steelers' }
+];
+const gameIds = games.map(g => g.Id);
+
+function pick(gameId, confidencePoints, id = `p-${gameId}`) {
+    return { Id: id, GameId: gameId, ConfidencePoints: confidencePoints };
+}
+
+describe('checkConfidenceSheet', () => {
+    it('accepts a sheet that uses each value once', () => {
+        const sheet = checkConfidenceSheet(gameIds, [pick('g1', 3), pick('G2', 1), pick('g3', 2)]);
+
+        assert.equal(sheet.complete, true);
+        assert.deepEqual(sheet.missingGames, []);
+        assert.deepEqual(sheet.unusedConfidencePoints, []);
+    });
+
+    it('reports duplicate values, missing games and unused values', () => {
+        const sheet = checkConfidenceSheet(gameIds, [pick('g1', 2), pick('g2', 2)]);
+
+        assert.equal(sheet.complete, false);
+        assert.deepEqual(sheet.duplicates, [{ confidencePoints: 2, gameIds: ['g1', 'g2'] }]);
+        assert.deepEqual(sheet.missingGames, ['g3']);
+        assert.deepEqual(sheet.unusedConfidencePoints, [1, 3]);
+    });
+
+    it('reports values outside 1..N', () => {
+        const sheet = checkConfidenceSheet(gameIds, [pick('g1', 0), pick('g2', 4), pick('g3', 1.5)]);
+
+        assert.deepEqual(sheet.outOfRange, [
+            { pickId: 'p-g1', gameId: 'g1', confidencePoints: 0 },
+            { pickId: 'p-g2', gameId: 'g2', confidencePoints: 4 },
+            { pickId: 'p-g3', gameId: 'g3', confidencePoints: 1.5 }
+        ]);
+        assert.deepEqual(sheet.unusedConfidencePoints, [1, 2, 3]);
+    });
+});
+
+describe('validatePickBatch', () => {
+    const existingPicks = [pick('g1', 3), pick('g2', 2), pick('g3', 1)];
+
+    it('checks each pick against the competition games', () => {
+        const errors = validatePickBatch({
+            games,
+            existingPicks: [],
+            picks: [
+                { gameId: 'g1', pickedTeam: 'Eagles', confidencePoints: 1 },
+                { gameId: 'g1', pickedTeam: 'Cowboys', confidencePoints: 2 },
+                { gameId: 'g2', pickedTeam: 'Bears', confidencePoints: 3 },
+                { gameId: 'g9', pickedTeam: 'Eagles', confidencePoints: 1 },
+                { gameId: 'g3' }
+            ],
+            confidencePool: false
+        });
+
+        assert.deepEqual(errors, [
+            { index: 1, gameId: 'g1', error: 'Only one pick per game is allowed' },
+            { index: 2, gameId: 'g2', error: 'pickedTeam must be "Chargers" or "Chiefs"' },
+            { index: 3, gameId: 'g9', error: 'Game is not part of this competition' },
+            { index: 4, gameId: 'g3', error: 'gameId and pickedTeam are required' }
+        ]);
+    });
+
+    it('keeps confidence points in 1..N outside a confidence pool', () => {
+        const errors = validatePickBatch({
+            games,
+            existingPicks: [],
+            picks: [{ gameId: 'g1', pickedTeam: 'Eagles', confidencePoints: 4 }],
+            confidencePool: false
+        });
+
+        assert.deepEqual(errors, [{ gameId: 'g1', error: 'Confidence points must be between 1 and 3' }]);
+    });
+
+    it('rejects duplicate and out-of-range points within a confidence batch', () => {
+        const errors = validatePickBatch({
+            games,
+            existingPicks: [],
+            picks: [
+                { gameId: 'g1', pickedTeam: 'Eagles', confidencePoints: 2 },
+                { gameId: 'g2', pickedTeam: 'Chiefs', confidencePoints: 2 },
+                { gameId: 'g3', pickedTeam: 'Jets', confidencePoints: 0 }
+            ],
+            confidencePool: true
+        });
+
+        assert.deepEqual(errors, [
+            { gameId: 'g3', error: 'Confidence points must be between 1 and 3' },
+            { gameId: 'g1', error: 'Confidence points 2 are used more than once' },
+            { gameId: 'g2', error: 'Confidence points 2 are used more than once' }
+        ]);
+    });
+
+    it('merges a partial batch over the existing picks', () => {
+        const clash = validatePickBatch({
+            games,
+            existingPicks,
+            picks: [{ gameId: 'g1', pickedTeam: 'Eagles', confidencePoints: 1 }],
+            confidencePool: true
+        });
+        assert.deepEqual(clash, [
+            { gameId: 'g3', error: 'Confidence points 1 are used more than once' },
+            { gameId: 'g1', error: 'Confidence points 1 are used more than once' }
+        ]);
+
+        const swap = validatePickBatch({
+            games,
+            existingPicks,
+            picks: [
+                { gameId: 'G1', pickedTeam: 'eagles', confidencePoints: 1 },
+                { gameId: 'g3', pickedTeam: 'Jets', confidencePoints: 3 }
+            ],
+            confidencePool: true
+        });
+        assert.deepEqual(swap, []);
+    });
+
+    it('allows a partial sheet while the rest is still unpicked', () => {
+        const errors = validatePickBatch({
+            games,
+            existingPicks: [],
+            picks: [{ gameId: 'g2', pickedTeam: 'Chiefs', confidencePoints: 3 }],
+            confidencePool: true
+        });
+
+        assert.deepEqual(errors, []);
+    });
+});
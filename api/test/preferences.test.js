@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quietHoursEnd } = require('../src/preferences');
+
+describe('quietHoursEnd', () => {
+    const overnight = { QuietHoursStart: '22:00', QuietHoursEnd: '07:00', TimeZone: 'America/New_York' };
+
+    it('is null without quiet hours', () => {
+        assert.equal(quietHoursEnd(new Date('2025-09-07T03:00:00Z'), null), null);
+        assert.equal(quietHoursEnd(new Date('2025-09-07T03:00:00Z'), { QuietHoursStart: null, QuietHoursEnd: null }), null);
+    });
+
+    it('is null outside quiet hours', () => {
+        // 12:00 in New York
+        assert.equal(quietHoursEnd(new Date('2025-09-07T16:00:00Z'), overnight), null);
+    });
+
+    it('ends the next local morning when quiet hours started this evening', () => {
+        // 23:30 on the 6th in New York
+        const end = quietHoursEnd(new Date('2025-09-07T03:30:00Z'), overnight);
+
+        assert.equal(end.toISOString(), '2025-09-07T11:00:00.000Z');
+    });
+
+    it('ends this local morning after midnight', () => {
+        // 02:00 on the 7th in New York
+        const end = quietHoursEnd(new Date('2025-09-07T06:00:00Z'), overnight);
+
+        assert.equal(end.toISOString(), '2025-09-07T11:00:00.000Z');
+    });
+
+    it('handles quiet hours within one day', () => {
+        const daytime = { QuietHoursStart: '09:00', QuietHoursEnd: '17:30' };
+
+        assert.equal(quietHoursEnd(new Date('2025-09-07T12:00:00Z'), daytime).toISOString(), '2025-09-07T17:30:00.000Z');
+        assert.equal(quietHoursEnd(new Date('2025-09-07T17:30:00Z'), daytime), null);
+    });
+
+    it('uses the local clock across a daylight saving change', () => {
+        // 23:00 on Nov 1 in New York (EDT); quiet hours end at 07:00 EST
+        const end = quietHoursEnd(new Date('2025-11-02T03:00:00Z'), overnight);
+
+        assert.equal(end.toISOString(), '2025-11-02T12:00:00.000Z');
+    });
+});
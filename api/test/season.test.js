@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSeasonSchedule } = require('../src/season');
+
+describe('buildSeasonSchedule', () => {
+    it('lays out weekly competitions that lock at their first kickoff by default', () => {
+        const { weeks, error } = buildSeasonSchedule({ firstWeekStart: '2025-09-02T00:00:00Z', weeks: 2 });
+
+        assert.equal(error, undefined);
+        assert.deepEqual(weeks.map(w => [w.weekNumber, w.name, w.competitionType, w.lockToFirstKickoff]), [
+            [1, 'Week 1', 'Standard', true],
+            [2, 'Week 2', 'Standard', true]
+        ]);
+        assert.equal(weeks[0].startDate.toISOString(), '2025-09-02T00:00:00.000Z');
+        assert.equal(weeks[0].endDate.toISOString(), '2025-09-08T23:59:59.000Z');
+        assert.equal(weeks[0].lockDate.toISOString(), '2025-09-02T00:00:00.000Z');
+        assert.equal(weeks[1].startDate.toISOString(), '2025-09-09T00:00:00.000Z');
+    });
+
+    it('locks weekly at a local day and time', () => {
+        const { weeks } = buildSeasonSchedule({
+            firstWeekStart: '2025-09-02T04:00:00Z',
+            weeks: 1,
+            lockRule: 'Weekly',
+            lockDay: 'Sunday',
+            lockTime: '13:00',
+            timeZone: 'America/New_York'
+        });
+
+        assert.equal(weeks[0].lockDate.toISOString(), '2025-09-07T17:00:00.000Z');
+        assert.equal(weeks[0].lockToFirstKickoff, false);
+    });
+
+    it('keeps local week starts across a daylight saving change', () => {
+        const { weeks } = buildSeasonSchedule({
+            firstWeekStart: '2025-10-28T04:00:00Z',
+            weeks: 2,
+            timeZone: 'America/New_York'
+        });
+
+        assert.equal(weeks[1].startDate.toISOString(), '2025-11-04T05:00:00.000Z');
+    });
+
+    it('names weeks from the pattern and types playoff and championship weeks', () => {
+        const { weeks } = buildSeasonSchedule({
+            firstWeekStart: '2025-09-02T00:00:00Z',
+            weeks: 3,
+            startWeekNumber: 17,
+            competitionType: 'Survivor',
+            playoffWeeks: [18],
+            championshipWeeks: [19],
+            namePattern: 'Round {week}'
+        });
+
+        assert.deepEqual(weeks.map(w => [w.name, w.competitionType]), [
+            ['Round 17', 'Survivor'],
+            ['Round 18', 'Playoff'],
+            ['Round 19', 'Championship']
+        ]);
+    });
+
+    it('rejects invalid templates', () => {
+        const base = { firstWeekStart: '2025-09-02T00:00:00Z', weeks: 2 };
+
+        assert.deepEqual(buildSeasonSchedule({ ...base, firstWeekStart: 'soon' }), { error: 'firstWeekStart must be a valid date' });
+        assert.deepEqual(buildSeasonSchedule({ ...base, weeks: 53 }), { error: 'weeks must be a whole number from 1 to 52' });
+        assert.deepEqual(buildSeasonSchedule({ ...base, lockRule: 'Weekly', lockDay: 'Funday' }), {
+            error: 'lockDay must be one of: Sunday, Monday, Tuesday, Wednesday, Thursday, Friday, Saturday'
+        });
+        assert.deepEqual(buildSeasonSchedule({ ...base, lockRule: 'Weekly', lockDay: 'Sunday', lockTime: '25:00' }), {
+            error: 'lockTime must be HH:mm (24-hour)'
+        });
+        assert.deepEqual(buildSeasonSchedule({ ...base, timeZone: 'Mars/Olympus' }), { error: 'Unknown timeZone "Mars/Olympus"' });
+        assert.deepEqual(buildSeasonSchedule({ ...base, competitionType: 'Bracket' }), {
+            error: 'competitionType must be one of: Standard, Confidence, Survivor'
+        });
+        assert.deepEqual(buildSeasonSchedule({ ...base, playoffWeeks: [1.5] }), {
+            error: 'playoffWeeks and championshipWeeks must be lists of week numbers'
+        });
+    });
+
+    it('rejects a weekly lock that falls after the week ends', () => {
+        const result = buildSeasonSchedule({
+            firstWeekStart: '2025-09-02T00:00:00Z',
+            weeks: 1,
+            cadenceDays: 3,
+            lockRule: 'Weekly',
+            lockDay: 'Sunday',
+            lockTime: '13:00'
+        });
+
+        assert.deepEqual(result, { error: 'Week 1 has no Sunday 13:00 before it ends' });
+    });
+});
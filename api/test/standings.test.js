@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSeasonWeeks } = require('../src/standings');
+
+function week(weekNumber, points, { lowestScore = 0, lockDate = `2025-09-0${weekNumber}T17:00:00Z` } = {}) {
+    return { competitionId: `C${weekNumber}`, weekNumber, lockDate, lowestScore, points };
+}
+
+describe('resolveSeasonWeeks', () => {
+    it('adds up played weeks and counts missed ones as 0 by default', () => {
+        const season = resolveSeasonWeeks({ weeks: [week(1, 10), week(2, null), week(3, 6)], rules: {} });
+
+        assert.equal(season.totalPoints, 16);
+        assert.equal(season.weeksCounted, 3);
+        assert.equal(season.averagePointsPerWeek, 8);
+        assert.deepEqual(season.weeks.map(w => w.points), [10, 0, 6]);
+    });
+
+    it('scores missed weeks as the lowest score with LowestScore', () => {
+        const season = resolveSeasonWeeks({
+            weeks: [week(1, 10), week(2, null, { lowestScore: 4 })],
+            rules: { missedWeekScoring: 'LowestScore' }
+        });
+
+        assert.equal(season.totalPoints, 14);
+        assert.equal(season.weeks[1].substituted, true);
+        assert.equal(season.averagePointsPerWeek, 7);
+    });
+
+    it('takes the penalty off for missed weeks with Penalty', () => {
+        const season = resolveSeasonWeeks({
+            weeks: [week(1, 10), week(2, null)],
+            rules: { missedWeekScoring: 'Penalty', missedWeekPenalty: 3 }
+        });
+
+        assert.equal(season.totalPoints, 7);
+        assert.equal(season.weeks[1].points, -3);
+    });
+
+    it('drops the lowest weeks, missed before played on equal points', () => {
+        const season = resolveSeasonWeeks({
+            weeks: [week(1, 0), week(2, null), week(3, 8), week(4, 5)],
+            rules: { dropLowestWeeks: 1 }
+        });
+
+        assert.deepEqual(season.weeks.map(w => w.dropped), [false, true, false, false]);
+        assert.equal(season.totalPoints, 13);
+        assert.equal(season.weeksCounted, 3);
+    });
+
+    it('always keeps at least one week', () => {
+        const season = resolveSeasonWeeks({ weeks: [week(1, 4), week(2, 9)], rules: { dropLowestWeeks: 5 } });
+
+        assert.deepEqual(season.weeks.map(w => w.dropped), [true, false]);
+        assert.equal(season.totalPoints, 9);
+    });
+
+    it('leaves out weeks that locked before the member joined with countWeeksAfterJoin', () => {
+        const season = resolveSeasonWeeks({
+            weeks: [week(1, null), week(2, null), week(3, 7)],
+            rules: { missedWeekScoring: 'Penalty', missedWeekPenalty: 2, countWeeksAfterJoin: true },
+            joinedAt: '2025-09-02T12:00:00Z'
+        });
+
+        assert.deepEqual(season.weeks.map(w => w.excluded), [true, false, false]);
+        assert.equal(season.weeks[0].points, null);
+        assert.equal(season.totalPoints, 5);
+        assert.equal(season.weeksCounted, 2);
+    });
+
+    it('has no average when no week was scored', () => {
+        const season = resolveSeasonWeeks({ weeks: [week(1, null)], rules: {} });
+
+        assert.equal(season.totalPoints, 0);
+        assert.equal(season.averagePointsPerWeek, null);
+    });
+});
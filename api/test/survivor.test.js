@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSurvivorStatus } = require('../src/survivor');
+
+function week(weekNumber, result, { pickedTeam = 'Team', status = 'Completed' } = {}) {
+    return { weekNumber, status, lockDate: `2025-09-0${weekNumber}T17:00:00Z`, pickedTeam, result };
+}
+
+describe('resolveSurvivorStatus', () => {
+    it('eliminates a member on the loss that uses up their lives', () => {
+        const status = resolveSurvivorStatus({ lives: 1, weeks: [week(1, 'Win'), week(2, 'Loss'), week(3, 'Win')] });
+
+        assert.deepEqual(status, { alive: false, strikes: 1, lives: 1, livesRemaining: 0, eliminatedWeek: 2 });
+    });
+
+    it('survives pushes and counts a completed week without a pick as a strike', () => {
+        const status = resolveSurvivorStatus({
+            lives: 2,
+            weeks: [week(1, 'Push'), week(2, null, { pickedTeam: null }), week(3, 'Win')]
+        });
+
+        assert.deepEqual(status, { alive: true, strikes: 1, lives: 2, livesRemaining: 1, eliminatedWeek: null });
+    });
+
+    it('does not count a missing pick in a week still in play', () => {
+        const status = resolveSurvivorStatus({ lives: 1, weeks: [week(1, null, { pickedTeam: null, status: 'Locked' })] });
+
+        assert.equal(status.alive, true);
+        assert.equal(status.strikes, 0);
+    });
+
+    it('brings an eliminated member back from the buy-back week on', () => {
+        const status = resolveSurvivorStatus({
+            lives: 1,
+            weeks: [week(1, 'Loss'), week(2, 'Loss'), week(3, 'Win'), week(4, 'Loss')],
+            buyBackWeeks: [3]
+        });
+
+        assert.deepEqual(status, { alive: false, strikes: 2, lives: 2, livesRemaining: 0, eliminatedWeek: 4 });
+    });
+
+    it('applies buy-backs into weeks not played yet', () => {
+        const status = resolveSurvivorStatus({ lives: 1, weeks: [week(1, 'Loss')], buyBackWeeks: [5] });
+
+        assert.deepEqual(status, { alive: true, strikes: 1, lives: 2, livesRemaining: 1, eliminatedWeek: null });
+    });
+
+    it('skips weeks that locked before the member joined', () => {
+        const status = resolveSurvivorStatus({
+            lives: 1,
+            weeks: [week(1, null, { pickedTeam: null }), week(2, 'Win')],
+            joinedAt: '2025-09-01T18:00:00Z'
+        });
+
+        assert.equal(status.alive, true);
+        assert.equal(status.strikes, 0);
+    });
+});
@@ -7,6 +7,13 @@
 -- Drop existing tables if they exist (for clean re-runs)
 -- Comment out this section if you want to preserve data
 
+DROP TABLE IF EXISTS PushSubscriptions;
+DROP TABLE IF EXISTS NotificationPreferences;
+DROP TABLE IF EXISTS NotificationDeliveries;
+DROP TABLE IF EXISTS LedgerEntries;
+DROP TABLE IF EXISTS BracketPicks;
+DROP TABLE IF EXISTS SurvivorBuyBacks;
+DROP TABLE IF EXISTS TiebreakerPredictions;
 DROP TABLE IF EXISTS AuditLog;
 DROP TABLE IF EXISTS Notifications;
 DROP TABLE IF EXISTS SeasonStandings;
@@ -35,10 +42,16 @@ CREATE TABLE Users (
     CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     LastLoginAt DATETIME2,
+    AuthProvider NVARCHAR(50),
+    AuthProviderUserId NVARCHAR(255),
+    EmailDigest BIT NOT NULL DEFAULT 0,
     INDEX IX_Users_Email (Email),
     INDEX IX_Users_Username (Username)
 );
 
+CREATE UNIQUE INDEX UX_Users_AuthProvider ON Users (AuthProvider, AuthProviderUserId)
+    WHERE AuthProviderUserId IS NOT NULL;
+
 -- 2. Leagues table (depends on Users)
 CREATE TABLE Leagues (
     Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
@@ -51,10 +64,34 @@ CREATE TABLE Leagues (
     MaxMembers INT NOT NULL DEFAULT 20,
     IsActive BIT NOT NULL DEFAULT 1,
     IsPublic BIT NOT NULL DEFAULT 0,
+    PushScoring NVARCHAR(10) NOT NULL DEFAULT 'Zero',
+    ConfidencePool BIT NOT NULL DEFAULT 0,
+    PickVisibility NVARCHAR(20) NOT NULL DEFAULT 'HiddenUntilLock',
+    SurvivorLives INT NOT NULL DEFAULT 1,
+    SurvivorBuyBacks INT NOT NULL DEFAULT 0,
+    EntryFee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    WeeklyPot DECIMAL(10,2) NOT NULL DEFAULT 0,
+    WeeklyPayoutSplits NVARCHAR(200),
+    SeasonPayoutSplits NVARCHAR(200),
+    DropLowestWeeks INT NOT NULL DEFAULT 0,
+    MissedWeekScoring NVARCHAR(20) NOT NULL DEFAULT 'Zero',
+    MissedWeekPenalty DECIMAL(10,2) NOT NULL DEFAULT 0,
+    CountWeeksAfterJoin BIT NOT NULL DEFAULT 0,
+    AutoPickPolicy NVARCHAR(20) NOT NULL DEFAULT 'None',
     CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     CONSTRAINT FK_Leagues_AdminUser FOREIGN KEY (AdminUserId) 
         REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT CK_Leagues_PushScoring CHECK (PushScoring IN ('Full', 'Half', 'Zero')),
+    CONSTRAINT CK_Leagues_PickVisibility CHECK (PickVisibility IN ('HiddenUntilLock', 'AlwaysVisible')),
+    CONSTRAINT CK_Leagues_SurvivorLives CHECK (SurvivorLives >= 1),
+    CONSTRAINT CK_Leagues_SurvivorBuyBacks CHECK (SurvivorBuyBacks >= 0),
+    CONSTRAINT CK_Leagues_EntryFee CHECK (EntryFee >= 0),
+    CONSTRAINT CK_Leagues_WeeklyPot CHECK (WeeklyPot >= 0),
+    CONSTRAINT CK_Leagues_DropLowestWeeks CHECK (DropLowestWeeks >= 0),
+    CONSTRAINT CK_Leagues_MissedWeekScoring CHECK (MissedWeekScoring IN ('Zero', 'LowestScore', 'Penalty')),
+    CONSTRAINT CK_Leagues_MissedWeekPenalty CHECK (MissedWeekPenalty >= 0),
+    CONSTRAINT CK_Leagues_AutoPickPolicy CHECK (AutoPickPolicy IN ('None', 'HomeTeam', 'SpreadFavorite', 'MoneylineFavorite', 'Random')),
     INDEX IX_Leagues_InviteCode (InviteCode),
     INDEX IX_Leagues_AdminUserId (AdminUserId),
     INDEX IX_Leagues_SeasonYear (SeasonYear)
@@ -66,6 +103,7 @@ CREATE TABLE LeagueMembers (
     LeagueId UNIQUEIDENTIFIER NOT NULL,
     UserId UNIQUEIDENTIFIER NOT NULL,
     DisplayName NVARCHAR(100),
+    Role NVARCHAR(20) NOT NULL DEFAULT 'Member',
     JoinedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     IsActive BIT NOT NULL DEFAULT 1,
     CONSTRAINT FK_LeagueMembers_League FOREIGN KEY (LeagueId) 
@@ -73,6 +111,7 @@ CREATE TABLE LeagueMembers (
     CONSTRAINT FK_LeagueMembers_User FOREIGN KEY (UserId) 
         REFERENCES Users(Id) ON DELETE CASCADE,
     CONSTRAINT UQ_LeagueMembers_LeagueUser UNIQUE (LeagueId, UserId),
+    CONSTRAINT CK_LeagueMembers_Role CHECK (Role IN ('Owner', 'CoCommissioner', 'Member')),
     INDEX IX_LeagueMembers_LeagueId (LeagueId),
     INDEX IX_LeagueMembers_UserId (UserId)
 );
@@ -90,12 +129,23 @@ CREATE TABLE Competitions (
     Status NVARCHAR(20) NOT NULL DEFAULT 'Upcoming',
     CompetitionType NVARCHAR(50) NOT NULL DEFAULT 'Standard',
     ScoringCalculated BIT NOT NULL DEFAULT 0,
+    LockProcessed BIT NOT NULL DEFAULT 0,
+    CompletionProcessed BIT NOT NULL DEFAULT 0,
+    LockMode NVARCHAR(20) NOT NULL DEFAULT 'Competition',
+    GameLockOffsetMinutes INT NOT NULL DEFAULT 0,
+    LockToFirstKickoff BIT NOT NULL DEFAULT 0,
+    TiebreakerGameId UNIQUEIDENTIFIER,
+    TiebreakerQuestion NVARCHAR(200),
+    BracketTeams NVARCHAR(MAX),
+    BracketRoundPoints NVARCHAR(200),
     CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     CONSTRAINT FK_Competitions_League FOREIGN KEY (LeagueId) 
         REFERENCES Leagues(Id) ON DELETE CASCADE,
     CONSTRAINT UQ_Competitions_LeagueWeek UNIQUE (LeagueId, WeekNumber),
     CONSTRAINT CK_Competitions_Status CHECK (Status IN ('Upcoming', 'Active', 'Locked', 'Completed', 'Cancelled')),
+    CONSTRAINT CK_Competitions_LockMode CHECK (LockMode IN ('Competition', 'Game')),
+    CONSTRAINT CK_Competitions_GameLockOffset CHECK (GameLockOffsetMinutes >= 0),
     INDEX IX_Competitions_LeagueId (LeagueId),
     INDEX IX_Competitions_Status (Status),
     INDEX IX_Competitions_WeekNumber (WeekNumber)
@@ -141,6 +191,7 @@ CREATE TABLE Picks (
     AdditionalData NVARCHAR(MAX),
     IsCorrect BIT,
     PointsEarned DECIMAL(10,2),
+    Result NVARCHAR(10),
     SubmittedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     CONSTRAINT FK_Picks_Competition FOREIGN KEY (CompetitionId) 
@@ -150,7 +201,8 @@ CREATE TABLE Picks (
     CONSTRAINT FK_Picks_User FOREIGN KEY (UserId) 
         REFERENCES Users(Id) ON DELETE NO ACTION,
     CONSTRAINT UQ_Picks_GameUser UNIQUE (GameId, UserId),
-    CONSTRAINT CK_Picks_ConfidencePoints CHECK (ConfidencePoints BETWEEN 1 AND 20),
+    CONSTRAINT CK_Picks_ConfidencePoints CHECK (ConfidencePoints >= 1),
+    CONSTRAINT CK_Picks_Result CHECK (Result IN ('Win', 'Loss', 'Push', 'Void')),
     INDEX IX_Picks_CompetitionId (CompetitionId),
     INDEX IX_Picks_GameId (GameId),
     INDEX IX_Picks_UserId (UserId)
@@ -163,7 +215,10 @@ CREATE TABLE Scores (
     UserId UNIQUEIDENTIFIER NOT NULL,
     TotalPoints DECIMAL(10,2) NOT NULL DEFAULT 0,
     CorrectPicks INT NOT NULL DEFAULT 0,
+    PushPicks INT NOT NULL DEFAULT 0,
     TotalPicks INT NOT NULL DEFAULT 0,
+    TiebreakerPrediction INT,
+    TiebreakerDifference INT,
     Rank INT,
     CalculatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     CONSTRAINT FK_Scores_Competition FOREIGN KEY (CompetitionId) 
@@ -186,6 +241,10 @@ CREATE TABLE SeasonStandings (
     TotalCorrectPicks INT NOT NULL DEFAULT 0,
     TotalPicks INT NOT NULL DEFAULT 0,
     AveragePointsPerWeek DECIMAL(10,2),
+    TotalTiebreakerDifference INT,
+    SurvivorStrikes INT,
+    EliminatedWeek INT,
+    WeekAdjustments NVARCHAR(MAX),
     Rank INT,
     UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     CONSTRAINT FK_SeasonStandings_League FOREIGN KEY (LeagueId) 
@@ -198,7 +257,7 @@ CREATE TABLE SeasonStandings (
     INDEX IX_SeasonStandings_TotalPoints (TotalPoints DESC)
 );
 
--- 9. Notifications table (depends on Users)
+-- 9. Notifications table (depends on Users, Leagues)
 CREATE TABLE Notifications (
     Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
     UserId UNIQUEIDENTIFIER NOT NULL,
@@ -207,14 +266,19 @@ CREATE TABLE Notifications (
     Message NVARCHAR(1000) NOT NULL,
     RelatedEntityId UNIQUEIDENTIFIER,
     RelatedEntityType NVARCHAR(50),
+    LeagueId UNIQUEIDENTIFIER NULL,
     IsRead BIT NOT NULL DEFAULT 0,
+    InApp BIT NOT NULL DEFAULT 1,
     CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
     ReadAt DATETIME2,
     CONSTRAINT FK_Notifications_User FOREIGN KEY (UserId) 
         REFERENCES Users(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_Notifications_League FOREIGN KEY (LeagueId)
+        REFERENCES Leagues(Id) ON DELETE SET NULL,
     INDEX IX_Notifications_UserId (UserId),
     INDEX IX_Notifications_IsRead (IsRead),
-    INDEX IX_Notifications_CreatedAt (CreatedAt DESC)
+    INDEX IX_Notifications_CreatedAt (CreatedAt DESC),
+    INDEX IX_Notifications_UserCreated (UserId, CreatedAt DESC, Id DESC)
 );
 
 -- 10. AuditLog table (depends on Users)
@@ -237,6 +301,135 @@ CREATE TABLE AuditLog (
     INDEX IX_AuditLog_CreatedAt (CreatedAt DESC)
 );
 
+-- 11. TiebreakerPredictions table (depends on Competitions and Users)
+CREATE TABLE TiebreakerPredictions (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    CompetitionId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    PredictedValue INT NOT NULL,
+    SubmittedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_TiebreakerPredictions_Competition FOREIGN KEY (CompetitionId) 
+        REFERENCES Competitions(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_TiebreakerPredictions_User FOREIGN KEY (UserId) 
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_TiebreakerPredictions_CompetitionUser UNIQUE (CompetitionId, UserId),
+    CONSTRAINT CK_TiebreakerPredictions_Value CHECK (PredictedValue >= 0),
+    INDEX IX_TiebreakerPredictions_CompetitionId (CompetitionId)
+);
+
+-- 12. SurvivorBuyBacks table (depends on Leagues and Users)
+CREATE TABLE SurvivorBuyBacks (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    LeagueId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    WeekNumber INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_SurvivorBuyBacks_League FOREIGN KEY (LeagueId) 
+        REFERENCES Leagues(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_SurvivorBuyBacks_User FOREIGN KEY (UserId) 
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    INDEX IX_SurvivorBuyBacks_LeagueUser (LeagueId, UserId)
+);
+
+-- 13. BracketPicks table (depends on Competitions and Users)
+CREATE TABLE BracketPicks (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    CompetitionId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    RoundNumber INT NOT NULL,
+    Slot INT NOT NULL,
+    PickedTeam NVARCHAR(100) NOT NULL,
+    Result NVARCHAR(10),
+    PointsEarned DECIMAL(10,2),
+    SubmittedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_BracketPicks_Competition FOREIGN KEY (CompetitionId) 
+        REFERENCES Competitions(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_BracketPicks_User FOREIGN KEY (UserId) 
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_BracketPicks_CompetitionUserMatchup UNIQUE (CompetitionId, UserId, RoundNumber, Slot),
+    CONSTRAINT CK_BracketPicks_Matchup CHECK (RoundNumber >= 1 AND Slot >= 0),
+    CONSTRAINT CK_BracketPicks_Result CHECK (Result IN ('Win', 'Loss')),
+    INDEX IX_BracketPicks_CompetitionId (CompetitionId),
+    INDEX IX_BracketPicks_UserId (UserId)
+);
+
+-- 14. LedgerEntries table (depends on Leagues and Users)
+CREATE TABLE LedgerEntries (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    LeagueId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    CompetitionId UNIQUEIDENTIFIER,
+    EntryType NVARCHAR(20) NOT NULL,
+    Amount DECIMAL(10,2) NOT NULL,
+    Rank INT,
+    Description NVARCHAR(200),
+    CreatedByUserId UNIQUEIDENTIFIER,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_LedgerEntries_League FOREIGN KEY (LeagueId) 
+        REFERENCES Leagues(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_LedgerEntries_User FOREIGN KEY (UserId) 
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT CK_LedgerEntries_EntryType CHECK (EntryType IN ('EntryFee', 'Payment', 'Payout', 'Disbursement', 'Adjustment')),
+    INDEX IX_LedgerEntries_LeagueUser (LeagueId, UserId),
+    INDEX IX_LedgerEntries_CompetitionId (CompetitionId)
+);
+
+-- 15. NotificationDeliveries table (depends on Notifications)
+CREATE TABLE NotificationDeliveries (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    NotificationId UNIQUEIDENTIFIER NOT NULL,
+    Channel NVARCHAR(20) NOT NULL,
+    Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+    Attempts INT NOT NULL DEFAULT 0,
+    NextAttemptAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    SentAt DATETIME2,
+    LastError NVARCHAR(1000),
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_NotificationDeliveries_Notification FOREIGN KEY (NotificationId) 
+        REFERENCES Notifications(Id) ON DELETE CASCADE,
+    CONSTRAINT UQ_NotificationDeliveries_NotificationChannel UNIQUE (NotificationId, Channel),
+    CONSTRAINT CK_NotificationDeliveries_Channel CHECK (Channel IN ('Email', 'Push')),
+    CONSTRAINT CK_NotificationDeliveries_Status CHECK (Status IN ('Pending', 'Digest', 'Sent', 'Skipped', 'Failed')),
+    INDEX IX_NotificationDeliveries_StatusNextAttempt (Status, NextAttemptAt)
+);
+
+-- 16. NotificationPreferences table (depends on Users and Leagues)
+CREATE TABLE NotificationPreferences (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    LeagueId UNIQUEIDENTIFIER,
+    TypeSettings NVARCHAR(MAX),
+    QuietHoursStart NVARCHAR(5),
+    QuietHoursEnd NVARCHAR(5),
+    TimeZone NVARCHAR(64),
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_NotificationPreferences_User FOREIGN KEY (UserId) 
+        REFERENCES Users(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_NotificationPreferences_League FOREIGN KEY (LeagueId) 
+        REFERENCES Leagues(Id) ON DELETE CASCADE,
+    CONSTRAINT UQ_NotificationPreferences_UserLeague UNIQUE (UserId, LeagueId),
+    CONSTRAINT CK_NotificationPreferences_QuietHours CHECK ((QuietHoursStart IS NULL AND QuietHoursEnd IS NULL) OR (QuietHoursStart IS NOT NULL AND QuietHoursEnd IS NOT NULL))
+);
+
+-- 17. PushSubscriptions table (depends on Users)
+CREATE TABLE PushSubscriptions (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    Endpoint NVARCHAR(800) NOT NULL,
+    P256dh NVARCHAR(200) NOT NULL,
+    Auth NVARCHAR(100) NOT NULL,
+    UserAgent NVARCHAR(300),
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_PushSubscriptions_User FOREIGN KEY (UserId) 
+        REFERENCES Users(Id) ON DELETE CASCADE,
+    CONSTRAINT UQ_PushSubscriptions_Endpoint UNIQUE (Endpoint),
+    INDEX IX_PushSubscriptions_UserId (UserId)
+);
+
 -- ================================================================
 -- VIEWS
 -- ================================================================
@@ -254,7 +447,7 @@ SELECT
     s.CorrectPicks,
     s.TotalPicks,
     s.Rank,
-    CAST(s.CorrectPicks AS FLOAT) / NULLIF(s.TotalPicks, 0) * 100 AS WinPercentage,
+    CAST(s.CorrectPicks AS FLOAT) / NULLIF(s.TotalPicks - s.PushPicks, 0) * 100 AS WinPercentage,
     s.CalculatedAt
 FROM Scores s
 INNER JOIN Users u ON s.UserId = u.Id
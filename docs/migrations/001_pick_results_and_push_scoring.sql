@@ -0,0 +1,38 @@
+-- ================================================================
+-- Migration 001 - Pick results and push scoring
+-- Adds explicit Win/Loss/Push/Void outcomes to Picks, a push count
+-- to Scores, and the per-league push scoring policy.
+-- ================================================================
+
+ALTER TABLE Leagues ADD PushScoring NVARCHAR(10) NOT NULL
+    CONSTRAINT DF_Leagues_PushScoring DEFAULT 'Zero';
+ALTER TABLE Leagues ADD CONSTRAINT CK_Leagues_PushScoring
+    CHECK (PushScoring IN ('Full', 'Half', 'Zero'));
+
+ALTER TABLE Picks ADD Result NVARCHAR(10);
+ALTER TABLE Picks ADD CONSTRAINT CK_Picks_Result
+    CHECK (Result IN ('Win', 'Loss', 'Push', 'Void'));
+
+ALTER TABLE Scores ADD PushPicks INT NOT NULL
+    CONSTRAINT DF_Scores_PushPicks DEFAULT 0;
+GO
+
+ALTER VIEW vw_CompetitionLeaderboard AS
+SELECT 
+    s.CompetitionId,
+    s.UserId,
+    u.Username,
+    u.FirstName,
+    u.LastName,
+    s.TotalPoints,
+    s.CorrectPicks,
+    s.TotalPicks,
+    s.Rank,
+    CAST(s.CorrectPicks AS FLOAT) / NULLIF(s.TotalPicks - s.PushPicks, 0) * 100 AS WinPercentage,
+    s.CalculatedAt
+FROM Scores s
+INNER JOIN Users u ON s.UserId = u.Id
+WHERE u.IsActive = 1;
+GO
+
+PRINT 'Migration 001 complete - re-run competition scoring to populate Picks.Result';
@@ -0,0 +1,14 @@
+-- ================================================================
+-- Migration 002 - Link users to Static Web Apps logins
+-- Existing users are linked on first sign-in by matching Email.
+-- ================================================================
+
+ALTER TABLE Users ADD AuthProvider NVARCHAR(50);
+ALTER TABLE Users ADD AuthProviderUserId NVARCHAR(255);
+GO
+
+CREATE UNIQUE INDEX UX_Users_AuthProvider ON Users (AuthProvider, AuthProviderUserId)
+    WHERE AuthProviderUserId IS NOT NULL;
+GO
+
+PRINT 'Migration 002 complete';
@@ -0,0 +1,19 @@
+-- ================================================================
+-- Migration 003 - League member roles
+-- Adds Owner / CoCommissioner / Member roles to league memberships
+-- and marks each league admin's membership as Owner.
+-- ================================================================
+
+ALTER TABLE LeagueMembers ADD Role NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_LeagueMembers_Role DEFAULT 'Member';
+ALTER TABLE LeagueMembers ADD CONSTRAINT CK_LeagueMembers_Role
+    CHECK (Role IN ('Owner', 'CoCommissioner', 'Member'));
+GO
+
+UPDATE lm
+SET Role = 'Owner'
+FROM LeagueMembers lm
+INNER JOIN Leagues l ON lm.LeagueId = l.Id AND lm.UserId = l.AdminUserId;
+GO
+
+PRINT 'Migration 003 complete';
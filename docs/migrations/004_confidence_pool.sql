@@ -0,0 +1,11 @@
+-- ================================================================
+-- Migration 004 - Confidence pool leagues
+-- Leagues with ConfidencePool = 1 require each member to use every
+-- confidence value 1..N exactly once per competition.
+-- ================================================================
+
+ALTER TABLE Leagues ADD ConfidencePool BIT NOT NULL
+    CONSTRAINT DF_Leagues_ConfidencePool DEFAULT 0;
+GO
+
+PRINT 'Migration 004 complete';
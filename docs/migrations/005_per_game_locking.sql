@@ -0,0 +1,18 @@
+-- ================================================================
+-- Migration 005 - Per-game pick locking
+-- Competitions in 'Game' lock mode lock each game's picks at its
+-- GameDate (less GameLockOffsetMinutes) instead of the shared LockDate.
+-- ================================================================
+
+ALTER TABLE Competitions ADD LockMode NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_Competitions_LockMode DEFAULT 'Competition';
+ALTER TABLE Competitions ADD CONSTRAINT CK_Competitions_LockMode
+    CHECK (LockMode IN ('Competition', 'Game'));
+
+ALTER TABLE Competitions ADD GameLockOffsetMinutes INT NOT NULL
+    CONSTRAINT DF_Competitions_GameLockOffsetMinutes DEFAULT 0;
+ALTER TABLE Competitions ADD CONSTRAINT CK_Competitions_GameLockOffset
+    CHECK (GameLockOffsetMinutes >= 0);
+GO
+
+PRINT 'Migration 005 complete';
@@ -0,0 +1,13 @@
+-- ================================================================
+-- Migration 006 - Pick visibility
+-- Leagues choose whether members can see each other's picks before
+-- the games lock ('HiddenUntilLock') or at any time ('AlwaysVisible').
+-- ================================================================
+
+ALTER TABLE Leagues ADD PickVisibility NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_Leagues_PickVisibility DEFAULT 'HiddenUntilLock';
+ALTER TABLE Leagues ADD CONSTRAINT CK_Leagues_PickVisibility
+    CHECK (PickVisibility IN ('HiddenUntilLock', 'AlwaysVisible'));
+GO
+
+PRINT 'Migration 006 complete';
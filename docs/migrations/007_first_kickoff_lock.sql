@@ -0,0 +1,11 @@
+-- ================================================================
+-- Migration 007 - First-kickoff lock dates
+-- Competitions generated with the 'FirstKickoff' lock rule keep
+-- LockDate in step with their earliest game.
+-- ================================================================
+
+ALTER TABLE Competitions ADD LockToFirstKickoff BIT NOT NULL
+    CONSTRAINT DF_Competitions_LockToFirstKickoff DEFAULT 0;
+GO
+
+PRINT 'Migration 007 complete';
@@ -0,0 +1,37 @@
+-- ================================================================
+-- Migration 008 - Tiebreaker predictions
+-- Each competition has a tiebreaker question answered with the
+-- combined score of one game (TiebreakerGameId, or the last game
+-- when NULL). Members submit a prediction, and ranks are split by
+-- closest without going over, then absolute difference.
+-- ================================================================
+
+ALTER TABLE Competitions ADD TiebreakerGameId UNIQUEIDENTIFIER NULL;
+ALTER TABLE Competitions ADD TiebreakerQuestion NVARCHAR(200) NULL;
+GO
+
+ALTER TABLE Scores ADD TiebreakerPrediction INT NULL;
+ALTER TABLE Scores ADD TiebreakerDifference INT NULL;
+GO
+
+ALTER TABLE SeasonStandings ADD TotalTiebreakerDifference INT NULL;
+GO
+
+CREATE TABLE TiebreakerPredictions (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    CompetitionId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    PredictedValue INT NOT NULL,
+    SubmittedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_TiebreakerPredictions_Competition FOREIGN KEY (CompetitionId)
+        REFERENCES Competitions(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_TiebreakerPredictions_User FOREIGN KEY (UserId)
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_TiebreakerPredictions_CompetitionUser UNIQUE (CompetitionId, UserId),
+    CONSTRAINT CK_TiebreakerPredictions_Value CHECK (PredictedValue >= 0),
+    INDEX IX_TiebreakerPredictions_CompetitionId (CompetitionId)
+);
+GO
+
+PRINT 'Migration 008 complete';
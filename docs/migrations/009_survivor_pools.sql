@@ -0,0 +1,38 @@
+-- ================================================================
+-- Migration 009 - Survivor pools
+-- Competitions typed 'Survivor' take one team per member per week,
+-- never the same team twice in a season. Members are eliminated
+-- once their strikes reach SurvivorLives, and commissioners can buy
+-- eliminated members back in up to SurvivorBuyBacks times.
+-- ================================================================
+
+ALTER TABLE Leagues ADD SurvivorLives INT NOT NULL
+    CONSTRAINT DF_Leagues_SurvivorLives DEFAULT 1;
+ALTER TABLE Leagues ADD SurvivorBuyBacks INT NOT NULL
+    CONSTRAINT DF_Leagues_SurvivorBuyBacks DEFAULT 0;
+GO
+
+ALTER TABLE Leagues ADD
+    CONSTRAINT CK_Leagues_SurvivorLives CHECK (SurvivorLives >= 1),
+    CONSTRAINT CK_Leagues_SurvivorBuyBacks CHECK (SurvivorBuyBacks >= 0);
+GO
+
+ALTER TABLE SeasonStandings ADD SurvivorStrikes INT NULL;
+ALTER TABLE SeasonStandings ADD EliminatedWeek INT NULL;
+GO
+
+CREATE TABLE SurvivorBuyBacks (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    LeagueId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    WeekNumber INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_SurvivorBuyBacks_League FOREIGN KEY (LeagueId)
+        REFERENCES Leagues(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_SurvivorBuyBacks_User FOREIGN KEY (UserId)
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    INDEX IX_SurvivorBuyBacks_LeagueUser (LeagueId, UserId)
+);
+GO
+
+PRINT 'Migration 009 complete';
@@ -0,0 +1,34 @@
+-- ================================================================
+-- Migration 010 - Bracket competitions
+-- Competitions typed 'Bracket' hold a playoff bracket (BracketTeams)
+-- and per-round points (BracketRoundPoints). Members predict every
+-- matchup up front in BracketPicks, graded as the real games finish.
+-- ================================================================
+
+ALTER TABLE Competitions ADD BracketTeams NVARCHAR(MAX) NULL;
+ALTER TABLE Competitions ADD BracketRoundPoints NVARCHAR(200) NULL;
+GO
+
+CREATE TABLE BracketPicks (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    CompetitionId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    RoundNumber INT NOT NULL,
+    Slot INT NOT NULL,
+    PickedTeam NVARCHAR(100) NOT NULL,
+    Result NVARCHAR(10),
+    PointsEarned DECIMAL(10,2),
+    SubmittedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_BracketPicks_Competition FOREIGN KEY (CompetitionId)
+        REFERENCES Competitions(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_BracketPicks_User FOREIGN KEY (UserId)
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT UQ_BracketPicks_CompetitionUserMatchup UNIQUE (CompetitionId, UserId, RoundNumber, Slot),
+    CONSTRAINT CK_BracketPicks_Matchup CHECK (RoundNumber >= 1 AND Slot >= 0),
+    CONSTRAINT CK_BracketPicks_Result CHECK (Result IN ('Win', 'Loss')),
+    INDEX IX_BracketPicks_CompetitionId (CompetitionId),
+    INDEX IX_BracketPicks_UserId (UserId)
+);
+GO
+
+PRINT 'Migration 010 complete';
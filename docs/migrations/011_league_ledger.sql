@@ -0,0 +1,43 @@
+-- ================================================================
+-- Migration 011 - League ledger
+-- Leagues can charge an entry fee and pay prizes each week and at
+-- the end of the season, split by finishing position. Fees,
+-- payments and payouts are recorded per member in LedgerEntries;
+-- no money moves through the app.
+-- ================================================================
+
+ALTER TABLE Leagues ADD EntryFee DECIMAL(10,2) NOT NULL
+    CONSTRAINT DF_Leagues_EntryFee DEFAULT 0;
+ALTER TABLE Leagues ADD WeeklyPot DECIMAL(10,2) NOT NULL
+    CONSTRAINT DF_Leagues_WeeklyPot DEFAULT 0;
+ALTER TABLE Leagues ADD WeeklyPayoutSplits NVARCHAR(200) NULL;
+ALTER TABLE Leagues ADD SeasonPayoutSplits NVARCHAR(200) NULL;
+GO
+
+ALTER TABLE Leagues ADD
+    CONSTRAINT CK_Leagues_EntryFee CHECK (EntryFee >= 0),
+    CONSTRAINT CK_Leagues_WeeklyPot CHECK (WeeklyPot >= 0);
+GO
+
+CREATE TABLE LedgerEntries (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    LeagueId UNIQUEIDENTIFIER NOT NULL,
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    CompetitionId UNIQUEIDENTIFIER NULL,
+    EntryType NVARCHAR(20) NOT NULL,
+    Amount DECIMAL(10,2) NOT NULL,
+    Rank INT NULL,
+    Description NVARCHAR(200) NULL,
+    CreatedByUserId UNIQUEIDENTIFIER NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_LedgerEntries_League FOREIGN KEY (LeagueId)
+        REFERENCES Leagues(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_LedgerEntries_User FOREIGN KEY (UserId)
+        REFERENCES Users(Id) ON DELETE NO ACTION,
+    CONSTRAINT CK_LedgerEntries_EntryType CHECK (EntryType IN ('EntryFee', 'Payment', 'Payout', 'Disbursement', 'Adjustment')),
+    INDEX IX_LedgerEntries_LeagueUser (LeagueId, UserId),
+    INDEX IX_LedgerEntries_CompetitionId (CompetitionId)
+);
+GO
+
+PRINT 'Migration 011 complete';
@@ -0,0 +1,28 @@
+-- ================================================================
+-- Migration 012 - Season standings rules
+-- Leagues can drop each member's lowest weeks from their season
+-- total, score missed weeks as zero, the week's lowest score or a
+-- fixed penalty, and leave out weeks before a member joined.
+-- SeasonStandings records which weeks each rule changed.
+-- ================================================================
+
+ALTER TABLE Leagues ADD DropLowestWeeks INT NOT NULL
+    CONSTRAINT DF_Leagues_DropLowestWeeks DEFAULT 0;
+ALTER TABLE Leagues ADD MissedWeekScoring NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_Leagues_MissedWeekScoring DEFAULT 'Zero';
+ALTER TABLE Leagues ADD MissedWeekPenalty DECIMAL(10,2) NOT NULL
+    CONSTRAINT DF_Leagues_MissedWeekPenalty DEFAULT 0;
+ALTER TABLE Leagues ADD CountWeeksAfterJoin BIT NOT NULL
+    CONSTRAINT DF_Leagues_CountWeeksAfterJoin DEFAULT 0;
+GO
+
+ALTER TABLE Leagues ADD
+    CONSTRAINT CK_Leagues_DropLowestWeeks CHECK (DropLowestWeeks >= 0),
+    CONSTRAINT CK_Leagues_MissedWeekScoring CHECK (MissedWeekScoring IN ('Zero', 'LowestScore', 'Penalty')),
+    CONSTRAINT CK_Leagues_MissedWeekPenalty CHECK (MissedWeekPenalty >= 0);
+GO
+
+ALTER TABLE SeasonStandings ADD WeekAdjustments NVARCHAR(MAX) NULL;
+GO
+
+PRINT 'Migration 012 complete';
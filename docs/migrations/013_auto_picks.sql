@@ -0,0 +1,16 @@
+-- ================================================================
+-- Migration 013 - Auto-picks
+-- When a competition locks, members who missed games get a pick
+-- made for them by the league's AutoPickPolicy. Those picks are
+-- flagged with {"autoPick": true} in Picks.AdditionalData.
+-- ================================================================
+
+ALTER TABLE Leagues ADD AutoPickPolicy NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_Leagues_AutoPickPolicy DEFAULT 'None';
+GO
+
+ALTER TABLE Leagues ADD
+    CONSTRAINT CK_Leagues_AutoPickPolicy CHECK (AutoPickPolicy IN ('None', 'HomeTeam', 'SpreadFavorite', 'MoneylineFavorite', 'Random'));
+GO
+
+PRINT 'Migration 013 complete';
@@ -0,0 +1,32 @@
+-- ================================================================
+-- Migration 014 - Email delivery
+-- Notifications are emailed through the configured transport.
+-- NotificationDeliveries records each email's status, attempts and
+-- retry time; users can have theirs held for a daily digest.
+-- ================================================================
+
+ALTER TABLE Users ADD EmailDigest BIT NOT NULL
+    CONSTRAINT DF_Users_EmailDigest DEFAULT 0;
+GO
+
+CREATE TABLE NotificationDeliveries (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    NotificationId UNIQUEIDENTIFIER NOT NULL,
+    Channel NVARCHAR(20) NOT NULL,
+    Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+    Attempts INT NOT NULL DEFAULT 0,
+    NextAttemptAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    SentAt DATETIME2 NULL,
+    LastError NVARCHAR(1000) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_NotificationDeliveries_Notification FOREIGN KEY (NotificationId)
+        REFERENCES Notifications(Id) ON DELETE CASCADE,
+    CONSTRAINT UQ_NotificationDeliveries_NotificationChannel UNIQUE (NotificationId, Channel),
+    CONSTRAINT CK_NotificationDeliveries_Channel CHECK (Channel IN ('Email')),
+    CONSTRAINT CK_NotificationDeliveries_Status CHECK (Status IN ('Pending', 'Digest', 'Sent', 'Skipped', 'Failed')),
+    INDEX IX_NotificationDeliveries_StatusNextAttempt (Status, NextAttemptAt)
+);
+GO
+
+PRINT 'Migration 014 complete';
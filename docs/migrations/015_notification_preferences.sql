@@ -0,0 +1,32 @@
+-- ================================================================
+-- Migration 015 - Notification preferences
+-- Users choose which notification types reach them in the app, by
+-- email and by push, overall or per league, and set quiet hours.
+-- Notifications turned off in the app are kept with InApp = 0 for
+-- the other channels.
+-- ================================================================
+
+ALTER TABLE Notifications ADD InApp BIT NOT NULL
+    CONSTRAINT DF_Notifications_InApp DEFAULT 1;
+GO
+
+CREATE TABLE NotificationPreferences (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    LeagueId UNIQUEIDENTIFIER NULL,
+    TypeSettings NVARCHAR(MAX) NULL,
+    QuietHoursStart NVARCHAR(5) NULL,
+    QuietHoursEnd NVARCHAR(5) NULL,
+    TimeZone NVARCHAR(64) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_NotificationPreferences_User FOREIGN KEY (UserId)
+        REFERENCES Users(Id) ON DELETE CASCADE,
+    CONSTRAINT FK_NotificationPreferences_League FOREIGN KEY (LeagueId)
+        REFERENCES Leagues(Id) ON DELETE CASCADE,
+    CONSTRAINT UQ_NotificationPreferences_UserLeague UNIQUE (UserId, LeagueId),
+    CONSTRAINT CK_NotificationPreferences_QuietHours CHECK ((QuietHoursStart IS NULL AND QuietHoursEnd IS NULL) OR (QuietHoursStart IS NOT NULL AND QuietHoursEnd IS NOT NULL))
+);
+GO
+
+PRINT 'Migration 015 complete';
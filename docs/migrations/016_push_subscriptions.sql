@@ -0,0 +1,31 @@
+-- ================================================================
+-- Migration 016 - Web Push
+-- Browsers register push subscriptions per user, and notifications
+-- are pushed to all of them through NotificationDeliveries with the
+-- new 'Push' channel.
+-- ================================================================
+
+ALTER TABLE NotificationDeliveries DROP CONSTRAINT CK_NotificationDeliveries_Channel;
+GO
+
+ALTER TABLE NotificationDeliveries ADD
+    CONSTRAINT CK_NotificationDeliveries_Channel CHECK (Channel IN ('Email', 'Push'));
+GO
+
+CREATE TABLE PushSubscriptions (
+    Id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+    UserId UNIQUEIDENTIFIER NOT NULL,
+    Endpoint NVARCHAR(800) NOT NULL,
+    P256dh NVARCHAR(200) NOT NULL,
+    Auth NVARCHAR(100) NOT NULL,
+    UserAgent NVARCHAR(300) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+    CONSTRAINT FK_PushSubscriptions_User FOREIGN KEY (UserId)
+        REFERENCES Users(Id) ON DELETE CASCADE,
+    CONSTRAINT UQ_PushSubscriptions_Endpoint UNIQUE (Endpoint),
+    INDEX IX_PushSubscriptions_UserId (UserId)
+);
+GO
+
+PRINT 'Migration 016 complete';
@@ -0,0 +1,26 @@
+-- ================================================================
+-- Migration 017 - Notifications inbox
+-- Notifications record the league they're about, so the inbox can
+-- be filtered by league, and are indexed for paging a user's inbox
+-- newest first.
+-- ================================================================
+
+ALTER TABLE Notifications ADD
+    LeagueId UNIQUEIDENTIFIER NULL,
+    CONSTRAINT FK_Notifications_League FOREIGN KEY (LeagueId)
+        REFERENCES Leagues(Id) ON DELETE SET NULL;
+GO
+
+-- Existing notifications take the league they link to, or the league of
+-- the competition they link to
+UPDATE n
+SET LeagueId = COALESCE(l.Id, c.LeagueId)
+FROM Notifications n
+LEFT JOIN Leagues l ON n.RelatedEntityType = 'League' AND n.RelatedEntityId = l.Id
+LEFT JOIN Competitions c ON n.RelatedEntityType = 'Competition' AND n.RelatedEntityId = c.Id;
+GO
+
+CREATE INDEX IX_Notifications_UserCreated ON Notifications (UserId, CreatedAt DESC, Id DESC);
+GO
+
+PRINT 'Migration 017 complete';
@@ -0,0 +1,15 @@
+-- ================================================================
+-- Migration 018 - Confidence range
+-- Confidence values run 1..N for a competition of N games, which the
+-- API checks. The fixed 1..20 range kept weeks of more than 20 games
+-- from being confidence pools.
+-- ================================================================
+
+ALTER TABLE Picks DROP CONSTRAINT CK_Picks_ConfidencePoints;
+GO
+
+ALTER TABLE Picks ADD
+    CONSTRAINT CK_Picks_ConfidencePoints CHECK (ConfidencePoints >= 1);
+GO
+
+PRINT 'Migration 018 complete';
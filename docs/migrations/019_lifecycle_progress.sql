@@ -0,0 +1,19 @@
+-- ================================================================
+-- Migration 019 - Lifecycle progress
+-- The lifecycle job records each competition's lock and completion
+-- steps as they go through, so a step that fails is retried on the
+-- next run instead of being lost with the status transition.
+-- ================================================================
+
+ALTER TABLE Competitions ADD
+    LockProcessed BIT NOT NULL CONSTRAINT DF_Competitions_LockProcessed DEFAULT 0,
+    CompletionProcessed BIT NOT NULL CONSTRAINT DF_Competitions_CompletionProcessed DEFAULT 0;
+GO
+
+-- Competitions the job already handled aren't redone
+UPDATE Competitions
+SET LockProcessed = CASE WHEN Status IN ('Locked', 'Completed', 'Cancelled') THEN 1 ELSE 0 END,
+    CompletionProcessed = CASE WHEN Status = 'Completed' AND ScoringCalculated = 1 THEN 1 ELSE 0 END;
+GO
+
+PRINT 'Migration 019 complete';
@@ -30,6 +30,80 @@ export enum PickType {
   Moneyline = 'Moneyline',
 }
 
+export enum PickResult {
+  Win = 'Win',
+  Loss = 'Loss',
+  Push = 'Push',
+  Void = 'Void',
+}
+
+export enum PushScoring {
+  Full = 'Full',
+  Half = 'Half',
+  Zero = 'Zero',
+}
+
+export enum PickVisibility {
+  HiddenUntilLock = 'HiddenUntilLock',
+  AlwaysVisible = 'AlwaysVisible',
+}
+
+export enum LockMode {
+  Competition = 'Competition',
+  Game = 'Game',
+}
+
+export enum LeagueRole {
+  Owner = 'Owner',
+  CoCommissioner = 'CoCommissioner',
+  Member = 'Member',
+}
+
+export enum MissedWeekScoring {
+  Zero = 'Zero',
+  LowestScore = 'LowestScore',
+  Penalty = 'Penalty',
+}
+
+export enum AutoPickPolicy {
+  None = 'None',
+  HomeTeam = 'HomeTeam',
+  SpreadFavorite = 'SpreadFavorite',
+  MoneylineFavorite = 'MoneylineFavorite',
+  Random = 'Random',
+}
+
+export enum LedgerEntryType {
+  EntryFee = 'EntryFee',
+  Payment = 'Payment',
+  Payout = 'Payout',
+  Disbursement = 'Disbursement',
+  Adjustment = 'Adjustment',
+}
+
+export enum DeliveryStatus {
+  Pending = 'Pending',
+  Digest = 'Digest',
+  Sent = 'Sent',
+  Skipped = 'Skipped',
+  Failed = 'Failed',
+}
+
+export enum NotificationType {
+  MemberJoined = 'MemberJoined',
+  CompetitionCreated = 'CompetitionCreated',
+  CompetitionLocked = 'CompetitionLocked',
+  ScoresUpdated = 'ScoresUpdated',
+  FirstPlace = 'FirstPlace',
+  GameResultChanged = 'GameResultChanged',
+}
+
+export enum NotificationChannel {
+  InApp = 'inApp',
+  Email = 'email',
+  Push = 'push',
+}
+
 export enum Sport {
   NFL = 'NFL',
   NBA = 'NBA',
@@ -56,6 +130,9 @@ export interface User {
   createdAt: Date;
   updatedAt: Date;
   lastLoginAt: Date | null;
+  authProvider: string | null;
+  authProviderUserId: string | null;
+  emailDigest: boolean;
 }
 
 /**
@@ -72,6 +149,20 @@ export interface League {
   maxMembers: number;
   isActive: boolean;
   isPublic: boolean;
+  pushScoring: PushScoring;
+  confidencePool: boolean;
+  pickVisibility: PickVisibility;
+  survivorLives: number;
+  survivorBuyBacks: number;
+  entryFee: number;
+  weeklyPot: number;
+  weeklyPayoutSplits: string | null;
+  seasonPayoutSplits: string | null;
+  dropLowestWeeks: number;
+  missedWeekScoring: MissedWeekScoring;
+  missedWeekPenalty: number;
+  countWeeksAfterJoin: boolean;
+  autoPickPolicy: AutoPickPolicy;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -84,6 +175,7 @@ export interface LeagueMember {
   leagueId: string;
   userId: string;
   displayName: string | null;
+  role: LeagueRole;
   joinedAt: Date;
   isActive: boolean;
 }
@@ -103,6 +195,15 @@ export interface Competition {
   status: CompetitionStatus;
   competitionType: string;
   scoringCalculated: boolean;
+  lockProcessed: boolean;
+  completionProcessed: boolean;
+  lockMode: LockMode;
+  gameLockOffsetMinutes: number;
+  lockToFirstKickoff: boolean;
+  tiebreakerGameId: string | null;
+  tiebreakerQuestion: string | null;
+  bracketTeams: string | null;
+  bracketRoundPoints: string | null;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -143,6 +244,7 @@ export interface Pick {
   additionalData: string | null;
   isCorrect: boolean | null;
   pointsEarned: number | null;
+  result: PickResult | null;
   submittedAt: Date;
   updatedAt: Date;
 }
@@ -156,7 +258,10 @@ export interface Score {
   userId: string;
   totalPoints: number;
   correctPicks: number;
+  pushPicks: number;
   totalPicks: number;
+  tiebreakerPrediction: number | null;
+  tiebreakerDifference: number | null;
   rank: number | null;
   calculatedAt: Date;
 }
@@ -173,7 +278,82 @@ export interface SeasonStanding {
   totalCorrectPicks: number;
   totalPicks: number;
   averagePointsPerWeek: number | null;
+  totalTiebreakerDifference: number | null;
+  survivorStrikes: number | null;
+  eliminatedWeek: number | null;
+  weekAdjustments: string | null;
+  rank: number | null;
+  updatedAt: Date;
+}
+
+/**
+ * A user's answer to a competition's tiebreaker question
+ */
+export interface TiebreakerPrediction {
+  id: string;
+  competitionId: string;
+  userId: string;
+  predictedValue: number;
+  submittedAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * An eliminated member bought back into a league's survivor pool
+ */
+export interface SurvivorBuyBack {
+  id: string;
+  leagueId: string;
+  userId: string;
+  weekNumber: number;
+  createdAt: Date;
+}
+
+/**
+ * A user's predicted winner for one matchup of a bracket competition
+ */
+export interface BracketPick {
+  id: string;
+  competitionId: string;
+  userId: string;
+  roundNumber: number;
+  slot: number;
+  pickedTeam: string;
+  result: 'Win' | 'Loss' | null;
+  pointsEarned: number | null;
+  submittedAt: Date;
+}
+
+/**
+ * A fee, payment, prize or correction in a league's money ledger
+ * (positive amounts are owed to the member)
+ */
+export interface LedgerEntry {
+  id: string;
+  leagueId: string;
+  userId: string;
+  competitionId: string | null;
+  entryType: LedgerEntryType;
+  amount: number;
   rank: number | null;
+  description: string | null;
+  createdByUserId: string | null;
+  createdAt: Date;
+}
+
+/**
+ * Email (or other outbound) delivery of a notification
+ */
+export interface NotificationDelivery {
+  id: string;
+  notificationId: string;
+  channel: string;
+  status: DeliveryStatus;
+  attempts: number;
+  nextAttemptAt: Date;
+  sentAt: Date | null;
+  lastError: string | null;
+  createdAt: Date;
   updatedAt: Date;
 }
 
@@ -188,11 +368,42 @@ export interface Notification {
   message: string;
   relatedEntityId: string | null;
   relatedEntityType: string | null;
+  leagueId: string | null;
   isRead: boolean;
+  inApp: boolean;
   createdAt: Date;
   readAt: Date | null;
 }
 
+/**
+ * A browser Web Push subscription (keys stay server-side)
+ */
+export interface WebPushSubscription {
+  id: string;
+  userId: string;
+  endpoint: string;
+  userAgent: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Which notification types reach a user on which channel, user-wide
+ * (leagueId null) or overriding those for one league. Quiet hours and time
+ * zone are only set user-wide.
+ */
+export interface NotificationPreference {
+  id: string;
+  userId: string;
+  leagueId: string | null;
+  typeSettings: Record<string, Partial<Record<NotificationChannel, boolean>>>;
+  quietHoursStart: string | null;
+  quietHoursEnd: string | null;
+  timeZone: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
 /**
  * Audit trail for critical actions
  */
@@ -223,30 +434,49 @@ export type CreateUserDto = Pick<User, 'email' | 'username' | 'passwordHash'> &
  * User update payload
  */
 export type UpdateUserDto = Partial<
-  Pick<User, 'email' | 'username' | 'firstName' | 'lastName' | 'isActive' | 'isPremium'>
+  Pick<User, 'email' | 'username' | 'firstName' | 'lastName' | 'emailDigest'>
 >;
 
 /**
- * League creation payload
+ * League creation payload (payout splits are percentages by finishing position)
  */
 export type CreateLeagueDto = Pick<League, 'name' | 'adminUserId' | 'inviteCode' | 'seasonYear'> &
-  Partial<Pick<League, 'description' | 'sport' | 'maxMembers' | 'isPublic'>>;
+  Partial<Pick<League, 'description' | 'sport' | 'maxMembers' | 'isPublic' | 'pushScoring' | 'confidencePool' | 'pickVisibility' | 'survivorLives' | 'survivorBuyBacks' | 'entryFee' | 'weeklyPot' | 'dropLowestWeeks' | 'missedWeekScoring' | 'missedWeekPenalty' | 'countWeeksAfterJoin' | 'autoPickPolicy'>> & {
+    weeklyPayoutSplits?: number[];
+    seasonPayoutSplits?: number[];
+  };
 
 /**
- * League update payload
+ * League update payload (isActive and the money settings are owner-only)
  */
 export type UpdateLeagueDto = Partial<
-  Pick<League, 'name' | 'description' | 'maxMembers' | 'isActive' | 'isPublic'>
->;
+  Pick<League, 'name' | 'description' | 'maxMembers' | 'isActive' | 'isPublic' | 'pushScoring' | 'confidencePool' | 'pickVisibility' | 'survivorLives' | 'survivorBuyBacks' | 'entryFee' | 'weeklyPot' | 'dropLowestWeeks' | 'missedWeekScoring' | 'missedWeekPenalty' | 'countWeeksAfterJoin' | 'autoPickPolicy'>
+> & {
+  weeklyPayoutSplits?: number[];
+  seasonPayoutSplits?: number[];
+};
+
+/**
+ * Ledger entry recorded by a commissioner (fees and payouts are generated)
+ */
+export interface CreateLedgerEntryDto {
+  userId: string;
+  entryType: LedgerEntryType.Payment | LedgerEntryType.Disbursement | LedgerEntryType.Adjustment;
+  amount: number;
+  description?: string | null;
+}
 
 /**
- * Competition creation payload
+ * Competition creation payload (bracket settings only apply to Bracket competitions)
  */
 export type CreateCompetitionDto = Pick<
   Competition,
   'leagueId' | 'weekNumber' | 'name' | 'startDate' | 'endDate' | 'lockDate'
 > &
-  Partial<Pick<Competition, 'description' | 'competitionType'>>;
+  Partial<Pick<Competition, 'description' | 'competitionType' | 'lockMode' | 'gameLockOffsetMinutes' | 'tiebreakerQuestion'>> & {
+    bracketTeams?: (string | null)[];
+    bracketRoundPoints?: number[];
+  };
 
 /**
  * Game creation payload